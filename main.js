@@ -2,78 +2,51 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import {Sky} from 'three/addons/objects/Sky.js';
-import {Water} from 'three/addons/objects/Water.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-
-// Global Uniforms, used in building light effect control
-const cityLightUniforms = {
-  uTime: { value: 0.0 },
-  uLightIntensity: { value: 0.0 }, // 0.0 = trun off the light, 1.0 = turn on
-  uWindowColor: { value: new THREE.Color(0xffcc88) } 
-};
-
-// enhance building material for better light performance
-function enhanceCityMaterial(material) {
-  material.onBeforeCompile = (shader) => {
-    shader.uniforms.uTime = cityLightUniforms.uTime;
-    shader.uniforms.uLightIntensity = cityLightUniforms.uLightIntensity;
-    shader.uniforms.uWindowColor = cityLightUniforms.uWindowColor;
-
-    // Modify vertex shader
-    //In order to generate axis-aligned light grid regardless model's rotation and scale
-    shader.vertexShader = `
-      varying vec3 vWorldPosition;
-      varying vec3 vWorldNormal;
-    ` + shader.vertexShader;
-
-    shader.vertexShader = shader.vertexShader.replace(
-      '#include <worldpos_vertex>',
-      `
-      #include <worldpos_vertex>
-      vWorldPosition = (modelMatrix * vec4(transformDirection(position, modelMatrix), 1.0)).xyz;
-      vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
-      vWorldNormal = normalize(mat3(modelMatrix) * normal);
-      `
-    );
-
-    shader.fragmentShader = `
-      uniform float uTime;
-      uniform float uLightIntensity;
-      uniform vec3 uWindowColor;
-      varying vec3 vWorldPosition;
-      varying vec3 vWorldNormal;
-
-      float random(vec2 st) {
-        return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
-      }
-    ` + shader.fragmentShader;
-
-    shader.fragmentShader = shader.fragmentShader.replace(
-      '#include <emissivemap_fragment>',
-      `
-      #include <emissivemap_fragment>
-
-      if (uLightIntensity > 0.01) {
-        
-        // Windows density, used to control light grid scale
-        float density = 0.3; 
-        
-        if (abs(vWorldNormal.y) < 0.6) {
-          vec2 uv = abs(vWorldNormal.x) > 0.5 ? vWorldPosition.zy : vWorldPosition.xy;
-          vec2 grid = floor(uv * density);
-          vec2 sub = fract(uv * density);
-          float windowShape = step(0.3, sub.x) * step(0.3, sub.y) * step(sub.x, 0.9) * step(sub.y, 0.9);
-          float noise = random(grid);
-          float flicker = sin(uTime * 0.5 + noise * 6.0) * 0.5 + 0.5;
-          float isLit = step(0.4, noise); 
-          vec3 windowLight = uWindowColor * windowShape * isLit * uLightIntensity * 3.0;
-          totalEmissiveRadiance += windowLight;
-        }
-      }
-      `
-    );
-  };
-}
+import { loadSceneManifest, sceneNameFromURL, manifestToJSON, applyMaterialOverrides, envIntensity, DEFAULT_SCENE } from './src/sceneManifest.js';
+import { createCameraController } from './src/cameraController.js';
+import {
+  LIGHTING_PRESETS,
+  blendLightingState,
+  copyLightingState,
+  sampleByElevation,
+  loadPresetFile,
+  loadSavedPresets,
+  savePreset,
+  presetFromJSON,
+  presetToJSON,
+} from './src/lightingPresets.js';
+import { createSimClock } from './src/simClock.js';
+import { createWeather, WEATHER_PRESETS } from './src/weather.js';
+import { createPostProcessing, EFFECTS } from './src/postProcessing.js';
+import { createPosterExporter, download } from './src/posterExport.js';
+import { randomStream, seedFromURL, setSeed, getSeed } from './src/random.js';
+import { smoothstep, damp, kelvinToRGB } from './src/mathUtils.js';
+import { createAnimationRegistry } from './src/animationRegistry.js';
+import { createFrameStats } from './src/frameStats.js';
+import { createAssetLoader } from './src/assetLoader.js';
+import { createLoadingScreen } from './src/loadingScreen.js';
+import { createEnvironmentManager, ENVIRONMENTS, DEFAULT_ENVIRONMENT } from './src/environment.js';
+import { createBuildingLights } from './src/buildingLights.js';
+import { createTowerSequencer, createTowerGradient, loadTowerProgramFile } from './src/towerPrograms.js';
+import { createBeaconRig, beaconFlash } from './src/beacons.js';
+import { createBridgeRig, bulbLevel } from './src/bridgeLights.js';
+import { createBoat } from './src/boats.js';
+import { createOcean, onLand } from './src/ocean.js';
+import { createCity, cityConfig } from './src/city.js';
+import { createTraffic, trafficConfig } from './src/traffic.js';
+import { createInspector } from './src/inspector.js';
+import { createShadows, shadowQualityFromURL } from './src/shadows.js';
+import { createPerformance, performanceFromURL, spreadIndices, DEFAULT_PERFORMANCE_TIER } from './src/performance.js';
+import { encodeSceneLink, decodeSceneLink } from './src/sceneLink.js';
+
+// Scene link in the URL hash (see "Scene links" below)
+const sceneLink = readSceneLink();
+
+// Seed every random choice in the scene (?seed=<integer>, or the scene link's) before anything is built
+setSeed(sceneLink.seed ?? seedFromURL());
+
+// Window lights for every building, driven by the lighting state and time of day
+const buildingLights = createBuildingLights();
 
 // Create the 3D scene
 const scene = new THREE.Scene();
@@ -92,7 +65,7 @@ const renderer = new THREE.WebGLRenderer({
   antialias: true  // Enable antialiasing for smoother edges
 });
 
-// Set pixel ratio for high DPI displays (Retina, 4K, etc.)
+// Set pixel ratio for high DPI displays (Retina, 4K, etc.); the performance tiers lower it as needed
 renderer.setPixelRatio(window.devicePixelRatio);
 
 // Function to resize renderer while maintaining target aspect ratio
@@ -111,10 +84,13 @@ function updateRendererSize() {
   }
   
   renderer.setSize(width, height);
+  if (postFX) postFX.setSize(width, height);
   camera.aspect = targetAspect;
   camera.updateProjectionMatrix();
 }
 
+let postFX = null;
+
 // Initialize renderer size and handle window resize events
 updateRendererSize();
 window.addEventListener('resize', updateRendererSize);
@@ -130,45 +106,35 @@ renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.0;
 
-//shadow
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+// Post-processing: selective bloom, SSAO, color grading, vignette, film grain
+{
+  const size = renderer.getSize(new THREE.Vector2());
+  postFX = createPostProcessing({ renderer, scene, camera, width: size.x, height: size.y });
+}
+
 
+// Loading pipeline: every asset goes through one loader so the loading screen sees all of it;
+// scene time (and with it the time-of-day animation) starts once everything is in
+const loadingScreen = createLoadingScreen({ title: 'Tokyo Tower' });
+const assets = createAssetLoader({ onProgress: (p) => loadingScreen.update(p) });
+let sceneLoaded = false;
 
 // IBL / Environment 
 const pmrem = new THREE.PMREMGenerator(renderer);
 pmrem.compileEquirectangularShader();
 
-let envMap = null;
-const lighting = { ibl: 1.2 }; 
+// Animated parts of loaded models, registered once in loadModel and updated every frame
+const animations = createAnimationRegistry();
+const frameTimer = createFrameStats();
 
-new RGBELoader()
-  .setPath('/hdr/')
-  .load('kloofendal_48d_partly_cloudy_puresky_4k.hdr', (hdrTex) => {
-    envMap = pmrem.fromEquirectangular(hdrTex).texture;
-    hdrTex.dispose();
+// The live sky map already darkens with the sky, so the preset's `ibl` only scales HDR/EXR maps
+const LIVE_SKY_IBL = 1.0;
 
-    scene.environment = envMap;
-
-    // Keep pmrem if you may load another HDR later; otherwise disposing is fine
-    // pmrem.dispose();
-  }, undefined, (err) => {
-    console.error('HDR load failed:', err);
-  });
-
-function applyIBLIntensity(intensity) {
-  scene.traverse((o) => {
-    if (!o.isMesh) return;
-    const mats = Array.isArray(o.material) ? o.material : [o.material];
-    for (const m of mats) {
-      if (!m) continue;
-      if (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial) {
-        m.envMapIntensity = intensity;
-        m.needsUpdate = true;
-      }
-    }
-  });
-}
+// envMapIntensity is a plain uniform, so changing it needs no material recompile;
+// manifest overrides stay as a floor
+animations.define('ibl', (material, frame) => {
+  material.envMapIntensity = envIntensity(material, frame.ibl);
+});
 
 
 
@@ -182,21 +148,16 @@ directionalLight.position.set(5, 10, 5);
 scene.add(directionalLight);
 directionalLight.target.position.set(0,0,0);
 scene.add(directionalLight.target);
-//castshadow
-directionalLight.castShadow = true;
-directionalLight.shadow.mapSize.set(1024, 1024);
-directionalLight.shadow.bias = -0.0003;
-//shadow camera frustum
-const d = 600; // range
-directionalLight.shadow.camera.left   = -d;
-directionalLight.shadow.camera.right  =  d;
-directionalLight.shadow.camera.top    =  d;
-directionalLight.shadow.camera.bottom = -d;
-
-directionalLight.shadow.camera.near = 1;
-directionalLight.shadow.camera.far  = 2500;
-
-directionalLight.shadow.normalBias = 0.02;
+// Sun shadows: cascades fitted to the view, quality tier from ?shadows=low|medium|high|ultra,
+// range fitted to the loaded models once they are in
+const shadows = createShadows({ renderer, scene, camera, sun: directionalLight, quality: shadowQualityFromURL() });
+
+// Light levels, tunable live from the inspector (I)
+const lightTuning = {
+  towerPoint: 30000,     // tower point lights at full program level
+  bridgePoint: 30000,    // bridge point lights at full night level
+  searchlight: 50000,    // yacht searchlights after dark
+};
 
 
 //hemispherelight
@@ -215,6 +176,18 @@ skyUniforms['rayleigh'].value = 2;
 skyUniforms['mieCoefficient'].value = 0.005;
 skyUniforms['mieDirectionalG'].value = 0.8;
 
+// Environment map per lighting preset (`environment` field); when none of an environment's
+// HDR/EXR files load, it follows the sky above, re-captured whenever the sky has moved on
+const environment = createEnvironmentManager({
+  scene,
+  renderer,
+  pmrem,
+  skyUniforms,
+  assets,
+  onWarning: (message) => loadingScreen.warn(message),
+});
+environment.use(DEFAULT_ENVIRONMENT);
+
 const sun = new THREE.Vector3();
 
 function createSunSprite() {
@@ -270,48 +243,36 @@ function setSunByElevationAzimuth(elevationDeg, azimuthDeg){
 }
 
 
-//ocean
-
 const waterY = 0;         
-const waterWidth = 1600;    
-const waterDepth = 1200;    
-const waterCenterZ = 520;   
 const clock = new THREE.Clock();
-const waveDir = new THREE.Vector2(0.9, 0.35).normalize(); 
-const waveSpeed = 0.03; 
-
-
-const waterGeometry = new THREE.PlaneGeometry(waterWidth, waterDepth);
-
-const waterNormals = new THREE.TextureLoader().load('/textures/Water_1_M_Normal.jpg', (tex) => {
+// Scene time in seconds; animation reads this instead of performance.now() so
+// captures can step it at a fixed rate
+const sceneTime = { elapsed: 0 };
+
+// Fixed-time mode (?fixed=<seconds>, F toggles): scene time only moves when stepped,
+// always in whole FIXED_STEP ticks, so the same seed and time give the same frame
+const FIXED_STEP = 1 / 60;
+const fixedTimeParam = new URLSearchParams(window.location.search).get('fixed');
+const fixedTime = { enabled: fixedTimeParam !== null };
+
+// Ocean: Gerstner waves, shoreline and land, foam at the shores (configured by the manifest)
+const waterNormals = assets.loadTexture('/textures/Water_1_M_Normal.jpg', (tex) => {
   tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
   tex.repeat.set(2, 2);      
   tex.offset.set(0, 0);      
 
   tex.colorSpace = THREE.NoColorSpace;
   tex.anisotropy = renderer.capabilities.getMaxAnisotropy();
+}, (err) => {
+  console.error('[Assets] water normals failed:', err);
+  loadingScreen.warn('Water normal map failed to load');
 });
 
 
+const ocean = createOcean({ scene, waterNormals, sunDirection: directionalLight.position, level: waterY });
 
-const water = new Water(waterGeometry, {
-  textureWidth: 1024,
-  textureHeight: 1024,
-  waterNormals,
-  sunDirection: directionalLight.position.clone().normalize(),
-  sunColor: 0xffffff,
-  waterColor: 0x0b4ea2,
-  distortionScale: 3.7,
-  alpha: 1.0, 
-
-  fog: scene.fog !== undefined
-});
-
-water.rotation.x = -Math.PI / 2;
-water.position.set(0, waterY, waterCenterZ);
-
-
-scene.add(water);
+// Weather: rain / snow particles, wet surfaces, cloud cover, rain ripples on the water
+const weather = createWeather({ scene, camera, water: ocean.water, pixelRatio: renderer.getPixelRatio() });
 
 //Stars at Night
 function makeStarSpriteTexture() {
@@ -352,11 +313,12 @@ function ensureStars(){
   const sizes = new Float32Array(count);   
   const alphas = new Float32Array(count);  
   const seeds = new Float32Array(count);
+  const random = randomStream('stars');
 
 
   for (let i = 0; i < count; i++){
-    const u = Math.random();
-    const v = Math.random();
+    const u = random();
+    const v = random();
 
     const theta = 2 * Math.PI * u;
     const cosPhi = v;                 
@@ -373,14 +335,13 @@ function ensureStars(){
     pos[i*3+2] = z * radius;
 
     
-    const r = Math.random();
-    sizes[i] = THREE.MathUtils.lerp(1.0, 2.5, Math.pow(Math.random(), 3.0));
+    sizes[i] = THREE.MathUtils.lerp(1.0, 2.5, Math.pow(random(), 3.0));
 
 
    
-    alphas[i] = THREE.MathUtils.lerp(0.2, 1.0, Math.random());
+    alphas[i] = THREE.MathUtils.lerp(0.2, 1.0, random());
 
-    seeds[i] = Math.random() * 1000.0; 
+    seeds[i] = random() * 1000.0; 
 
   }
 
@@ -465,16 +426,8 @@ function ensureStars(){
   return stars;
 }
 
-//ground
-const ground = new THREE.Mesh(
-  new THREE.PlaneGeometry(4000, 4000),
-  new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 1.0, metalness: 0.0 })
-);
-ground.rotation.x = -Math.PI / 2;
-ground.position.set(0, 0.01, 0);      
-ground.scale.set(1, 1, 1);            
-ground.receiveShadow = true;
-scene.add(ground);
+// the land behind the shoreline gets wet in the rain
+weather.registerSurface(ocean.landMaterial);
 
 
 const current = {
@@ -497,9 +450,18 @@ const current = {
   fogColor: new THREE.Color(0x000000),
 
   sunKelvin: 6500, // day default
+
+  ibl: 1.2,
+
+  windowLight: 0.0,
+  windowColor: new THREE.Color(0xffcc88),
+  hour: 12,
+  towerColor: new THREE.Color(0xff8800),
+  waterColor: new THREE.Color(0x0b4ea2),
+  environment: DEFAULT_ENVIRONMENT,
 };
 
-let transition = null; // { from, to, t0, dur }
+let transition = null; // { from, to, t0, dur } (seconds of scene time)
 
 const towerLightState = { cur: 0.0 };
 
@@ -510,139 +472,79 @@ scene.add(towerLight);
 
 function startTransition(to, duration = 2.0) {
   transition = {
-    from: {
-      ...current,
-      sunColor: current.sunColor.clone(),
-      hemiSky: current.hemiSky.clone(),
-      hemiGround: current.hemiGround.clone(),
-      fogColor: current.fogColor.clone(),
-    },
-    to: {
-      ...to,
-      
-      hemiSky: (to.hemiSky ?? current.hemiSky).clone(),
-      hemiGround: (to.hemiGround ?? current.hemiGround).clone(),
-      fogColor: (to.fogColor ?? current.fogColor).clone(),
-
-      hemiInt: to.hemiInt ?? current.hemiInt,
-      fogDensity: to.fogDensity ?? current.fogDensity,
-
-      sunKelvin: to.sunKelvin ?? current.sunKelvin,
-    },
-    t0: performance.now(),
-    dur: duration * 1000,
+    from: copyLightingState({}, current),
+    // fields the target doesn't set keep their current value
+    to: copyLightingState(copyLightingState({}, current), to),
+    t0: sceneTime.elapsed,
+    dur: duration,
   };
 }
 
-function lerp(a, b, t) { return a + (b - a) * t; }
-function smoothstep(t) { return t * t * (3 - 2 * t); }
-function kelvinToRGB(k) {
-  // Approximation: good enough for 1000K–40000K
-  k = THREE.MathUtils.clamp(k, 1000, 40000) / 100;
-
-  let r, g, b;
-
-  // Red
-  if (k <= 66) r = 255;
-  else r = 329.698727446 * Math.pow(k - 60, -0.1332047592);
-
-  // Green
-  if (k <= 66) g = 99.4708025861 * Math.log(k) - 161.1195681661;
-  else g = 288.1221695283 * Math.pow(k - 60, -0.0755148492);
-
-  // Blue
-  if (k >= 66) b = 255;
-  else if (k <= 19) b = 0;
-  else b = 138.5177312231 * Math.log(k - 10) - 305.0447927307;
-
-  r = THREE.MathUtils.clamp(r, 0, 255);
-  g = THREE.MathUtils.clamp(g, 0, 255);
-  b = THREE.MathUtils.clamp(b, 0, 255);
-
-  return new THREE.Color(r / 255, g / 255, b / 255);
-}
-
 
+/**
+ * Transition to a named lighting preset (built-in, loaded from JSON or saved)
+ * @param {string} mode - Preset name, e.g. 'day', 'sunset', 'night', 'blueHour'
+ */
 function setTimeOfDay(mode) {
-  if (mode === 'sunset') {
-    startTransition({
-      exposure: 0.25,
-      amb: 0.1,
-      sunInt: 0.60,
-      sunKelvin: 3200,
-
-      turbidity: 10,
-      rayleigh: 2.2,
-      mieC: 0.010,
-      mieG: 0.90,
-
-      elev: 3.0,
-      azim: 170,
-
-      hemiInt: 0.55,
-      hemiSky: new THREE.Color(0xffc3a0),
-      hemiGround: new THREE.Color(0x0b1020),
-
-      fogDensity:0.00035,
-      fogColor:new THREE.Color(0x142033),
-
-      stars: 0.0,
-    }, 2.5); 
-    lighting.ibl = 0.25;
+  const preset = LIGHTING_PRESETS[mode];
+  if (!preset) {
+    console.warn(`[Lighting] unknown preset "${mode}"`);
+    return;
   }
 
-  if (mode === 'day') {
-    startTransition({
-      exposure: 0.3,
-      amb: 0.18,
-      sunInt: 3.0,
-      sunKelvin: 6500,
+  // picking a preset takes over from the simulated clock
+  clockEnabled = false;
+  currentPreset = mode;
 
-      turbidity: 6,
-      rayleigh: 3.0,
-      mieC: 0.0025,
-      mieG: 0.78,
+  startTransition(preset, preset.duration ?? 2.5);
+}
 
-      elev: 55,
-      azim: 0,
+let currentPreset = 'day';
 
-      fogDensity: 0.00008,
-      fogColor: new THREE.Color(0xb8d2f0),
-      
-      hemiInt:0.35,
-      hemiSky: new THREE.Color(0xcfe8ff),
-      hemiGround: new THREE.Color(0x2a2a2a),
+// Simulated clock: real sun position over Tokyo Tower, presets blended by sun elevation
+const simClock = createSimClock({ date: clockDateFromURL() });
+let clockEnabled = false;
+const clockState = {};
 
-      stars: 0.0,
-    }, 2.0);
-    lighting.ibl = 0.55;
+// ?date=<ISO 8601> sets the clock's start; fixed-time renders never depend on when the page opened
+function clockDateFromURL() {
+  const value = new URLSearchParams(window.location.search).get('date');
+  if (value) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+    console.warn(`[Clock] ignoring invalid date "${value}"`);
   }
+  return fixedTime.enabled ? new Date('2026-06-21T12:00:00+09:00') : new Date();
+}
 
-  if (mode === 'night') {
-    startTransition({
-      exposure: 0.22,   
-      amb: 0.05,        
-      sunInt: 0.01,     
-      sunKelvin: 10000,  
-      turbidity: 1.0,
-      rayleigh: 0.0,
-      mieC: 0.0,
-      mieG: 0.7,
-      elev: -20,
-      azim: 180,
-      hemiInt: 0.05,                 
-      hemiSky: new THREE.Color(0x05081a),    
-      hemiGround: new THREE.Color(0x000000), 
-      stars: 1.0,
-      fogDensity: 0.0004,
-      fogColor: new THREE.Color(0x0b1020),
-    }, 3.0);
+function sampleClock() {
+  const { elev, azim, rising } = simClock.sun();
+  sampleByElevation(elev, clockState, rising);
+  clockState.elev = elev;
+  clockState.azim = azim;
+  clockState.hour = simClock.localHours();
+  return clockState;
+}
 
-  
-    lighting.ibl = 0.01;  
-  }
+function setClockEnabled(on) {
+  clockEnabled = on;
+  if (!on) return;
+  // ease from whatever is on screen into the clock-driven state
+  startTransition(sampleClock(), 2.0);
 }
 
+const clockHud = document.createElement('div');
+clockHud.id = 'clock-hud';
+document.body.appendChild(clockHud);
+
+function updateClockHud() {
+  clockHud.style.display = clockEnabled ? 'block' : 'none';
+  if (!clockEnabled) return;
+  const text =
+    `${simClock.label()} JST  ${simClock.paused ? '❚❚' : '▶'} x${simClock.speed}  ` +
+    `sun ${current.elev.toFixed(1)}°`;
+  if (clockHud.textContent !== text) clockHud.textContent = text;
+}
 
 //default
 setTimeOfDay('day');
@@ -654,193 +556,470 @@ window.addEventListener('keydown', (e) => {
   if (e.key === '3') setTimeOfDay('night');
 });
 
+// Post-processing HotKeys: B bloom, O ambient occlusion, U color grading (Shift+U next LUT), V vignette, G grain
+window.addEventListener('keydown', (e) => {
+  const toggles = { b: 'bloom', o: 'ssao', u: 'lut', v: 'vignette', g: 'grain' };
+  const name = toggles[e.key.toLowerCase()];
+  if (!name) return;
+
+  if (name === 'lut' && e.shiftKey) {
+    const names = postFX.lutNames;
+    const next = names[(names.indexOf(postFX.lutName) + 1) % names.length];
+    postFX.setLUT(next);
+    console.log(`[PostFX] LUT: ${next}`);
+    return;
+  }
+  postFX.setEffect(name, !postFX.effects[name]);
+});
+
+// Traffic HotKey: Z toggles light trails (poster view only)
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() !== 'z') return;
+  trafficTrails = !trafficTrails;
+  console.log(`[Traffic] light trails ${trafficTrails ? 'on' : 'off'}`);
+});
+
+// Weather HotKey: R cycles clear → cloudy → rain → storm → snow
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() !== 'r') return;
+  const names = Object.keys(WEATHER_PRESETS);
+  weather.setWeather(names[(names.indexOf(weather.name) + 1) % names.length]);
+});
+
+// Preset HotKeys: M cycles through every preset, K saves the current look as a preset
+window.addEventListener('keydown', (e) => {
+  const key = e.key.toLowerCase();
+  if (key === 'm') {
+    const names = Object.keys(LIGHTING_PRESETS);
+    const next = names[(names.indexOf(currentPreset) + 1) % names.length];
+    console.log(`[Lighting] preset: ${next}`);
+    setTimeOfDay(next);
+  }
+  if (key === 'k') {
+    const name = window.prompt('Save lighting preset as', 'custom');
+    if (!name) return;
+    const json = savePreset(name, current);
+    console.log(`[Lighting] saved preset "${name}"\n${JSON.stringify({ presets: { [name]: json } }, null, 2)}`);
+  }
+});
+
+// Extra presets: saved ones from localStorage, plus /presets/<name>.json via ?presets=<name>
+loadSavedPresets();
+{
+  const presetFile = new URLSearchParams(window.location.search).get('presets');
+  if (presetFile && /^[\w-]+$/.test(presetFile)) {
+    loadPresetFile(`/presets/${presetFile}.json`)
+      .then((names) => console.log(`[Lighting] loaded presets: ${names.join(', ')}`))
+      .catch((err) => console.error(err));
+  }
+}
+
+// Tower HotKeys: Y picks the next illumination program by hand, Shift+Y follows the schedule again
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() !== 'y') return;
+  if (e.shiftKey) {
+    towerSequencer.use(null);
+    return;
+  }
+  const names = towerSequencer.names;
+  towerSequencer.use(names[(names.indexOf(towerSequencer.manual) + 1) % names.length]);
+});
+
+// Extra tower programs (and schedule) from /tower/<name>.json via ?tower=<name>
+let towerProgramsReady = Promise.resolve();
+{
+  const programFile = new URLSearchParams(window.location.search).get('tower');
+  if (programFile && /^[\w-]+$/.test(programFile)) {
+    towerProgramsReady = loadTowerProgramFile(`/tower/${programFile}.json`)
+      .then((names) => console.log(`[Tower] loaded programs: ${names.join(', ')}`))
+      .catch((err) => console.error(err));
+  }
+}
+
+// Clock HotKeys: T toggles the clock, P pauses, [ ] scrub 15 min (Shift: 1 h), , . change speed
+window.addEventListener('keydown', (e) => {
+  const key = e.key.toLowerCase();
+  if (key === 't') setClockEnabled(!clockEnabled);
+  if (!clockEnabled) return;
+
+  if (key === 'p') simClock.togglePause();
+  if (e.code === 'BracketLeft') simClock.scrub(e.shiftKey ? -60 : -15);
+  if (e.code === 'BracketRight') simClock.scrub(e.shiftKey ? 60 : 15);
+  if (e.code === 'Comma') simClock.stepSpeed(-1);
+  if (e.code === 'Period') simClock.stepSpeed(1);
+});
+
 // Add ground reference grid (1000x1000 units with gray colors)
 const grid = new THREE.GridHelper(1000, 1000, 0x888888, 0x444444);
 scene.add(grid);
 grid.visible = false;
 
-// Position camera: X=0 (centered), Y=20 (height), Z=410 (distance back)
-camera.position.set(0, 20, 410);
-// Point camera at: X=0 (center), Y=30 (slightly up), Z=0 (forward)
-camera.lookAt(0, 30, 0);
-
-// Crop bottom 15% of view by shifting camera viewport
+// Camera controller: poster (fixed framing), orbit around the tower, free fly
+// Poster framing: X=0 (centered), Y=20 (height), Z=410 (distance back), looking at Y=30
+// Crop bottom 15% of view in poster mode by shifting camera viewport
 // Increase cropBottomPercent to crop more (0.0 = no crop, 0.5 = 50% crop)
 const cropBottomPercent = 0.15;
-camera.setViewOffset(
-  targetWidth, 
-  targetHeight, 
-  0, 
-  -targetHeight * cropBottomPercent, // Negative shifts view upward
-  targetWidth, 
-  targetHeight
-);
+const cameraController = createCameraController(camera, renderer.domElement, {
+  poster: {
+    position: new THREE.Vector3(0, 20, 410),
+    target: new THREE.Vector3(0, 30, 0),
+    cropBottomPercent,
+    fullWidth: targetWidth,
+    fullHeight: targetHeight,
+  },
+  orbitTarget: new THREE.Vector3(0, 100, 0),
+  minHeight: waterY + 2, // never underground or below the water plane
+});
+
+// HotKeys: C cycles camera mode, 4-9 recall viewpoints, Shift+4-9 saves them
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() === 'c') cameraController.cycleMode();
+
+  const slot = /^Digit([4-9])$/.exec(e.code)?.[1];
+  if (!slot) return;
+  if (e.shiftKey) cameraController.saveViewpoint(slot);
+  else cameraController.recallViewpoint(slot);
+});
+
+// Poster export: X = PNG at 4x, Shift+X = EXR at 1x,
+// J = 10 s frame sequence, Shift+J = day-to-night sequence, Esc cancels a sequence
+const posterExporter = createPosterExporter({
+  renderer,
+  scene,
+  camera,
+  postFX,
+  cameraController,
+  width: targetWidth,
+  height: targetHeight,
+  renderFrame,
+  pauseLoop: () => renderer.setAnimationLoop(null),
+  resumeLoop: () => {
+    clock.getDelta(); // drop the time spent exporting
+    renderer.setAnimationLoop(animate);
+  },
+});
+
+window.addEventListener('keydown', (e) => {
+  const key = e.key.toLowerCase();
+  if (key === 'escape') posterExporter.cancel();
+  if (key === 'x') posterExporter.exportImage(e.shiftKey ? { scale: 1, format: 'exr' } : { scale: 4, format: 'png' });
+  if (key === 'j') {
+    posterExporter.captureSequence({
+      seconds: 10,
+      fps: 30,
+      onStart: e.shiftKey ? () => {
+        // start from full day and let the 8 s transition to night play out
+        clockEnabled = false;
+        transition = null;
+        copyLightingState(current, LIGHTING_PRESETS.day);
+        setTimeOfDay('night');
+        transition.dur = 8.0;
+      } : undefined,
+    });
+  }
+});
+
+/**
+ * Step scene time forward in fixed-time mode
+ * @param {number} seconds - Rounded to whole FIXED_STEP ticks
+ */
+function stepFixedTime(seconds) {
+  const ticks = Math.max(0, Math.round(seconds / FIXED_STEP));
+  for (let i = 0; i < ticks; i++) updateScene(FIXED_STEP);
+  console.log(`[Time] t = ${sceneTime.elapsed.toFixed(3)} s`);
+}
+
+// Fixed-time HotKeys: F freezes / resumes scene time, N steps one tick (Shift+N: 1 s)
+window.addEventListener('keydown', (e) => {
+  const key = e.key.toLowerCase();
+  if (key === 'f') {
+    fixedTime.enabled = !fixedTime.enabled;
+    console.log(`[Time] fixed-time mode: ${fixedTime.enabled ? 'on' : 'off'} (t = ${sceneTime.elapsed.toFixed(3)} s)`);
+  }
+  if (key === 'n' && fixedTime.enabled) stepFixedTime(e.shiftKey ? 1 : FIXED_STEP);
+});
+
+// Scene time for the console and the visual tests, e.g. sceneDebug.sceneClock.step(2.5)
+const sceneClock = {
+  get time() { return sceneTime.elapsed; },
+  get fixed() { return fixedTime.enabled; },
+  // resolves once every asset has loaded or failed (and, in fixed-time mode, the start time is reached)
+  get ready() { return sceneReady; },
+  step: stepFixedTime,
+};
+
+// Frame timing from the console: sceneDebug.frameStats.log(), or read .fps / .sections / .animators
+const frameStats = {
+  get fps() { return frameTimer.fps; },
+  get sections() { return frameTimer.sections; },
+  get animators() { return animations.stats; },
+  log() {
+    console.log(`[Stats] ${frameTimer.fps.toFixed(1)} fps (${frameTimer.frameMs.toFixed(2)} ms/frame)`);
+    console.table(Object.fromEntries(
+      Object.entries(frameTimer.sections).map(([name, ms]) => [name, { ms: Number(ms.toFixed(3)) }])
+    ));
+    console.table(animations.stats.map(({ kind, count, ms }) => ({ kind, count, ms: Number(ms.toFixed(3)) })));
+  },
+};
+
+// PointLights the performance tier keeps on: the rest are hidden, which takes them out of every
+// shader's light loop (one recompile per tier step, inside the governor's settle time)
+const pointLights = { lit: 0, total: 0 };
+
+/**
+ * Keep at most `max` PointLights on, spread over the scene (tower levels, bridges)
+ * @param {number} max - Infinity keeps them all
+ */
+function limitPointLights(max) {
+  // the fill light and the rigs' lights, as registered when the models loaded
+  const lights = [
+    towerLight,
+    ...animations.entities('tower').flatMap((tower) => tower.lights),
+    ...animations.entities('bridge').flatMap((bridge) => bridge.lights),
+  ];
+  const keep = new Set(spreadIndices(lights.length, max));
+  lights.forEach((light, i) => { light.visible = keep.has(i); });
+  pointLights.lit = keep.size;
+  pointLights.total = lights.length;
+}
+
+function applyPerformanceTier(name, tier) {
+  renderer.setPixelRatio(Math.min(tier.pixelRatio, window.devicePixelRatio));
+  updateRendererSize();
+  // point sprites (stars, rain, snow) scale their size by the pixel ratio
+  const starField = ensureStars();
+  starField.material.uniforms.uPixelRatio.value = renderer.getPixelRatio();
+  weather.setPixelRatio(renderer.getPixelRatio());
+  ocean.setReflectionSize(tier.reflection);
+  // map size only: the cascades and their shaders stay as the shadow quality set them
+  shadows.setMapScale(tier.shadowScale);
+  starField.geometry.setDrawRange(0, Math.round(starField.geometry.attributes.position.count * tier.stars));
+  limitPointLights(tier.pointLights);
+}
+
+// Adaptive performance: quality tiers step to hold ?fps= (default 60), ?perf=<tier> holds one.
+// Fixed-time renders hold the default tier so they come out the same on every machine.
+const perfParams = performanceFromURL();
+const perfManager = createPerformance({
+  renderer,
+  stats: frameTimer,
+  apply: applyPerformanceTier,
+  details: () => {
+    const { reflection, stars: starFraction } = perfManager.settings;
+    return [
+      `pixel ratio ${renderer.getPixelRatio()}  water ${reflection}px  shadows ${shadows.quality} ${shadows.mapSize}px`,
+      `stars ${Math.round(starFraction * 100)}%  point lights ${pointLights.lit}/${pointLights.total}`,
+    ];
+  },
+  override: perfParams.override ?? (fixedTime.enabled ? DEFAULT_PERFORMANCE_TIER : 'auto'),
+  targetFps: perfParams.targetFps,
+});
+
+// The one console handle (see Debugging in the README)
+window.sceneDebug = { sceneClock, frameStats, shadows, posterExport: posterExporter, perfManager };
+
+// Performance HotKeys: 0 toggles the stats overlay, Shift+0 cycles auto -> low -> medium -> high -> ultra
+window.addEventListener('keydown', (e) => {
+  if (e.code !== 'Digit0') return;
+  if (e.shiftKey) perfManager.cycleOverride();
+  else perfManager.toggleOverlay();
+});
 
 // Animation loop - renders scene every frame
 function animate() {
-  updateSkyAndLights();
+  const delta = clock.getDelta();
+  // loading and fixed-time frames don't say how fast the scene runs
+  perfManager.update({ adapt: sceneLoaded && !fixedTime.enabled });
+  if (sceneLoaded && !fixedTime.enabled) {
+    renderFrame(delta);
+    return;
+  }
+  // scene time is frozen (still loading, or fixed-time mode); the camera still moves in real time
+  frameTimer.tick();
+  frameTimer.measure('camera', () => cameraController.update(delta));
+  updateScene(0);
+  frameTimer.measure('render', () => postFX.render(0));
+}
 
-  const time = performance.now() * 0.001; 
+/**
+ * Advance the scene by `delta` seconds and render it
+ * @param {number} delta - Seconds since the previous frame
+ */
+function renderFrame(delta) {
+  frameTimer.tick();
+  frameTimer.measure('camera', () => cameraController.update(delta));
+  updateScene(delta);
+  frameTimer.measure('render', () => postFX.render(delta));
+}
+
+/**
+ * Advance lights, sky, weather and animation by `delta` seconds of scene time (no rendering)
+ * @param {number} delta - Seconds of scene time
+ */
+function updateScene(delta) {
+  sceneTime.elapsed += delta;
+  frameTimer.measure('sky', () => updateSkyAndLights(delta));
+  frameTimer.measure('shadows', () => shadows.update());
+  frameTimer.measure('environment', () => environment.update());
+
+  const time = sceneTime.elapsed; 
+  frameTimer.measure('weather', () => weather.update(delta, time, daylightFactor()));
 
   // decide time
   const isNight = 1.0 - THREE.MathUtils.smoothstep(current.elev, -6.0, 5.0); 
   const isHighDay = THREE.MathUtils.smoothstep(current.elev, 5.0, 25.0);
   const isSunset = (1.0 - isNight) * (1.0 - isHighDay);
-  // light effect for windows of buildings
-  cityLightUniforms.uTime.value = time;
-  const targetBuildingIntensity = (isSunset * 0.5 + isNight * 1.5);
-  
-  const curInt = cityLightUniforms.uLightIntensity.value;
-  cityLightUniforms.uLightIntensity.value += (targetBuildingIntensity - curInt) * 0.05;
-
-  // color change
-  if (isSunset > 0.5) {
-     cityLightUniforms.uWindowColor.value.setHex(0xffd8a8); 
-  } else {
-     cityLightUniforms.uWindowColor.value.setHex(0xffddaa); 
-  }
-  
-  // Tokyo Tower lights
-  const towerPulse = Math.sin(time * 2.0) * 0.5 + 0.5; 
-  const towerSunsetColor = new THREE.Color(0xff8800);  
-  const towerNightColor = new THREE.Color(0xff0000);   
-  
-  const towerTargetColor = new THREE.Color().copy(towerSunsetColor).lerp(towerNightColor, isNight);
+  // building windows: brightness and color from the lighting state, schedules from the hour
+  buildingLights.update({ time, hour: current.hour, intensity: current.windowLight, color: current.windowColor });
   
+  // Tokyo Tower lights: overall level from the time of day, colors and rhythm from the program
   let towerIntensity = 0;
   if (isSunset > 0.1) towerIntensity += isSunset * 0.6;
-  if (isNight > 0.1)  towerIntensity += isNight * (0.8 + towerPulse * 0.4);
-
-  scene.traverse((o) => {
-    if (o.userData.type === 'tower' && o.userData.towerGlow) {
-      o.userData.towerGlow.material.opacity = towerIntensity * 0.25;
-      o.userData.towerGlow.material.color.copy(towerTargetColor);
-    }
-
-    // light animation for Tokyo Tower
-    if (o.userData.type === 'tower' && o.userData.towerPointLights) {
-        const lights = o.userData.towerPointLights;
-        
-        const plBaseIntensity = towerIntensity * 30000; 
+  if (isNight > 0.1)  towerIntensity += isNight * 1.0;
 
-        lights.forEach((pl) => {
-            const lvl = pl.userData.levelIndex ?? 0;
-            const wave = Math.sin(time * 2.0 - lvl * 0.8) * 0.3 + 0.7;  
-            const targetPLIntensity = plBaseIntensity * wave;
+  const towerLevels = towerSequencer.update({
+    time,
+    hour: current.hour,
+    calendar: simClock.calendar(),
+    presetColor: current.towerColor,
+  });
 
-            pl.intensity = THREE.MathUtils.lerp(pl.intensity, targetPLIntensity, 0.1);
-        });
-    }
+  frameTimer.measure('animators', () => animations.update({
+    delta,
+    time,
+    night: isNight,
+    sunset: isSunset,
+    towerIntensity,
+    towerLevels,
+    towerFlood: Math.pow(THREE.MathUtils.clamp(towerLightState.cur, 0, 1), 2.0),
+    ibl: environment.source === 'sky' ? LIVE_SKY_IBL : current.ibl,
+  }));
+
+  postFX.update({ night: isNight, sunset: isSunset, daylight: daylightFactor() });
+  inspector.update();
+}
 
-    // light animation for lights on the bridge 
-    if (o.userData.type === 'bridge' && o.userData.bridgeLights) {
-        const bridgeBaseIntensity = (isSunset * 0.2 + isNight * 1.0) * 30000.0;
+// Illumination program (Y cycles programs by hand, Shift+Y back to the schedule)
+const towerSequencer = createTowerSequencer();
 
-        o.userData.bridgeLights.forEach((pl) => {
-            if (bridgeBaseIntensity < 100) {
-                pl.intensity = 0;
-                return;
-            }
+// Tokyo Tower: glow sprite, point lights and emissive color per level, all following the program
+animations.define('tower', (tower, frame) => {
+  const { delta, towerIntensity, towerLevels } = frame;
 
-            const seed = pl.userData.noiseSeed;
-            const t = time; 
-    
-            // Flicker
-            const flicker = Math.sin(t * 20.0 + seed) * 0.1 + 0.9;
+  // bloom does most of the glow when it's on; the sprite only adds a soft halo
+  tower.glow.material.opacity = towerIntensity * (postFX.effects.bloom ? 0.08 : 0.25);
+  tower.glow.material.color.setRGB(0, 0, 0);
+  for (let i = 0; i < tower.levelCount; i++) tower.glow.material.color.add(towerLevels[i].color);
+  tower.glow.material.color.multiplyScalar(1 / tower.levelCount);
 
-            // Slow pause
-            const pulse = Math.sin(t * 1.0 + seed * 0.5) * 0.2 + 0.8;
+  const plBaseIntensity = towerIntensity * lightTuning.towerPoint;
+  for (const pl of tower.lights) {
+    const level = towerLevels[pl.userData.levelIndex];
+    pl.color.copy(level.color);
+    pl.intensity = THREE.MathUtils.lerp(pl.intensity, plBaseIntensity * level.intensity, damp(0.1, delta));
+  }
 
-            // Glitch
-            const randomVal = Math.sin(t * 5.0 + seed * 13.0);
-            const glitch = randomVal > 0.96 ? 0.0 : 1.0;
+  // steady floodlight level, pulled a little toward the program's target
+  tower.gradient.update(towerLevels);
+  const emissive = THREE.MathUtils.lerp(frame.towerFlood, towerIntensity, 0.1);
+  for (const m of tower.materials) m.emissiveIntensity = emissive;
+});
 
-            const finalIntensity = bridgeBaseIntensity * flicker * pulse * glitch;
-            pl.intensity = THREE.MathUtils.lerp(pl.intensity, finalIntensity, 0.2);
-        });
+// Bridges: bulbs and reflections animate on the GPU, the real lights follow the same pattern
+animations.define('bridge', (bridge, { time, delta, night, sunset }) => {
+  const level = sunset * 0.2 + night * 1.0;
+  bridge.uniforms.uTime.value = time;
+  bridge.uniforms.uIntensity.value = level;
+
+  const bridgeBaseIntensity = level * lightTuning.bridgePoint;
+  for (const pl of bridge.lights) {
+    if (bridgeBaseIntensity < 100) {
+      pl.intensity = 0;
+      continue;
     }
+    const finalIntensity = bridgeBaseIntensity * bulbLevel(bridge.mode, pl.userData.phase, pl.userData.noiseSeed, time);
+    pl.intensity = THREE.MathUtils.lerp(pl.intensity, finalIntensity, damp(0.2, delta));
+  }
+});
 
-    // Light animation for yacht
-    if (o.userData.type === 'yacht') {
-        const pivot = o.userData.searchLightPivot;
-        const light = o.userData.searchLight;
+// Obstruction beacons: one flash for all of them, lit after dark
+animations.define('beacon', ({ flashing, steady }, { time, night }) => {
+  const flash = beaconFlash(time) * night;
+  for (const sprite of flashing) sprite.material.opacity = flash;
+  for (const sprite of steady) sprite.material.opacity = 0.7 * night;
+});
 
-        if (pivot && light) {
-            pivot.rotation.y += 0.015;
+// Yacht: rotating, color-cycling searchlight
+animations.define('yacht', ({ pivot, light, lamp }, { time, delta, night }) => {
+  pivot.rotation.y += 0.9 * delta;
 
-            // change over the time
-            const hue = (time * 0.1) % 1.0; 
-            light.color.setHSL(hue, 1.0, 0.5);
+  // change over the time
+  const hue = (time * 0.1) % 1.0;
+  light.color.setHSL(hue, 1.0, 0.5);
 
-            const targetIntensity = (isNight > 0.1) ? 50000 : 0; 
-            light.intensity = THREE.MathUtils.lerp(light.intensity, targetIntensity, 0.05);
-        }
-    }
+  const targetIntensity = (night > 0.1) ? lightTuning.searchlight : 0;
+  light.intensity = THREE.MathUtils.lerp(light.intensity, targetIntensity, damp(0.05, delta));
 
-    if (o.isMesh) {
-      const mats = Array.isArray(o.material) ? o.material : [o.material];
-      for (const m of mats) {
+  // visible lamp, bright enough (HDR) to bloom
+  lamp.material.color.copy(light.color).multiplyScalar(6.0 * light.intensity / lightTuning.searchlight);
+});
 
-        if (!m.userData.lightType) continue;
+// Boats: along their paths, riding the waves, with a wake and navigation lights
+animations.define('boat', (boat, { time, night }) => {
+  boat.update({
+    time,
+    night,
+    daylight: daylightFactor(),
+    swell: weather.state.waves,
+    waterHeight: ocean.heightAt,
+    viewer: camera.position,
+  });
+});
 
-        if (m.userData.lightType === 'tower') {
-          m.emissive.copy(towerTargetColor);
-          m.emissiveIntensity = THREE.MathUtils.lerp(m.emissiveIntensity, towerIntensity, 0.1);
-        }
-        else if (m.userData.lightType === 'bridge') {
-          m.emissive.setHex(0x000000);
-          m.emissiveIntensity = 0.0;
-        }
-      }
-    }
+// Light trails replace the cars in the poster view when on (Z toggles them)
+let trafficTrails = false;
+
+// Traffic: cars along the streets and bridge decks, or their long-exposure trails
+animations.define('traffic', (traffic, { time, night, sunset }) => {
+  traffic.update({
+    time,
+    night,
+    sunset,
+    // a long exposure needs a camera that stands still
+    trails: trafficTrails && cameraController.mode === 'poster',
+    viewer: camera.position,
   });
+});
 
-  renderer.render( scene, camera );
-  
+// 0 at night .. 1 in full daylight
+function daylightFactor() {
+  return THREE.MathUtils.smoothstep(current.elev, -6.0, 10.0);
 }
 
-function updateSkyAndLights() {
-  if (envMap) scene.environment = envMap;
+const overcastFogColor = new THREE.Color(0x8a9099);
+
+function updateSkyAndLights(delta) {
+  environment.use(current.environment);
+
+  if (clockEnabled) {
+    simClock.advance(delta);
+    sampleClock();
+    // a running transition eases toward the live clock state
+    if (transition) transition.to = clockState;
+    else copyLightingState(current, clockState);
+  }
 
   if (transition) {
-    const now = performance.now();
-    let t = (now - transition.t0) / transition.dur;
+    let t = (sceneTime.elapsed - transition.t0) / transition.dur;
     if (t >= 1) { t = 1; }
     t = smoothstep(t);
 
-    const a = transition.from;
-    const b = transition.to;
-
-    current.exposure = lerp(a.exposure, b.exposure, t);
-    current.amb      = lerp(a.amb, b.amb, t);
-    current.sunInt   = lerp(a.sunInt, b.sunInt, t);
-
-    current.turbidity = lerp(a.turbidity, b.turbidity, t);
-    current.rayleigh  = lerp(a.rayleigh, b.rayleigh, t);
-    current.mieC      = lerp(a.mieC, b.mieC, t);
-    current.mieG      = lerp(a.mieG, b.mieG, t);
-
-    current.elev = lerp(a.elev, b.elev, t);
-    current.azim = lerp(a.azim, b.azim, t);
-
-    current.sunKelvin = lerp(a.sunKelvin ?? 6500, b.sunKelvin ?? 6500, t);
-
-
-    current.stars = lerp(a.stars, b.stars, t);
-
-    current.hemiInt = lerp(a.hemiInt, b.hemiInt, t);
-    current.hemiSky.copy(a.hemiSky).lerp(b.hemiSky, t);
-    current.hemiGround.copy(a.hemiGround).lerp(b.hemiGround, t);
-
-    current.fogDensity = lerp(a.fogDensity, b.fogDensity, t);
-    current.fogColor.copy(a.fogColor).lerp(b.fogColor, t);
-
+    blendLightingState(current, transition.from, transition.to, t);
 
     if (t === 1) transition = null;
   }
+  updateClockHud();
 
- 
-  
   const elev = current.elev;
   const nearHorizon = 1.0 - THREE.MathUtils.smoothstep(elev, 8.0, 25.0);
   const notDeepNight = THREE.MathUtils.smoothstep(elev, -18.0, -8.0);
@@ -859,8 +1038,12 @@ function updateSkyAndLights() {
   // apply to renderer/lights/sky
   renderer.toneMappingExposure = current.exposure;
 
-  ambientLight.intensity = current.amb;
-  directionalLight.intensity = current.sunInt;
+  // weather: clouds dim the sun and lift the ambient, precipitation thickens the fog
+  const w = weather.state;
+  const daylight = daylightFactor();
+
+  ambientLight.intensity = current.amb + 0.2 * w.clouds * daylight;
+  directionalLight.intensity = current.sunInt * (1.0 - 0.85 * w.clouds);
   directionalLight.color.copy(current.sunColor);
   {
     const sunsetTint = new THREE.Color(1.0, 0.78, 0.58);
@@ -870,19 +1053,21 @@ function updateSkyAndLights() {
   
 
   // Hemisphere light (sky fill)
-  hemi.intensity = current.hemiInt;
+  hemi.intensity = current.hemiInt + 0.15 * w.clouds * daylight;
   hemi.color.copy(current.hemiSky);
   hemi.groundColor.copy(current.hemiGround);
 
   // Fog for distance falloff (smooth!)
-  if (current.fogDensity > 0) {
-    scene.fog = new THREE.FogExp2(current.fogColor.getHex(), current.fogDensity);
+  const fogDensity = current.fogDensity + w.clouds * 0.0002 + w.rain * 0.0008 + w.snow * 0.0012;
+  if (fogDensity > 0) {
+    const fogColor = current.fogColor.clone().lerp(overcastFogColor, 0.5 * w.clouds * daylight);
+    scene.fog = new THREE.FogExp2(fogColor.getHex(), fogDensity);
   } else {
     scene.fog = null;
   }
   
-  skyUniforms['turbidity'].value = current.turbidity;
-  skyUniforms['rayleigh'].value = current.rayleigh;
+  skyUniforms['turbidity'].value = current.turbidity + 10.0 * w.clouds;
+  skyUniforms['rayleigh'].value = current.rayleigh * (1.0 - 0.5 * w.clouds);
   skyUniforms['mieCoefficient'].value = current.mieC;
   skyUniforms['mieDirectionalG'].value = current.mieG;
 
@@ -893,29 +1078,23 @@ function updateSkyAndLights() {
   const sunDist = 1200; 
   sunSprite.position.copy(camera.position).addScaledVector(sun, sunDist);
   sunSprite.quaternion.copy(camera.quaternion);
-  sunSprite.material.opacity = THREE.MathUtils.clamp(current.sunInt * 1.2, 0.0, 1.0);
-
-  const delta = clock.getDelta();
-  if(water){
-    
-
-    water.material.uniforms['time'].value += delta * 0.10;
-
-
-    waterNormals.offset.x += waveDir.x * waveSpeed * delta;
-    waterNormals.offset.y += waveDir.y * waveSpeed * delta;
-
-    water.material.uniforms['sunDirection'].value.copy(sun).normalize();
-    water.material.uniforms['sunColor'].value.copy(directionalLight.color);
-
-  }
+  sunSprite.material.opacity = THREE.MathUtils.clamp(current.sunInt * 1.2, 0.0, 1.0) * (1.0 - w.clouds);
+
+  ocean.update({
+    time: sceneTime.elapsed,
+    delta,
+    sunDirection: sun,
+    sunColor: directionalLight.color,
+    waterColor: current.waterColor,
+    waveScale: w.waves,
+    daylight: daylightFactor(),
+  });
   const s = ensureStars();
   if (s) {
-    s.material.uniforms.uOpacity.value = current.stars*1.3;
-    s.material.uniforms.uTime.value = performance.now() * 0.001; 
+    s.material.uniforms.uOpacity.value = current.stars*1.3 * (1.0 - 0.9 * w.clouds);
+    s.material.uniforms.uTime.value = sceneTime.elapsed; 
   }
   if (stars) stars.position.copy(camera.position);
-  applyIBLIntensity(lighting.ibl);
   // ---- target intensity  ----
   const towerTarget =
     current.stars > 0.5 ? 0.55 :   // night
@@ -927,32 +1106,6 @@ function updateSkyAndLights() {
   const k = 1.0 - Math.exp(-speed * delta);       
   towerLightState.cur += (towerTarget - towerLightState.cur) * k;
 
-  // ---- apply to tower ----
-  scene.traverse((o) => {
-    if (!o.isGroup || !o.userData.isTokyoTower) return;
-
-    o.traverse((msh) => {
-      if (!msh.isMesh) return;
-      const mats = Array.isArray(msh.material) ? msh.material : [msh.material];
-
-      for (const mat of mats) {
-        if (!mat || !mat.emissive) continue;
-        const towerOpacity = 1.0;
-        const shaped = Math.pow(THREE.MathUtils.clamp(towerLightState.cur, 0, 1),2.0);
-        mat.emissiveIntensity = shaped * towerOpacity;
-
-      }
-    });
-  });
-  const g = Math.pow(THREE.MathUtils.clamp(towerLightState.cur, 0, 1), 2.2);
-  const glowOpacity = THREE.MathUtils.clamp(g * 0.18, 0.0, 0.18);
-
-  scene.traverse((o) => {
-    if (!o.isGroup || !o.userData.isTokyoTower) return;
-
-    const glow = o.userData.towerGlow;
-    if (glow) glow.material.opacity = glowOpacity;
-  });
   const maxPoint =
     current.stars > 0.5 ? 1.0 :
     current.elev < 6.0  ? 0.5 :
@@ -960,32 +1113,37 @@ function updateSkyAndLights() {
 
   towerLight.intensity = towerLightState.cur * maxPoint;
 
-  scene.traverse((o) => {
-    if (!o.isGroup || !o.userData.isTokyoTower) return;
-    const glow = o.userData.towerGlow;
-    if (glow) glow.quaternion.copy(camera.quaternion);
-  });
-
   
 }
 
 
 
+// Default light rigs, overridable per instance through `lights` in the manifest
+const DEFAULT_TOWER_LEVELS = [
+  { y: 2.0,  radius: 3.8, dist: 35 },
+  { y: 7.0,  radius: 3.0, dist: 30 },
+  { y: 11.5, radius: 2.0, dist: 25 },
+  { y: 16.5, radius: 1.0, dist: 25 },
+  { y: 21.0, radius: 0.4, dist: 20 }
+];
+const DEFAULT_YACHT_LIGHTS = { height: 300, range: 3000, navigation: true };
+
 /**
- * Load and position a GLTF/GLB 3D model in the scene
- * @param {string} url - Path to the model file
- * @param {THREE.Vector3} position - World position (x, y, z)
- * @param {number} scale - Uniform scale multiplier (1 = original size)
- * @param {number} rotationY - Y-axis rotation in radians (0 to Math.PI*2)
+ * Load and position a GLTF/GLB 3D model described by a scene manifest entry
+ * @param {object} entry - Validated instance from the scene manifest
+ * @param {string} entry.asset - Path to the model file
+ * @param {string} entry.role - 'tower' | 'bridge' | 'yacht' | 'building' | 'terrain'
+ * @param {number[]} entry.position - World position [x, y, z]
+ * @param {number} entry.scale - Uniform scale multiplier (1 = original size)
+ * @param {number} entry.rotationY - Y-axis rotation in radians (0 to Math.PI*2)
+ * @param {object} entry.materials - Material overrides (envMapIntensity, roughness, metalness)
+ * @param {object} entry.lights - Light rig options for the role
+ * @param {object} entry.boat - Yachts: path, speed, swell and wake
+ * @returns {Promise<THREE.Group|null>} Resolves once the model is in the scene (null if it failed)
  */
-function baseDirFromUrl(url) {
-  return url.slice(0, url.lastIndexOf('/') + 1);
-}
-
-function loadModel(url, position, scale = 1, rotationY = 0) {
-  const baseDir = baseDirFromUrl(url);
-
-  const manager = new THREE.LoadingManager();
+function loadModel(entry) {
+  const { asset: url, role, scale, rotationY } = entry;
+  const position = new THREE.Vector3().fromArray(entry.position);
 
   // ---------- log helpers ----------
   const logGroup = (title, fn) => {
@@ -993,43 +1151,8 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
     try { fn?.(); } finally { console.groupEnd(); }
   };
 
-  manager.onError = (u) => {
-    console.error(
-      `[LoadingManager] failed\n` +
-      `  url: ${u}\n` +
-      `  baseDir: ${baseDir}`
-    );
-  };
-
-  // ---------- URL modifier ----------
-  manager.setURLModifier((requestedURL) => {
-    // Allow embedded and remote resources
-    if (/^(data:|blob:|https?:)/i.test(requestedURL)) {
-      return requestedURL;
-    }
-
-    // Allow absolute paths
-    if (requestedURL.startsWith('/')) {
-      return requestedURL;
-    }
-
-    // Resolve relative paths against model directory
-    const fixed = baseDir + requestedURL;
-
-    logGroup(`[URLModifier] ${url.split('/').pop()}`, () => {
-      console.log(`requested:\n  ${requestedURL}`);
-      console.log(`resolved:\n  ${fixed}`);
-    });
-
-    return fixed;
-  });
-
-  const loader = new GLTFLoader(manager);
-  loader.setResourcePath(baseDir);
-
-  loader.load(
-    url,
-    (gltf) => {
+  return assets.load(GLTFLoader, url)
+    .then((gltf) => {
       const model = gltf.scene;
 
       // ---------- texture inspection ----------
@@ -1113,14 +1236,14 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
         o.castShadow = true;
         o.receiveShadow = true;
       });
-      if (url.includes('/models/tokyo_tower/')) {
+      if (role === 'tower') {
         model.traverse((o) => {
           if (!o.isMesh) return;
           const mats = Array.isArray(o.material) ? o.material : [o.material];
           for (const m of mats) {
             if (!m || !(m.isMeshStandardMaterial || m.isMeshPhysicalMaterial)) continue;
 
-            
+          
             m.emissive = new THREE.Color(0xffb36b);
             m.emissiveIntensity = 0.0; 
             m.needsUpdate = true;
@@ -1140,9 +1263,10 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
         group.userData.isTokyoTower = true;
       }
 
-    
+  
 
       group.userData.name = url.split('/').pop();
+      group.userData.id = entry.id;
       group.userData.originalScale = scale;
 
       // Apply one-time material fixes
@@ -1161,26 +1285,18 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
 
           // Environment intensity for PBR materials
           if (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial) {
-            m.envMapIntensity = lighting.ibl;
+            m.envMapIntensity = current.ibl;
           }
 
           m.needsUpdate = true;
         }
       });
 
-      // for different types use different light effect
-      const urlLower = url.toLowerCase();
-      
-      const isTower = urlLower.includes('tokyo_tower');
-      const isBridge = urlLower.includes('bridge');
-      const isYacht = urlLower.includes('yacht');
-      const isBuilding = !isTower && !isBridge && (
-        urlLower.includes('building') || 
-        urlLower.includes('hotel') || 
-        urlLower.includes('apartment') || 
-        urlLower.includes('millefiori') 
-        // urlLower.includes('mori')
-      );
+      // for different roles use different light effect
+      const isTower = role === 'tower';
+      const isBridge = role === 'bridge';
+      const isYacht = role === 'yacht';
+      const isBuilding = role === 'building';
 
       // Tokyo Tower
       if (isTower) {
@@ -1189,14 +1305,8 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
 
         const towerLights = [];
 
-        // 5 levels of lights
-        const levels = [
-          { y: 2.0,  radius: 3.8, color: 0xff7700, dist: 35 }, 
-          { y: 7.0,  radius: 3.0, color: 0xff6600, dist: 30 }, 
-          { y: 11.5, radius: 2.0, color: 0xff5500, dist: 25 }, 
-          { y: 16.5, radius: 1.0, color: 0xff4400, dist: 25 }, 
-          { y: 21.0, radius: 0.4, color: 0xff2200, dist: 20 } 
-        ];
+        // levels of lights (5 by default)
+        const levels = entry.lights.levels ?? DEFAULT_TOWER_LEVELS;
 
         levels.forEach((lvl, levelIndex) => {
             const offsets = [
@@ -1205,12 +1315,12 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
                 {x: -lvl.radius, z: lvl.radius},
                 {x: -lvl.radius, z: -lvl.radius}
             ];
-            
+          
             // attributes adjustment
             offsets.forEach((off) => {
                 const range = lvl.dist * scale; 
-                const pl = new THREE.PointLight(lvl.color, 0, range, 2.0);
-                
+                const pl = new THREE.PointLight(0xffffff, 0, range, 2.0);
+              
                 pl.position.set(off.x, lvl.y, off.z);
                 pl.userData.levelIndex = levelIndex; 
 
@@ -1219,6 +1329,8 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
             });
         });
         group.userData.towerPointLights = towerLights;
+        group.userData.towerLevelCount = levels.length;
+        group.userData.towerGradient = createTowerGradient(levels.map((lvl) => position.y + lvl.y * scale));
 
         // Sprite
         const glow = createSunSprite();               
@@ -1230,148 +1342,166 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
         group.add(glow);
         group.userData.towerGlow = glow;             
       }
-      
+    
       // Bridge
       if (isBridge) {
         group.userData.type = 'bridge';
-        
-        const box = new THREE.Box3().setFromObject(model);
-        const size = new THREE.Vector3();
-        box.getSize(size);
-        const center = new THREE.Vector3();
-        box.getCenter(center);
-        
-        // confirm direction
-        const isAlongX = size.x > size.z;
-        const length = isAlongX ? size.x : size.z;
-        
-        // generate 10 lights over the bridge
-        const lightCount = 10; 
-        
-        const padding = length * 0.1; 
-        const startPos = (-length / 2) + padding;
-        const totalLen = length - (padding * 2);
-        const step = totalLen / (lightCount - 1);
-
-        const bridgeLights = [];
-
-        for (let i = 0; i < lightCount; i++) {
-            const currentPos = startPos + i * step;
-            const range = 80 * scale; 
-            
-            // color: white
-            const pl = new THREE.PointLight(0xaaccff, 0, range, 2.0);
-
-            const yOffset = 15; 
-            
-            if (isAlongX) {
-                pl.position.set(currentPos, center.y + yOffset, center.z);
-            } else {
-                pl.position.set(center.x, center.y + yOffset, currentPos);
-            }
 
-            pl.userData.noiseSeed = Math.random() * 1000.0;
-            
-            group.add(pl);
-            bridgeLights.push(pl);
-        }
-        
-        group.userData.bridgeLights = bridgeLights;
+        // bulbs along the deck edges and cables, their reflections and a few real lights
+        const rig = createBridgeRig(group, model, {
+          ...entry.lights,
+          waterLevel: waterY,
+          random: randomStream(`bridge:${entry.id}`),
+        });
+        scene.add(rig.object);
+        postFX.markBloom(rig.bulbs);
+
+        group.userData.bridgeLights = rig.lights;
+        group.userData.bridgeRig = rig;
+        animations.register('bridge', rig);
       }
 
       // buildibngs
       if (isBuilding) group.userData.type = 'building';
 
+      // emissive tower and window lights glow through the bloom pass
+      if (isTower || isBuilding) postFX.markBloom(group);
+
       // yacht
       if (isYacht) {
         group.userData.type = 'yacht';
-        
+      
+        const rig = { ...DEFAULT_YACHT_LIGHTS, ...entry.lights };
+
         const pivot = new THREE.Object3D();
-        pivot.position.set(0, 300, 0); 
+        pivot.position.set(0, rig.height, 0); 
         group.add(pivot);
 
-        const spotLight = new THREE.SpotLight(0xffffff, 0, 3000, 0.6, 0.2, 2.0);
-        
+        const spotLight = new THREE.SpotLight(0xffffff, 0, rig.range, 0.6, 0.2, 2.0);
+      
         // Initialize with random color
-        spotLight.color.setHSL(Math.random(), 1.0, 0.5);
+        spotLight.color.setHSL(randomStream(`yacht:${entry.id}`)(), 1.0, 0.5);
 
         spotLight.position.set(0, 0, 0); 
         spotLight.castShadow = false;
         spotLight.shadow.bias = -0.0001;
         spotLight.shadow.mapSize.set(1024, 1024);
-        
+      
         const target = new THREE.Object3D();
         target.position.set(0, -500, 800); 
-        
+      
         pivot.add(target);
         spotLight.target = target;
         pivot.add(spotLight);
 
+        const lamp = new THREE.Mesh(
+          new THREE.SphereGeometry(60, 16, 8),
+          new THREE.MeshBasicMaterial({ color: 0x000000, toneMapped: false })
+        );
+        pivot.add(lamp);
+        postFX.markBloom(lamp);
+
         group.userData.searchLightPivot = pivot;
         group.userData.searchLight = spotLight;
+        group.userData.searchLightLamp = lamp;
+        animations.register('yacht', { pivot, light: spotLight, lamp });
+
+        // cruising along its path with a wake and navigation lights
+        const boat = createBoat(group, box.clone().translate(model.position), entry.boat, {
+          waterLevel: waterY,
+          navigation: rig.navigation,
+          random: randomStream(`boat:${entry.id}`),
+        });
+        if (boat.wake) scene.add(boat.wake);
+        for (const light of Object.values(boat.navLights)) postFX.markBloom(light);
+        group.userData.boat = boat;
+        animations.register('boat', boat);
       }
 
       // Matiral Initialization
+      const towerMaterials = new Set();
       model.traverse((o) => {
         if (!o.isMesh) return;
         const mats = Array.isArray(o.material) ? o.material : [o.material];
 
         for (const m of mats) {
           if (!m || !(m.isMeshStandardMaterial || m.isMeshPhysicalMaterial)) continue;
-          
+        
           m.emissive = new THREE.Color(0x000000);
           m.emissiveIntensity = 0.0; 
 
           if (isTower) {
              m.userData.lightType = 'tower';
+             m.emissive.set(0xffffff);  // tinted per level by the gradient
              m.emissiveIntensity = 0.0; 
+             group.userData.towerGradient.enhance(m);
+             towerMaterials.add(m);
           } else if (isBridge) {
              m.userData.lightType = 'bridge';
              m.emissiveIntensity = 1.0; 
           } else if (isBuilding) {
              m.userData.lightType = 'building';
-             enhanceCityMaterial(m); 
-             
           }
         }
       });
 
-      // Model-specific fixes
-      if (url.includes('/models/le_millefiori/')) {
-        // SpecGloss-converted materials often need a boost
-        model.traverse((o) => {
-          if (!o.isMesh) return;
-          const materials = Array.isArray(o.material) ? o.material : [o.material];
-          for (const m of materials) {
-            if (!m) continue;
-            if (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial) {
-              m.envMapIntensity = Math.max(m.envMapIntensity ?? 1.0, 1.6);
-              // Optional: reduce roughness slightly if it looks too flat
-              // m.roughness = Math.min(m.roughness ?? 1.0, 0.85);
-              m.needsUpdate = true;
-            }
-          }
+      if (isBuilding && entry.windows !== false) {
+        buildingLights.addBuilding(group, entry.windows, randomStream(`building:${entry.id}`)());
+      }
+
+      if (isTower) {
+        animations.register('tower', {
+          glow: group.userData.towerGlow,
+          lights: group.userData.towerPointLights,
+          levelCount: group.userData.towerLevelCount,
+          gradient: group.userData.towerGradient,
+          materials: [...towerMaterials],
         });
       }
 
-      if (url.includes('/models/mori_building/')) {
-        // Mori GLB may look dull if exposure is low; keep textures correct and boost env a bit
+      // Per-instance material overrides from the manifest
+      if (Object.keys(entry.materials).length) {
         model.traverse((o) => {
           if (!o.isMesh) return;
           const materials = Array.isArray(o.material) ? o.material : [o.material];
           for (const m of materials) {
-            if (!m) continue;
-            if (m.map) m.map.colorSpace = THREE.SRGBColorSpace;
-            if (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial) {
-              m.envMapIntensity = Math.max(m.envMapIntensity ?? 1.0, 1.4);
-              m.needsUpdate = true;
-            }
+            if (!m || !(m.isMeshStandardMaterial || m.isMeshPhysicalMaterial)) continue;
+            applyMaterialOverrides(m, entry.materials);
           }
         });
       }
 
+      // wet-surface darkening (after overrides so their values are the dry baseline)
+      // and environment intensity following the lighting state
+      const pbrMaterials = new Set();
+      model.traverse((o) => {
+        if (!o.isMesh) return;
+        const materials = Array.isArray(o.material) ? o.material : [o.material];
+        for (const m of materials) {
+          if (m && (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial)) pbrMaterials.add(m);
+        }
+      });
+      for (const m of pbrMaterials) {
+        weather.registerSurface(m);
+        animations.register('ibl', m);
+      }
 
       scene.add(group);
+      inspector.addModel(group);
+
+      // islands and bridge supports calm the waves and gather foam around them
+      if (role === 'terrain' || isBridge) ocean.addObstacle(group, { base: isBridge });
+
+      // aviation obstruction lights on whatever is tall enough (the tower's sit on its mast)
+      if (isTower || isBuilding) {
+        const beacons = createBeaconRig(group, box.clone().translate(model.position), { single: isTower });
+        if (beacons) {
+          scene.add(beacons.object);
+          postFX.markBloom(beacons.object);
+          group.userData.beacons = beacons;
+          animations.register('beacon', beacons);
+        }
+      }
 
       const finalBox = new THREE.Box3().setFromObject(group);
       console.log(`[GLTF] Loaded ${group.userData.name}`, {
@@ -1380,16 +1510,136 @@ function loadModel(url, position, scale = 1, rotationY = 0) {
         rotationY,
         size: finalBox.getSize(new THREE.Vector3())
       });
-    },
-    undefined,
-    (err) => {
+      return group;
+    })
+    .catch((err) => {
       console.error(
         `[GLTFLoader] load failed\n` +
+        `  id: ${entry.id}\n` +
         `  url: ${url}`,
         err
       );
+      addPlaceholder(entry);
+      loadingScreen.warn(`${entry.id}: model failed to load, showing a placeholder`);
+      return null;
+    });
+}
+
+/**
+ * Generate the procedural district around the loaded models
+ * @param {object} city - Manifest `city` block (see CITY_DEFAULTS)
+ * @param {object[]} instances - Manifest instances (their buildings are the default glTF set)
+ * @param {(THREE.Group|null)[]} groups - loadModel() results, kept clear of new buildings
+ * @returns {Promise<THREE.Group|null>} Resolves once the district is in the scene
+ */
+function loadCity(city, instances, groups) {
+  const config = cityConfig(city);
+  // by default one of each building model in the manifest, at its manifest scale
+  const sources = config.assets ?? [...new Map(
+    instances.filter((e) => e.role === 'building').map((e) => [e.asset, { asset: e.asset, scale: e.scale }])
+  ).values()];
+
+  const loads = sources.map(({ asset, scale = 1 }) => assets.load(GLTFLoader, asset)
+    .then((gltf) => {
+      const model = gltf.scene;
+      const box = new THREE.Box3().setFromObject(model);
+      const center = box.getCenter(new THREE.Vector3());
+      model.position.set(-center.x, -box.min.y, -center.z);
+      const root = new THREE.Group();
+      root.add(model);
+      root.scale.setScalar(scale);
+      return root;
+    })
+    .catch((err) => {
+      // the city still goes up, just without this model
+      console.warn(`[City] ${asset} failed to load, using boxes instead`, err);
+      return null;
+    }));
+
+  return Promise.all(loads).then((models) => {
+    const district = createCity(config, {
+      random: randomStream('city'),
+      isLand: (x, z) => onLand(ocean.config.shoreline, x, z),
+      footprints: groups.filter(Boolean).map((g) => new THREE.Box3().setFromObject(g)),
+      models: models.filter(Boolean),
+    });
+    const group = district.object;
+    group.userData.id = 'city';
+    group.userData.type = 'city';
+
+    // the same material fixes loadModel applies to buildings
+    for (const m of district.materials) {
+      if (m.map) m.map.colorSpace = THREE.SRGBColorSpace;
+      if (m.isMeshStandardMaterial || m.isMeshPhysicalMaterial) {
+        m.envMapIntensity = current.ibl;
+        m.emissive = new THREE.Color(0x000000);
+        m.emissiveIntensity = 0.0;
+        m.userData.lightType = 'building';
+        weather.registerSurface(m);
+        animations.register('ibl', m);
+      }
+      m.needsUpdate = true;
     }
-  );
+
+    if (config.windows !== false) buildingLights.addBuilding(group, config.windows, randomStream('city:windows')());
+    postFX.markBloom(group);
+    group.userData.streets = district.streets;
+    scene.add(group);
+    return group;
+  });
+}
+
+/**
+ * Put cars on the city's streets, the bridge decks and the manifest's roads
+ * @param {object} traffic - Manifest `traffic` block (see TRAFFIC_DEFAULTS)
+ * @param {THREE.Group|null} city - loadCity() result, for its streets
+ * @param {(THREE.Group|null)[]} groups - loadModel() results, for the bridge decks
+ */
+function addTraffic(traffic, city, groups) {
+  const config = trafficConfig(traffic);
+  const onGround = (p) => (p.length === 2 ? [p[0], 0, p[1]] : p);
+
+  const roads = [];
+  if (config.streets && city) {
+    for (const [from, to] of city.userData.streets) roads.push({ points: [onGround(from), onGround(to)] });
+  }
+  if (config.bridges) {
+    for (const group of groups) {
+      const deck = group?.userData.bridgeRig?.deck;
+      if (deck) roads.push({ points: [deck.from.toArray(), deck.to.toArray()] });
+    }
+  }
+  for (const road of config.roads) roads.push({ points: road.path.map(onGround), closed: road.closed });
+
+  const rig = createTraffic({ roads, random: randomStream('traffic'), config });
+  scene.add(rig.object);
+  postFX.markBloom(rig.lamps);
+  postFX.markBloom(rig.trails);
+  weather.registerSurface(rig.bodies.material);
+  animations.register('ibl', rig.bodies.material);
+  animations.register('traffic', rig);
+  trafficTrails = sceneLink.trails ?? config.trails;
+  console.log(`[Traffic] ${rig.cars.length} car(s) on ${roads.length} road(s)`);
+}
+
+const placeholderMaterial = new THREE.MeshBasicMaterial({
+  color: 0xff00aa,
+  wireframe: true,
+  fog: false,
+});
+
+// Stand-in box where a model failed to load, so the gap in the scene is obvious
+function addPlaceholder(entry) {
+  const size = 30;
+  const box = new THREE.Mesh(new THREE.BoxGeometry(size, size * 2, size), placeholderMaterial);
+  box.position.fromArray(entry.position);
+  box.position.y += size;
+  box.rotation.y = entry.rotationY;
+  box.name = `placeholder:${entry.id}`;
+  box.userData.type = 'placeholder';
+  box.userData.id = entry.id;
+  scene.add(box);
+  return box;
 }
 
 function dumpLights(){
@@ -1416,7 +1666,7 @@ function dumpLights(){
 }
 
 window.addEventListener('keydown', (e)=>{
-  if (e.key.toLowerCase()==='l') dumpLights();
+  if (e.key.toLowerCase()==='l' && !e.shiftKey) dumpLights();
 });
 const lightHelpers = [];
 function toggleLightHelpers(on){
@@ -1455,43 +1705,167 @@ window.addEventListener('keydown', (e)=>{
   }
 });
 
+// Inspector: live lighting, sky, fog, water, light rigs and model transforms; click a model to pick it
+let loadedManifest = null;
+const inspector = createInspector({
+  scene,
+  camera,
+  canvas: renderer.domElement,
+  state: current,
+  environments: Object.keys(ENVIRONMENTS),
+  ocean,
+  weather,
+  tuning: lightTuning,
+  shadows,
+  // hand-tuned values stay put: no clock, no transition pulling them back
+  onEdit: () => {
+    clockEnabled = false;
+    transition = null;
+  },
+  // rigs kept in world space follow the model they belong to
+  onTransform: (group) => {
+    group.userData.bridgeRig?.place();
+    group.userData.beacons?.place();
+    buildingLights.moveBuilding(group);
+  },
+  actions: {
+    'Save preset': () => {
+      const name = window.prompt('Save lighting preset as', 'custom');
+      if (!name) return;
+      const json = savePreset(name, current);
+      const text = JSON.stringify({ presets: { [name]: json } }, null, 2);
+      download(new Blob([text], { type: 'application/json' }), `${name}.json`);
+      console.log(`[Lighting] saved preset "${name}"`);
+    },
+    'Download manifest': () => {
+      if (!loadedManifest) return;
+      const json = manifestToJSON(loadedManifest, { transforms: inspector.transforms, ocean: inspector.ocean });
+      const text = JSON.stringify(json, null, 2);
+      download(new Blob([text], { type: 'application/json' }), `${loadedManifest.name}.json`);
+    },
+    'Dump lights': dumpLights,
+    'Light helpers': () => {
+      showLH = !showLH;
+      toggleLightHelpers(showLH);
+    },
+  },
+});
 
-// ============================================
-// MODEL PLACEMENT
-// Position format: new THREE.Vector3(x, y, z)
-// Rotation format: Math.PI * multiplier (e.g., Math.PI / 2 = 90°)
-// ============================================
+// Inspector HotKey: I shows / hides the panel
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() === 'i') inspector.toggle();
+});
 
-// Tokyo Tower - centered at origin, larger scale
-loadModel('/models/tokyo_tower/scene.gltf', new THREE.Vector3(0, 0, 0), 12);
+// Scene links: the look of the scene (lighting, camera, effects, weather, tower program, traffic
+// trails, seed) in the URL hash. Opening a link restores it; Shift+L copies one.
+function readSceneLink() {
+  const { state, errors } = decodeSceneLink(window.location.hash);
+  if (errors.length) console.warn(`[SceneLink] ignoring part of the link\n  ${errors.join('\n  ')}`);
+  return state;
+}
 
-// Office buildings arranged around the tower
-loadModel('/models/anime_style_-_office_building/scene.gltf', new THREE.Vector3(10, 0, 60), 0.25, Math.PI * 1.9);
-loadModel('/models/building_no_6_form_tokyo_otemachi_building_pack_gltf/scene.gltf', new THREE.Vector3(-5, 0, 40), 0.6);
-loadModel('/models/building_no_19_form_tokyo_otemachi_building_pack_gltf/scene.gltf', new THREE.Vector3(-30, 0, 30), 0.5);
-loadModel('/models/building_no_6_form_tokyo_otemachi_building_pack_gltf/scene.gltf', new THREE.Vector3(120, 0, 40), 0.6);
-loadModel('/models/building_no_19_form_tokyo_otemachi_building_pack_gltf/scene.gltf', new THREE.Vector3(-180, 0, -80), 0.9);
+function sceneLinkURL() {
+  const url = new URL(window.location.href);
+  url.hash = encodeSceneLink({
+    seed: getSeed(),
+    lighting: presetToJSON(current),
+    camera: cameraController.getPose(),
+    effects: EFFECTS.filter((name) => postFX.effects[name]),
+    lut: postFX.lutName,
+    weather: weather.name,
+    tower: towerSequencer.manual,
+    trails: trafficTrails,
+  });
+  return url.href;
+}
 
-// High-rise buildings scattered around
-loadModel('/models/hi_rise_apartment_building/scene.gltf', new THREE.Vector3(100, 0, -10), 0.007);
-loadModel('/models/high_rise_building_gltf/scene.gltf', new THREE.Vector3(60, 0, -10), 1);
-loadModel('/models/le_millefiori/scene_mr.gltf', new THREE.Vector3(-120, 0, -40), 0.02);
+function applySceneLink(link) {
+  if (link.lighting) {
+    try {
+      // the linked look holds still: no clock, no transition
+      copyLightingState(current, presetFromJSON(link.lighting, 'link'));
+      clockEnabled = false;
+      transition = null;
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+  if (link.camera) cameraController.setPose(link.camera, false);
+  if (link.effects) {
+    for (const name of link.effects) if (!EFFECTS.includes(name)) console.warn(`[SceneLink] unknown effect "${name}"`);
+    for (const name of EFFECTS) postFX.setEffect(name, link.effects.includes(name));
+  }
+  if (link.lut) postFX.setLUT(link.lut);
+  if (link.weather) weather.setWeather(link.weather);
+  // the program may come from the ?tower= file
+  if (link.tower) towerProgramsReady.then(() => towerSequencer.use(link.tower));
+  if (link.trails !== undefined) trafficTrails = link.trails;
+}
 
+applySceneLink(sceneLink);
 
-// Hotels with various rotations
-loadModel('/models/marriott_hotel_3_wtc_gltf/scene.gltf', new THREE.Vector3(120, 0, -50), 0.4, Math.PI * 1.3);
-loadModel('/models/marriott_hotel_3_wtc_gltf/scene.gltf', new THREE.Vector3(-130, 0, 30), 0.25, Math.PI / 3);
+// a link pasted over the current one applies without a reload, all but the seed
+window.addEventListener('hashchange', () => {
+  const link = readSceneLink();
+  if (link.seed !== undefined && link.seed >>> 0 !== getSeed()) console.warn('[SceneLink] reload the page to use the link\'s seed');
+  applySceneLink(link);
+});
 
-// Mori building
-// loadModel('/models/mori_building/MoriBuilding.glb', new THREE.Vector3(-90, 0, -80), 0.62, Math.PI / 3);
+// Scene link HotKey: Shift+L puts a link to the current look in the address bar and the clipboard
+window.addEventListener('keydown', (e) => {
+  if (e.key.toLowerCase() !== 'l' || !e.shiftKey) return;
+  const url = sceneLinkURL();
+  window.history.replaceState(null, '', url);
+  const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('no clipboard'));
+  copied
+    .then(() => console.log(`[SceneLink] copied ${url}`))
+    .catch(() => console.log(`[SceneLink] copy it from the address bar: ${url}`));
+});
 
-// Yacht in water area
-loadModel('/models/yacht/scene.gltf', new THREE.Vector3(-5, 0, 340), 0.01, Math.PI * 1.3);
 
-// Manhattan bridges on sides (elevated Y=20)
-loadModel('/models/lowpoly_manhattan_bridge_gltf/scene.gltf', new THREE.Vector3(170, 20, 170), 0.57, Math.PI / 2);
-loadModel('/models/lowpoly_manhattan_bridge_gltf/scene.gltf', new THREE.Vector3(-180, 20, 170), 0.57, Math.PI / 2);
+// ============================================
+// MODEL PLACEMENT
+// Instances come from public/scenes/<name>.json, chosen with ?scene=<name>
+// Position format: [x, y, z], rotationY in radians
+// ============================================
 
-// Island in the background (large scale)
-loadModel('/models/isla_mocha_national_reserve/scene.gltf', new THREE.Vector3(170, 0, 280), 220, Math.PI / 4);
-loadModel('/models/isla_mocha_national_reserve/scene.gltf', new THREE.Vector3(90, 0, 350), 100, Math.PI / 4);
+const sceneName = sceneNameFromURL();
+
+const sceneReady = loadSceneManifest(sceneName)
+  .catch((err) => {
+    if (sceneName === DEFAULT_SCENE) throw err;
+    console.error(err, `\nfalling back to "${DEFAULT_SCENE}"`);
+    return loadSceneManifest(DEFAULT_SCENE);
+  })
+  .then((manifest) => {
+    console.log(`[SceneManifest] "${manifest.name}": ${manifest.instances.length} instance(s)`);
+    loadedManifest = manifest;
+    ocean.configure(manifest.ocean);
+    return Promise.all(manifest.instances.map(loadModel))
+      .then((groups) => Promise.resolve(manifest.city && loadCity(manifest.city, manifest.instances, groups))
+        .then((city) => {
+          shadows.fitTo([...groups, city]);
+          return manifest.traffic && addTraffic(manifest.traffic, city, groups);
+        }));
+  })
+  .catch((err) => {
+    console.error(err);
+    loadingScreen.warn(`Scene "${sceneName}" failed to load (see console)`);
+  })
+  .then(() => {
+    loadingScreen.setStatus('Building scene…');
+    return assets.whenIdle();
+  })
+  .then(() => {
+    const { bytesLoaded, filesLoaded, failed } = assets.progress;
+    console.log(`[Assets] ready: ${filesLoaded} file(s), ${(bytesLoaded / 1e6).toFixed(1)} MB, ${failed} failed`);
+    assets.release();
+    loadingScreen.hide();
+    sceneLoaded = true;
+    // the models brought their own lights
+    limitPointLights(perfManager.settings.pointLights);
+
+    // fixed-time renders start from a fully loaded scene so model lights ramp the same way every time
+    if (fixedTime.enabled) stepFixedTime(Number(fixedTimeParam) || 0);
+    window.dispatchEvent(new Event('sceneready'));
+  });
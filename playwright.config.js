@@ -0,0 +1,38 @@
+// Visual regression tests: boots the scene in headless Chromium with software WebGL (SwiftShader)
+// Record / refresh the reference images with `npm run test:visual -- --update-snapshots`;
+// a plain run never writes them, so a missing reference fails instead of passing as a new one
+import { defineConfig } from '@playwright/test';
+
+const PORT = 5180;
+
+export default defineConfig({
+  testDir: 'test/visual',
+  snapshotPathTemplate: '{testDir}/__screenshots__/{arg}{ext}',
+  timeout: 180_000,
+  workers: 1,   // software rendering is CPU bound
+  reporter: process.env.CI ? 'line' : 'list',
+  updateSnapshots: 'none',
+
+  expect: {
+    toHaveScreenshot: {
+      threshold: 0.2,            // per-pixel perceptual (YIQ) color distance
+      maxDiffPixelRatio: 0.01,   // share of pixels allowed over it
+    },
+  },
+
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    browserName: 'chromium',
+    viewport: { width: 540, height: 960 },
+    deviceScaleFactor: 1,
+    launchOptions: {
+      args: ['--use-gl=angle', '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'],
+    },
+  },
+
+  webServer: {
+    command: `npx vite --port ${PORT} --strictPort`,
+    url: `http://localhost:${PORT}`,
+    reuseExistingServer: !process.env.CI,
+  },
+});
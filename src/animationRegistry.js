@@ -0,0 +1,74 @@
+// Animation registry: models register their animated parts (light rigs, materials) once at
+// load time, and the frame loop updates only those instead of walking the scene graph
+
+/**
+ * Create an empty registry
+ * @returns {object} Registry API
+ */
+export function createAnimationRegistry() {
+  // kind -> { animate, entities, ms }
+  const kinds = new Map();
+
+  function kindOf(name) {
+    const kind = kinds.get(name);
+    if (!kind) throw new Error(`[Animation] unknown kind "${name}"`);
+    return kind;
+  }
+
+  /**
+   * Declare how one kind of entity is animated
+   * @param {string} name - e.g. 'tower', 'bridge'
+   * @param {Function} animate - (entity, frame) => void, called every frame for each entity
+   */
+  function define(name, animate) {
+    if (kinds.has(name)) throw new Error(`[Animation] kind "${name}" already defined`);
+    kinds.set(name, { animate, entities: [], ms: 0 });
+  }
+
+  /**
+   * Add an entity to be animated every frame
+   * @param {string} name - Kind passed to define()
+   * @param {object} entity - Whatever the kind's animate function expects
+   * @returns {object} entity
+   */
+  function register(name, entity) {
+    kindOf(name).entities.push(entity);
+    return entity;
+  }
+
+  /**
+   * Stop animating an entity
+   * @param {string} name - Kind it was registered as
+   * @param {object} entity
+   */
+  function unregister(name, entity) {
+    const { entities } = kindOf(name);
+    const i = entities.indexOf(entity);
+    if (i >= 0) entities.splice(i, 1);
+  }
+
+  /**
+   * Animate every registered entity
+   * @param {object} frame - Per-frame values shared by all animators (delta, time, ...)
+   */
+  function update(frame) {
+    for (const kind of kinds.values()) {
+      const t0 = performance.now();
+      for (const entity of kind.entities) kind.animate(entity, frame);
+      kind.ms = performance.now() - t0;
+    }
+  }
+
+  return {
+    define,
+    register,
+    unregister,
+    update,
+    /** @returns {object[]} Entities registered as `name` */
+    entities: (name) => kindOf(name).entities,
+    /** Entity count and last update time per kind */
+    get stats() {
+      return [...kinds].map(([kind, { entities, ms }]) => ({ kind, count: entities.length, ms }));
+    },
+  };
+}
@@ -0,0 +1,201 @@
+// Shared loading pipeline: downloads every file up front (with byte progress and retries),
+// then hands the loaders in-memory copies through one LoadingManager
+import * as THREE from 'three';
+
+const RETRY_STATUS = [408, 429, 500, 502, 503, 504];
+
+class AssetError extends Error {
+  constructor(url, message, retryable) {
+    super(`${url}: ${message}`);
+    this.name = 'AssetError';
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function baseDirFromUrl(url) {
+  return url.slice(0, url.lastIndexOf('/') + 1);
+}
+
+// buffers and images a .gltf refers to, resolved the way GLTFLoader resolves them
+function gltfDependencies(json, url) {
+  const base = baseDirFromUrl(url);
+  return [...(json.buffers ?? []), ...(json.images ?? [])]
+    .map((def) => def.uri)
+    .filter((uri) => uri && !/^(data:|blob:)/i.test(uri))
+    .map((uri) => (/^(https?:)?\/\//i.test(uri) || uri.startsWith('/') ? uri : base + uri));
+}
+
+/**
+ * Create the asset loader
+ * @param {object} options
+ * @param {number} options.retries - Extra attempts for network errors and 5xx / 408 / 429 responses
+ * @param {number} options.retryDelay - Milliseconds before the first retry (doubles each time)
+ * @param {Function} options.onProgress - Called with the progress object whenever bytes arrive
+ */
+export function createAssetLoader({ retries = 2, retryDelay = 500, onProgress } = {}) {
+  // url -> { loaded, total, done, failed, blobURL, promise }
+  const files = new Map();
+  const pending = new Set();
+
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => files.get(url)?.blobURL ?? url);
+  manager.onError = (url) => console.error(`[Assets] loader failed: ${url}`);
+
+  function progress() {
+    const p = { bytesLoaded: 0, bytesTotal: 0, filesLoaded: 0, filesTotal: files.size, failed: 0 };
+    for (const f of files.values()) {
+      p.bytesLoaded += f.loaded;
+      p.bytesTotal += Math.max(f.total, f.loaded);
+      if (f.done) p.filesLoaded++;
+      if (f.failed) p.failed++;
+    }
+    return p;
+  }
+
+  const notify = () => onProgress?.(progress());
+
+  async function download(url, file) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        let res;
+        try {
+          res = await fetch(url);
+        } catch (err) {
+          throw new AssetError(url, err.message, true);
+        }
+        if (!res.ok) throw new AssetError(url, `HTTP ${res.status}`, RETRY_STATUS.includes(res.status));
+
+        // dev servers answer unknown paths with the app's index.html
+        const type = res.headers.get('Content-Type') ?? '';
+        if (type.startsWith('text/html') && !/\.html?$/i.test(url)) {
+          throw new AssetError(url, 'not found', false);
+        }
+
+        file.total = Number(res.headers.get('Content-Length')) || 0;
+        const chunks = [];
+        const reader = res.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          file.loaded += value.length;
+          notify();
+        }
+        return new Blob(chunks, { type });
+      } catch (err) {
+        file.loaded = 0;
+        if (!(err instanceof AssetError)) throw err;
+        if (!err.retryable || attempt >= retries) throw err;
+        console.warn(`[Assets] ${err.message}, retrying (${attempt + 1}/${retries})`);
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  // download one file once; resolves to its Blob
+  function fetchFile(url) {
+    const known = files.get(url);
+    if (known) return known.promise;
+
+    const file = { loaded: 0, total: 0, done: false, failed: false, blobURL: null };
+    files.set(url, file);
+    file.promise = download(url, file).then(
+      (blob) => {
+        file.done = true;
+        file.blobURL = URL.createObjectURL(blob);
+        notify();
+        return blob;
+      },
+      (err) => {
+        file.failed = true;
+        notify();
+        throw err;
+      }
+    );
+    notify();
+    return file.promise;
+  }
+
+  // a file plus, for .gltf, every buffer and image it refers to
+  async function fetchAsset(url) {
+    const blob = await fetchFile(url);
+    if (!/\.gltf$/i.test(url)) return;
+
+    const json = JSON.parse(await blob.text());
+    const results = await Promise.allSettled(gltfDependencies(json, url).map(fetchFile));
+    const failed = results.filter((r) => r.status === 'rejected');
+    if (failed.length) {
+      throw new AssetError(url, `${failed.length} file(s) missing (${failed.map((r) => r.reason.url).join(', ')})`, false);
+    }
+  }
+
+  function track(promise) {
+    pending.add(promise);
+    const untrack = () => pending.delete(promise);
+    promise.then(untrack, untrack);
+    return promise;
+  }
+
+  /**
+   * Download an asset and parse it with a three.js loader
+   * @param {Function} LoaderClass - e.g. GLTFLoader, RGBELoader
+   * @param {string} url - Asset URL (a .gltf also pulls in its buffers and images)
+   * @returns {Promise<*>} What the loader produces; rejects if any file failed after retries
+   */
+  function load(LoaderClass, url) {
+    return track(fetchAsset(url).then(() => new LoaderClass(manager).loadAsync(url)));
+  }
+
+  /**
+   * Texture that fills in once its image has downloaded (same shape as TextureLoader.load)
+   * @param {string} url
+   * @param {Function} onLoad - Called with the texture when the image is in
+   * @param {Function} onError - Called with the error if it failed after retries
+   * @returns {THREE.Texture}
+   */
+  function loadTexture(url, onLoad, onError) {
+    const texture = new THREE.Texture();
+    track(
+      fetchAsset(url)
+        .then(() => new THREE.ImageLoader(manager).loadAsync(url))
+        .then((image) => {
+          texture.image = image;
+          texture.needsUpdate = true;
+          onLoad?.(texture);
+        })
+        .catch((err) => {
+          if (onError) onError(err);
+          else console.error('[Assets]', err);
+        })
+    );
+    return texture;
+  }
+
+  /**
+   * Wait until every load started so far (and any started meanwhile) has finished or failed
+   * @returns {Promise<void>}
+   */
+  async function whenIdle() {
+    while (pending.size) await Promise.allSettled([...pending]);
+  }
+
+  // drop the in-memory copies once everything is parsed; later loads download again
+  function release() {
+    for (const file of files.values()) {
+      if (file.blobURL) URL.revokeObjectURL(file.blobURL);
+    }
+    files.clear();
+  }
+
+  return {
+    manager,
+    get progress() { return progress(); },
+    load,
+    loadTexture,
+    whenIdle,
+    release,
+  };
+}
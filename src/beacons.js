@@ -0,0 +1,117 @@
+// Aviation obstruction lights: red beacons on the top of every tall structure, blinking in sync
+// (they all run on scene time), with steady intermediate lights halfway up the tallest
+import * as THREE from 'three';
+
+// Metres: structures below this get no beacons; above TALL they also get intermediate lights
+export const BEACON_MIN_HEIGHT = 60;
+const TALL = 150;
+
+// Flash pattern shared by every beacon (about 40 flashes a minute)
+const FLASH_PERIOD = 1.5;
+const FLASH_ON = 0.5;
+
+// Footprints narrower than this (metres) get one beacon in the middle instead of four corners
+const SINGLE_FOOTPRINT = 20;
+
+let glowTexture = null;
+
+function getGlowTexture() {
+  if (glowTexture) return glowTexture;
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const g = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  g.addColorStop(0.0, 'rgba(255,255,255,1.0)');
+  g.addColorStop(0.2, 'rgba(255,60,40,0.9)');
+  g.addColorStop(1.0, 'rgba(255,0,0,0.0)');
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+  glowTexture = new THREE.CanvasTexture(canvas);
+  glowTexture.colorSpace = THREE.SRGBColorSpace;
+  return glowTexture;
+}
+
+function createSprite(size) {
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: getGlowTexture(),
+    color: 0xff2010,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    toneMapped: false,
+  }));
+  sprite.scale.set(size, size, 1);
+  return sprite;
+}
+
+/**
+ * Flash brightness at a moment, the same for every beacon
+ * @param {number} time - Scene seconds
+ * @returns {number} 0..1, with short ramps so the flash doesn't pop
+ */
+export function beaconFlash(time) {
+  const t = ((time % FLASH_PERIOD) + FLASH_PERIOD) % FLASH_PERIOD;
+  const ramp = 0.06;
+  return THREE.MathUtils.clamp(Math.min(t / ramp, (FLASH_ON - t) / ramp), 0, 1);
+}
+
+/**
+ * Beacons for one placed model, found from its bounding box
+ * @param {THREE.Object3D} group - Placed model (position / rotation / scale set)
+ * @param {THREE.Box3} localBox - The model's box in the group's own (unscaled) frame
+ * @param {object} options
+ * @param {boolean} options.single - One beacon on the top middle (e.g. a mast), not four corners
+ * @returns {object|null} { object, flashing, steady, place (call after moving the group) } to add to
+ *   the scene, or null if too short
+ */
+export function createBeaconRig(group, localBox, { single = false } = {}) {
+  group.updateMatrixWorld(true);
+  const scale = group.getWorldScale(new THREE.Vector3());
+  const height = (localBox.max.y - localBox.min.y) * scale.y;
+  if (height < BEACON_MIN_HEIGHT) return null;
+
+  const object = new THREE.Group();
+  object.name = `beacons:${group.userData.id ?? group.name}`;
+  const flashing = [];
+  const steady = [];
+
+  // points in the group's frame, inset a little from the box corners
+  const center = localBox.getCenter(new THREE.Vector3());
+  const footprint = Math.max(localBox.max.x - localBox.min.x, localBox.max.z - localBox.min.z) * scale.x;
+  const inset = 0.45;
+  const corners = single || footprint < SINGLE_FOOTPRINT
+    ? [[0, 0]]
+    : [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+  // each sprite's point in the group's frame, moved to world space by place()
+  const local = new Map();
+  const add = (list, y, size) => {
+    for (const [sx, sz] of corners) {
+      const sprite = createSprite(size);
+      local.set(sprite, new THREE.Vector3(
+        center.x + sx * inset * (localBox.max.x - localBox.min.x),
+        y,
+        center.z + sz * inset * (localBox.max.z - localBox.min.z)
+      ));
+      object.add(sprite);
+      list.push(sprite);
+    }
+  };
+
+  add(flashing, localBox.max.y, 9);
+  if (height > TALL && corners.length > 1) add(steady, (localBox.min.y + localBox.max.y) / 2, 5);
+
+  // put the beacons where the group is now (again after it moves)
+  function place() {
+    group.updateMatrixWorld(true);
+    for (const [sprite, point] of local) {
+      group.localToWorld(sprite.position.copy(point));
+      sprite.position.y += sprite.scale.y * 0.25;   // sit on the roof line, not in it
+    }
+  }
+  place();
+
+  return { object, flashing, steady, place };
+}
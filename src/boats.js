@@ -0,0 +1,350 @@
+// Boats: cruising along a spline over the water, bobbing and rolling with the swell, a foam wake
+// behind them and navigation lights (red port, green starboard, white masthead and stern) that are
+// only seen from their proper sectors. Everything follows scene time, so fixed-time renders match.
+import * as THREE from 'three';
+
+// Used for anything a manifest's `boat` block leaves out
+export const BOAT_DEFAULTS = {
+  path: null,       // [[x, z], ...] world points; none keeps the boat where the manifest puts it
+  closed: true,     // loop the path; an open path is run back and forth
+  speed: 6,         // metres per second
+  start: 0,         // 0..1, where along the path the boat is at time 0
+  bob: 1,           // scales heave, roll and pitch (0 = flat calm)
+  wake: true,
+};
+
+// swell at bob = 1: metres of heave, degrees of roll and pitch
+const HEAVE = 0.3;
+const ROLL = 3.5;
+const PITCH = 1.2;
+
+// wake: samples of the boat's past positions, this many seconds apart
+const WAKE_SAMPLES = 48;
+const WAKE_STEP = 0.3;
+// how fast the wake widens behind the boat (tan of the ~19.5° Kelvin angle)
+const WAKE_SPREAD = 0.35;
+
+// navigation light sectors in degrees from the bow, and the soft edge at their limits
+const SIDE_ARC = 112.5;
+const SECTOR_FEATHER = 3;
+
+/**
+ * Fill in a manifest `boat` block with the defaults
+ * @param {object} boat - Possibly partial config
+ * @returns {object} Complete config
+ */
+export function boatConfig(boat = {}) {
+  return { ...BOAT_DEFAULTS, ...boat };
+}
+
+/**
+ * Distance along the path at a moment
+ * @param {number} time - Scene seconds
+ * @param {object} config - boatConfig() result
+ * @param {number} length - Path length in metres
+ * @returns {{ distance: number, direction: number }} direction is 1 forward, -1 on the way back
+ */
+export function pathDistance(time, { speed, start, closed }, length) {
+  if (length <= 0) return { distance: 0, direction: 1 };
+  const travelled = start * (closed ? length : 2 * length) + speed * time;
+  if (closed) return { distance: ((travelled % length) + length) % length, direction: 1 };
+
+  // there and back again
+  const lap = ((travelled % (2 * length)) + 2 * length) % (2 * length);
+  return lap <= length
+    ? { distance: lap, direction: 1 }
+    : { distance: 2 * length - lap, direction: -1 };
+}
+
+/**
+ * Swell motion of one boat, a sum of a few slow sines
+ * @param {number} time - Scene seconds
+ * @param {number} seed - Per boat, so boats don't bob in step
+ * @param {number} amount - Scale (config.bob times the weather's swell)
+ * @returns {{ heave: number, roll: number, pitch: number }} metres and radians
+ */
+export function bobbing(time, seed, amount) {
+  const s = seed * 100;
+  const heave = 0.65 * Math.sin(time * 1.1 + s) + 0.35 * Math.sin(time * 1.9 + s * 2.3);
+  const roll = 0.7 * Math.sin(time * 0.8 + s * 3.1) + 0.3 * Math.sin(time * 1.7 + s * 1.3);
+  const pitch = Math.sin(time * 1.3 + s * 4.7);
+  return {
+    heave: heave * HEAVE * amount,
+    roll: THREE.MathUtils.degToRad(roll * ROLL * amount),
+    pitch: THREE.MathUtils.degToRad(pitch * PITCH * amount),
+  };
+}
+
+/**
+ * How much of each navigation light a viewer sees
+ * @param {number} bearing - Degrees from the bow to the viewer, positive to starboard
+ * @returns {{ masthead: number, port: number, starboard: number, stern: number }} 0..1 each
+ */
+export function navLightSectors(bearing) {
+  const b = THREE.MathUtils.euclideanModulo(bearing + 180, 360) - 180;
+  const within = (from, to) =>
+    THREE.MathUtils.clamp(Math.min(b - from, to - b) / SECTOR_FEATHER + 0.5, 0, 1);
+  const ahead = within(-SIDE_ARC, SIDE_ARC);
+  return {
+    masthead: ahead,
+    port: within(-SIDE_ARC, 0),
+    starboard: within(0, SIDE_ARC),
+    stern: 1 - ahead,
+  };
+}
+
+let lightTexture = null;
+
+function getLightTexture() {
+  if (lightTexture) return lightTexture;
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const g = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  g.addColorStop(0.0, 'rgba(255,255,255,1.0)');
+  g.addColorStop(0.25, 'rgba(255,255,255,0.6)');
+  g.addColorStop(1.0, 'rgba(255,255,255,0.0)');
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+  lightTexture = new THREE.CanvasTexture(canvas);
+  lightTexture.colorSpace = THREE.SRGBColorSpace;
+  return lightTexture;
+}
+
+function createNavLight(color, size) {
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: getLightTexture(),
+    color,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    toneMapped: false,
+  }));
+  sprite.scale.set(size, size, 1);
+  return sprite;
+}
+
+const wakeShader = {
+  vertexShader: /* glsl */`
+    attribute float aAge;
+    attribute float aSide;
+    attribute float aDist;
+    varying float vAge;
+    varying float vSide;
+    varying float vDist;
+
+    void main() {
+      vAge = aAge;
+      vSide = aSide;
+      vDist = aDist;
+      gl_Position = projectionMatrix * viewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vAge;
+    varying float vSide;
+    varying float vDist;
+
+    float foamHash(vec2 p) {
+      return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    float foamNoise(vec2 p) {
+      vec2 i = floor(p);
+      vec2 f = fract(p);
+      f = f * f * (3.0 - 2.0 * f);
+      return mix(mix(foamHash(i), foamHash(i + vec2(1.0, 0.0)), f.x),
+                 mix(foamHash(i + vec2(0.0, 1.0)), foamHash(i + vec2(1.0, 1.0)), f.x), f.y);
+    }
+
+    void main() {
+      float side = abs(vSide);
+      // the two arms of the V, and churned water right behind the hull that settles quickly
+      float arms = smoothstep(0.55, 0.9, side) * (1.0 - smoothstep(0.9, 1.0, side));
+      float wash = (1.0 - smoothstep(0.0, 0.4, side)) * (1.0 - smoothstep(0.0, 0.35, vAge));
+      // the pattern stays put on the water while the boat moves on
+      float n = foamNoise(vec2(vDist * 0.4, vSide * 4.0)) * 0.6 + foamNoise(vec2(vDist * 1.3, vSide * 11.0)) * 0.4;
+      float foam = max(arms, wash) * smoothstep(0.3, 0.7, n + 0.3 * (1.0 - vAge));
+      gl_FragColor = vec4(uColor, foam * pow(1.0 - vAge, 1.5) * uOpacity);
+      #include <colorspace_fragment>
+    }
+  `,
+};
+
+function createWake() {
+  const count = (WAKE_SAMPLES + 1) * 2;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute('aAge', new THREE.BufferAttribute(new Float32Array(count), 1));
+  geometry.setAttribute('aSide', new THREE.BufferAttribute(new Float32Array(count), 1));
+  geometry.setAttribute('aDist', new THREE.BufferAttribute(new Float32Array(count), 1));
+  const index = [];
+  for (let i = 0; i < WAKE_SAMPLES; i++) {
+    const a = i * 2;
+    index.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+  }
+  geometry.setIndex(index);
+  for (let i = 0; i <= WAKE_SAMPLES; i++) {
+    geometry.attributes.aAge.setX(i * 2, i / WAKE_SAMPLES);
+    geometry.attributes.aAge.setX(i * 2 + 1, i / WAKE_SAMPLES);
+    geometry.attributes.aSide.setX(i * 2, -1);
+    geometry.attributes.aSide.setX(i * 2 + 1, 1);
+  }
+
+  const mesh = new THREE.Mesh(geometry, new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(0xf2f6f8) },
+      uOpacity: { value: 0.85 },
+    },
+    ...wakeShader,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  }));
+  // rebuilt in world space every frame
+  mesh.frustumCulled = false;
+  mesh.userData.bloomHide = true;
+  return mesh;
+}
+
+/**
+ * Set up a loaded boat: path, swell, wake and navigation lights
+ * @param {THREE.Object3D} group - Placed boat; its bow is expected along local -z
+ *   (rotationY turns models that face elsewhere)
+ * @param {THREE.Box3} localBox - The model's box in the group's own (unscaled) frame
+ * @param {object} boat - Manifest `boat` block (see BOAT_DEFAULTS)
+ * @param {object} options
+ * @param {number} options.waterLevel - World y of the water
+ * @param {boolean} options.navigation - Add navigation lights
+ * @param {Function} options.random - Seeded 0..1 source
+ * @returns {object} { wake (add to the scene, may be null), navLights, path, update(frame) }
+ */
+export function createBoat(group, localBox, boat, { waterLevel = 0, navigation = true, random = Math.random } = {}) {
+  const config = boatConfig(boat);
+  const seed = random();
+  const scale = group.scale.x;
+  const size = localBox.getSize(new THREE.Vector3()).multiplyScalar(scale);
+  const baseY = group.position.y;
+  const headingOffset = group.rotation.y;
+  group.rotation.order = 'YXZ';
+
+  let path = null;
+  if (config.path) {
+    path = new THREE.CatmullRomCurve3(
+      config.path.map(([x, z]) => new THREE.Vector3(x, waterLevel, z)),
+      config.closed,
+      'centripetal'
+    );
+    path.arcLengthDivisions = Math.max(200, config.path.length * 40);
+  }
+  const length = path ? path.getLength() : 0;
+
+  const wake = path && config.wake && config.speed > 0 ? createWake() : null;
+  if (wake) wake.name = `wake:${group.userData.id ?? group.name}`;
+
+  // navigation lights on the hull, from the box (bow at -z, port side at -x)
+  const navLights = {};
+  if (navigation) {
+    const { min, max } = localBox;
+    const center = localBox.getCenter(new THREE.Vector3());
+    const lightSize = Math.max(0.8, size.x * 0.35) / scale;
+    const place = (name, color, x, y, z) => {
+      const sprite = createNavLight(color, lightSize);
+      sprite.position.set(x, y, z);
+      group.add(sprite);
+      navLights[name] = sprite;
+    };
+    const sideY = THREE.MathUtils.lerp(min.y, max.y, 0.55);
+    const sideZ = THREE.MathUtils.lerp(center.z, min.z, 0.2);
+    place('port', 0xff2018, min.x, sideY, sideZ);
+    place('starboard', 0x20ff50, max.x, sideY, sideZ);
+    place('masthead', 0xffffff, center.x, max.y, THREE.MathUtils.lerp(center.z, min.z, 0.15));
+    place('stern', 0xffffff, center.x, THREE.MathUtils.lerp(min.y, max.y, 0.4), max.z);
+  }
+
+  const point = new THREE.Vector3();
+  const tangent = new THREE.Vector3();
+
+  // position (on the water) and travel direction at a moment
+  function sample(time, outPoint, outTangent) {
+    const { distance, direction } = pathDistance(time, config, length);
+    const u = THREE.MathUtils.clamp(distance / length, 0, 1);
+    path.getPointAt(u, outPoint);
+    path.getTangentAt(u, outTangent).multiplyScalar(direction);
+    return distance;
+  }
+
+  function updateWake(time, waterHeight) {
+    const { position, aDist } = wake.geometry.attributes;
+    const sternOffset = size.z * 0.45;
+    const across = new THREE.Vector3();
+    for (let i = 0; i <= WAKE_SAMPLES; i++) {
+      const age = i * WAKE_STEP;
+      const distance = sample(time - age, point, tangent);
+      // from the stern, widening with age
+      point.addScaledVector(tangent, -sternOffset);
+      across.set(-tangent.z, 0, tangent.x).normalize();
+      const half = size.x * 0.5 + WAKE_SPREAD * config.speed * age;
+      // on the waves, if there are any
+      const y = (waterHeight ? waterHeight(point.x, point.z) : waterLevel) + 0.08;
+      position.setXYZ(i * 2, point.x - across.x * half, y, point.z - across.z * half);
+      position.setXYZ(i * 2 + 1, point.x + across.x * half, y, point.z + across.z * half);
+      aDist.setX(i * 2, distance);
+      aDist.setX(i * 2 + 1, distance);
+    }
+    position.needsUpdate = true;
+    aDist.needsUpdate = true;
+  }
+
+  const viewerLocal = new THREE.Vector3();
+
+  /**
+   * Move the boat and its lights
+   * @param {object} frame
+   * @param {number} frame.time - Scene seconds
+   * @param {number} frame.night - 0..1, navigation lights fade in with it
+   * @param {number} frame.daylight - 0..1, the wake's foam darkens at night
+   * @param {number} frame.swell - Weather's extra swell (1 = calm)
+   * @param {Function} frame.waterHeight - (x, z) => world y of the water surface, if it has waves
+   * @param {THREE.Vector3} frame.viewer - Camera position, for the light sectors
+   */
+  function update({ time, night, daylight, swell = 1, waterHeight, viewer }) {
+    let heading = headingOffset;
+    if (path) {
+      sample(time, point, tangent);
+      group.position.x = point.x;
+      group.position.z = point.z;
+      heading += Math.atan2(-tangent.x, -tangent.z);
+    }
+
+    const { heave, roll, pitch } = bobbing(time, seed, config.bob * swell);
+    const surface = waterHeight ? waterHeight(group.position.x, group.position.z) - waterLevel : 0;
+    group.position.y = baseY + surface + heave;
+    group.rotation.set(pitch, heading, roll);
+
+    if (wake) {
+      updateWake(time, waterHeight);
+      wake.material.uniforms.uColor.value.setScalar(0.2 + 0.75 * daylight);
+    }
+
+    if (navigation) {
+      group.updateMatrixWorld();
+      group.worldToLocal(viewerLocal.copy(viewer));
+      const bearing = THREE.MathUtils.radToDeg(Math.atan2(viewerLocal.x, -viewerLocal.z));
+      const seen = navLightSectors(bearing);
+      for (const name in navLights) navLights[name].material.opacity = seen[name] * night;
+    }
+  }
+
+  return {
+    wake,
+    navLights,
+    path,
+    get length() { return length; },
+    update,
+  };
+}
@@ -0,0 +1,359 @@
+// Bridge lighting rigs: bulbs along the deck edges and cables (found from the bridge geometry),
+// drawn as one instanced mesh, with light streaks on the water below and a few real PointLights
+// for the light they cast. Every part follows one animation mode: steady, chase or flicker.
+import * as THREE from 'three';
+
+export const BRIDGE_MODES = ['steady', 'chase', 'flicker'];
+
+// Used for anything the manifest's `lights` block leaves out
+export const DEFAULT_BRIDGE_RIG = {
+  count: 4,            // real PointLights along the deck
+  yOffset: 15,         // ... this far above it (model units)
+  range: 80,           // ... reaching this far (model units)
+  color: 0xaaccff,
+  mode: 'flicker',
+  spacing: 8,          // metres between bulbs
+  bulbSize: 1.2,       // metres
+  deck: true,          // bulbs along both deck edges
+  cables: true,        // bulbs along the main cables
+  reflections: true,   // streaks on the water under the bulbs
+};
+
+// chase: bright bands per span and how many pass a point per second
+const CHASE_WAVES = 3;
+const CHASE_SPEED = 0.25;
+
+/**
+ * Brightness of one bulb (the shaders below do the same on the GPU)
+ * @param {string} mode - One of BRIDGE_MODES
+ * @param {number} phase - 0..1 along the span
+ * @param {number} seed - Per bulb, for flicker
+ * @param {number} time - Scene seconds
+ * @returns {number} 0..~1.1
+ */
+export function bulbLevel(mode, phase, seed, time) {
+  if (mode === 'steady') return 1;
+  if (mode === 'chase') {
+    const wave = 0.5 + 0.5 * Math.cos(2 * Math.PI * (phase * CHASE_WAVES - time * CHASE_SPEED));
+    return 0.15 + 0.85 * wave ** 6;
+  }
+  // flicker, with a slow pulse and the odd dropout
+  const flicker = Math.sin(time * 20.0 + seed) * 0.1 + 0.9;
+  const pulse = Math.sin(time * 1.0 + seed * 0.5) * 0.2 + 0.8;
+  const glitch = Math.sin(time * 5.0 + seed * 13.0) > 0.96 ? 0.0 : 1.0;
+  return flicker * pulse * glitch;
+}
+
+const levelChunk = /* glsl */`
+  uniform float uTime;
+  uniform float uIntensity;
+  uniform int uMode;
+
+  float bulbLevel(float phase, float seed) {
+    if (uMode == 0) return 1.0;
+    if (uMode == 1) {
+      float wave = 0.5 + 0.5 * cos(6.2831853 * (phase * ${CHASE_WAVES.toFixed(1)} - uTime * ${CHASE_SPEED.toFixed(2)}));
+      return 0.15 + 0.85 * pow(wave, 6.0);
+    }
+    float flicker = sin(uTime * 20.0 + seed) * 0.1 + 0.9;
+    float pulse = sin(uTime * 1.0 + seed * 0.5) * 0.2 + 0.8;
+    float glitch = sin(uTime * 5.0 + seed * 13.0) > 0.96 ? 0.0 : 1.0;
+    return flicker * pulse * glitch;
+  }
+`;
+
+const bulbShader = {
+  vertexShader: /* glsl */`
+    attribute float aPhase;
+    attribute float aSeed;
+    varying vec3 vColor;
+    varying float vLevel;
+    ${levelChunk}
+
+    void main() {
+      vColor = instanceColor;
+      vLevel = bulbLevel(aPhase, aSeed) * uIntensity;
+      gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    varying vec3 vColor;
+    varying float vLevel;
+
+    void main() {
+      // HDR so the bulbs reach the bloom threshold
+      gl_FragColor = vec4(vColor * vLevel * 6.0, 1.0);
+      #include <colorspace_fragment>
+    }
+  `,
+};
+
+const reflectionShader = {
+  vertexShader: /* glsl */`
+    attribute float aPhase;
+    attribute float aSeed;
+    attribute float aLength;
+    uniform float uWidth;
+    varying vec3 vColor;
+    varying float vLevel;
+    varying vec2 vQuad;
+    varying float vSeed;
+    ${levelChunk}
+
+    void main() {
+      // a streak on the water from under the bulb toward the camera
+      vec3 base = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+      vec3 toCamera = cameraPosition - base;
+      toCamera.y = 0.0;
+      vec3 along = normalize(toCamera + vec3(1e-4, 0.0, 0.0));
+      vec3 across = vec3(-along.z, 0.0, along.x);
+      vec3 world = base + across * position.x * uWidth + along * (position.y + 0.3) * aLength;
+
+      vColor = instanceColor;
+      vLevel = bulbLevel(aPhase, aSeed) * uIntensity;
+      vQuad = position.xy;
+      vSeed = aSeed;
+      gl_Position = projectionMatrix * viewMatrix * vec4(world, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform float uTime;
+    varying vec3 vColor;
+    varying float vLevel;
+    varying vec2 vQuad;
+    varying float vSeed;
+
+    void main() {
+      float acrossFade = exp(-vQuad.x * vQuad.x * 18.0);
+      float alongFade = 1.0 - smoothstep(0.0, 0.5, abs(vQuad.y));
+      // broken up by the waves
+      float ripple = 0.55 + 0.45 * sin(vQuad.y * 60.0 - uTime * 2.5 + vSeed);
+      gl_FragColor = vec4(vColor * vLevel * acrossFade * alongFade * ripple * 0.8, 1.0);
+      #include <tonemapping_fragment>
+      #include <colorspace_fragment>
+    }
+  `,
+};
+
+/**
+ * Find the deck and the main cables of a bridge from its triangles
+ * @param {THREE.Object3D} model - The bridge, a child (at any depth) of `frame`
+ * @param {THREE.Object3D} frame - Results are in this object's local coordinates
+ * @returns {{ axis: string, span: number[], deckY: number, deckEdges: number[], cables: THREE.Vector3[][] }}
+ *   axis 'x' or 'z' is the span direction; deckEdges are the deck's two sides on the other axis
+ */
+export function analyzeBridge(model, frame) {
+  frame.updateMatrixWorld(true);
+  const toFrame = new THREE.Matrix4().copy(frame.matrixWorld).invert();
+
+  // every triangle in the frame's coordinates
+  const triangles = [];
+  const m = new THREE.Matrix4();
+  model.traverse((o) => {
+    if (!o.isMesh) return;
+    m.multiplyMatrices(toFrame, o.matrixWorld);
+    const pos = o.geometry.attributes.position;
+    const index = o.geometry.index;
+    const count = index ? index.count : pos.count;
+    const vertex = (i) => new THREE.Vector3().fromBufferAttribute(pos, index ? index.getX(i) : i).applyMatrix4(m);
+    for (let i = 0; i + 2 < count; i += 3) {
+      triangles.push(new THREE.Triangle(vertex(i), vertex(i + 1), vertex(i + 2)));
+    }
+  });
+
+  const box = new THREE.Box3();
+  for (const t of triangles) box.expandByPoint(t.a).expandByPoint(t.b).expandByPoint(t.c);
+  const size = box.getSize(new THREE.Vector3());
+  const axis = size.x >= size.z ? 'x' : 'z';
+  const other = axis === 'x' ? 'z' : 'x';
+
+  // deck: the height where upward-facing surfaces cover the most of the span
+  const BINS = 50;
+  const coverage = new Float32Array(BINS);
+  const normal = new THREE.Vector3();
+  const upward = triangles.filter((t) => t.getNormal(normal).y > 0.9);
+  const binOf = (y) => Math.min(BINS - 1, Math.floor(((y - box.min.y) / (size.y || 1)) * BINS));
+  for (const t of upward) {
+    const along = [t.a[axis], t.b[axis], t.c[axis]];
+    coverage[binOf((t.a.y + t.b.y + t.c.y) / 3)] += Math.max(...along) - Math.min(...along);
+  }
+  const deckBin = coverage.indexOf(Math.max(...coverage));
+  const deckTriangles = upward.filter((t) => binOf((t.a.y + t.b.y + t.c.y) / 3) === deckBin);
+
+  let deckY = box.min.y;
+  const deckEdges = [Infinity, -Infinity];
+  for (const t of deckTriangles) {
+    for (const p of [t.a, t.b, t.c]) {
+      deckY = Math.max(deckY, p.y);
+      deckEdges[0] = Math.min(deckEdges[0], p[other]);
+      deckEdges[1] = Math.max(deckEdges[1], p[other]);
+    }
+  }
+  if (!deckTriangles.length) deckEdges.splice(0, 2, box.min[other], box.max[other]);
+
+  // cables: per slice of the span and per side, the highest point well above the deck
+  // on the outer part of the deck's width
+  const SLICES = 40;
+  const mid = (deckEdges[0] + deckEdges[1]) / 2;
+  const halfWidth = (deckEdges[1] - deckEdges[0]) / 2;
+  const minCableY = deckY + 0.03 * size.y;
+  const tops = [new Array(SLICES).fill(null), new Array(SLICES).fill(null)];
+  for (const t of triangles) {
+    for (const p of [t.a, t.b, t.c]) {
+      const offset = p[other] - mid;
+      if (p.y < minCableY || Math.abs(offset) < 0.3 * halfWidth || Math.abs(offset) > 1.2 * halfWidth) continue;
+      const side = offset < 0 ? 0 : 1;
+      const slice = Math.min(SLICES - 1, Math.floor(((p[axis] - box.min[axis]) / size[axis]) * SLICES));
+      if (!tops[side][slice] || p.y > tops[side][slice].y) tops[side][slice] = p;
+    }
+  }
+  const cables = tops
+    .map((side) => side.filter(Boolean))
+    .filter((points) => points.length >= 3);
+
+  return { axis, span: [box.min[axis], box.max[axis]], deckY, deckEdges, cables };
+}
+
+// points every `spacing` along a polyline
+function alongPolyline(points, spacing) {
+  const out = [];
+  let carried = 0;
+  for (let i = 0; i + 1 < points.length; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const length = a.distanceTo(b);
+    for (let d = carried; d < length; d += spacing) out.push(a.clone().lerp(b, d / length));
+    carried = (carried - length) % spacing;
+    if (carried < 0) carried += spacing;
+  }
+  return out;
+}
+
+/**
+ * Build a bridge's lighting rig
+ * @param {THREE.Object3D} group - Placed bridge (the PointLights are added to it)
+ * @param {THREE.Object3D} model - The bridge geometry inside the group
+ * @param {object} options - DEFAULT_BRIDGE_RIG fields, plus:
+ * @param {number} options.waterLevel - World y of the water, for the reflections
+ * @param {Function} options.random - Seeded 0..1 source for per-bulb variation
+ * @returns {object} { object (add to the scene), lights, uniforms, mode, bulbs, deck ({ from, to, width }, world),
+ *   place (call after moving the group) }
+ */
+export function createBridgeRig(group, model, { waterLevel = 0, random = Math.random, ...options } = {}) {
+  const rig = { ...DEFAULT_BRIDGE_RIG, ...options };
+  const shape = analyzeBridge(model, group);
+  const { axis, span, deckY, deckEdges } = shape;
+  const other = axis === 'x' ? 'z' : 'x';
+  const scale = group.getWorldScale(new THREE.Vector3()).x;
+  const spacing = rig.spacing / scale;
+
+  const at = (along, y, across) => {
+    const p = new THREE.Vector3(0, y, 0);
+    p[axis] = along;
+    p[other] = across;
+    return p;
+  };
+
+  // bulb positions in the group's frame
+  const lines = [];
+  if (rig.deck) {
+    for (const edge of deckEdges) lines.push([at(span[0], deckY, edge), at(span[1], deckY, edge)]);
+  }
+  if (rig.cables) lines.push(...shape.cables);
+  const points = lines.flatMap((line) => alongPolyline(line, spacing));
+
+  const uniforms = {
+    uTime: { value: 0 },
+    uIntensity: { value: 0 },
+    uMode: { value: BRIDGE_MODES.indexOf(rig.mode) },
+    uWidth: { value: rig.bulbSize * 2.5 },
+  };
+  const color = new THREE.Color(rig.color);
+  const object = new THREE.Group();
+  object.name = `bridgeLights:${group.userData.id ?? group.name}`;
+
+  const phases = new Float32Array(points.length);
+  const seeds = new Float32Array(points.length);
+  points.forEach((p, i) => {
+    phases[i] = (p[axis] - span[0]) / (span[1] - span[0] || 1);
+    seeds[i] = random() * 1000.0;
+  });
+
+  const instanced = (geometry, material) => {
+    const mesh = new THREE.InstancedMesh(geometry, material, points.length);
+    for (let i = 0; i < points.length; i++) mesh.setColorAt(i, color);
+    geometry.setAttribute('aPhase', new THREE.InstancedBufferAttribute(phases, 1));
+    geometry.setAttribute('aSeed', new THREE.InstancedBufferAttribute(seeds, 1));
+    return mesh;
+  };
+
+  const bulbs = instanced(
+    new THREE.IcosahedronGeometry(0.5, 1),
+    new THREE.ShaderMaterial({ uniforms, ...bulbShader, toneMapped: false })
+  );
+  object.add(bulbs);
+
+  let reflections = null;
+  if (rig.reflections) {
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    reflections = instanced(
+      geometry,
+      new THREE.ShaderMaterial({
+        uniforms,
+        ...reflectionShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+      })
+    );
+    geometry.setAttribute('aLength', new THREE.InstancedBufferAttribute(new Float32Array(points.length), 1));
+    // placed in the vertex shader, so the instance bounds don't apply
+    reflections.frustumCulled = false;
+    reflections.userData.bloomHide = true;
+    object.add(reflections);
+  }
+
+  // a few real lights for what the bridge lights up around it
+  const lights = [];
+  for (let i = 0; i < rig.count; i++) {
+    const t = rig.count > 1 ? i / (rig.count - 1) : 0.5;
+    const along = THREE.MathUtils.lerp(span[0], span[1], 0.1 + 0.8 * t);
+    const pl = new THREE.PointLight(rig.color, 0, rig.range * scale, 2.0);
+    pl.position.copy(at(along, deckY + rig.yOffset, (deckEdges[0] + deckEdges[1]) / 2));
+    pl.userData.phase = 0.1 + 0.8 * t;
+    pl.userData.noiseSeed = random() * 1000.0;
+    group.add(pl);
+    lights.push(pl);
+  }
+
+  // the roadway's centre line and width in world space, for traffic
+  const middle = (deckEdges[0] + deckEdges[1]) / 2;
+  const deck = { from: new THREE.Vector3(), to: new THREE.Vector3(), width: 0 };
+
+  // the bulbs, streaks and deck line are in world space: put them where the group is now
+  function place() {
+    group.updateMatrixWorld(true);
+    const matrix = new THREE.Matrix4();
+    const p = new THREE.Vector3();
+    const lengths = reflections?.geometry.attributes.aLength;
+    points.forEach((point, i) => {
+      group.localToWorld(p.copy(point));
+      bulbs.setMatrixAt(i, matrix.makeScale(rig.bulbSize, rig.bulbSize, rig.bulbSize).setPosition(p));
+      if (!reflections) return;
+      reflections.setMatrixAt(i, matrix.makeTranslation(p.x, waterLevel + 0.05, p.z));
+      lengths.setX(i, Math.max(0, p.y - waterLevel) * 0.8);
+    });
+    bulbs.instanceMatrix.needsUpdate = true;
+    bulbs.computeBoundingSphere();
+    if (reflections) {
+      reflections.instanceMatrix.needsUpdate = true;
+      lengths.needsUpdate = true;
+    }
+    group.localToWorld(deck.from.copy(at(span[0], deckY, middle)));
+    group.localToWorld(deck.to.copy(at(span[1], deckY, middle)));
+    deck.width = Math.abs(deckEdges[1] - deckEdges[0]) * group.getWorldScale(p).x;
+  }
+  place();
+
+  return { object, bulbs, reflections, lights, uniforms, mode: rig.mode, deck, place };
+}
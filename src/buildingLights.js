@@ -0,0 +1,313 @@
+// Building window lights: a window mask per building (a grid in the building's own axes, its
+// mesh UVs or its emissive texture), occupancy schedules that switch floors on and off over the
+// evening, and optional flickering tubes and TV-lit windows
+import * as THREE from 'three';
+
+export const WINDOW_SOURCES = ['grid', 'uv', 'emissive'];
+
+// Used for anything a manifest's `windows` block leaves out
+export const WINDOW_DEFAULTS = {
+  source: 'grid',
+  size: [3.2, 3.6],       // grid: metres from one window to the next (across, up)
+  offset: [0, 0],         // grid: metres, slides the grid along the facade (across, up)
+  repeat: [8, 24],        // uv / emissive: windows per UV unit (columns, floors)
+  fill: [0.6, 0.55],      // grid / uv: share of a cell that is glass (across, up)
+  schedule: {
+    on: [17, 20],         // local hours over which floors switch on
+    off: [22.5, 29.5],    // ... and off again (past 24 is after midnight)
+    occupancy: 0.75,      // share of windows that light up at all
+  },
+  flicker: 0.05,          // share of lit windows with a failing tube
+  tv: 0.1,                // share of lit windows lit by a TV instead
+};
+
+const SOURCE_DEFINE = { grid: 0, uv: 1, emissive: 2 };
+
+/**
+ * Fill in a manifest `windows` block with the defaults
+ * @param {object} windows - Possibly partial config
+ * @returns {object} Complete config
+ */
+export function windowConfig(windows = {}) {
+  return {
+    ...WINDOW_DEFAULTS,
+    ...windows,
+    schedule: { ...WINDOW_DEFAULTS.schedule, ...windows.schedule },
+  };
+}
+
+/**
+ * Per-instance building frames for an InstancedMesh that addBuilding() should treat as
+ * one building per instance
+ * @param {object[]} buildings - { x, z, rotationY, seed (0..1) } per instance
+ * @returns {THREE.InstancedBufferAttribute} Set it as the geometry's `aBuilding` attribute
+ */
+export function buildingAttribute(buildings) {
+  const data = new Float32Array(buildings.length * 4);
+  buildings.forEach(({ x, z, rotationY, seed }, i) => data.set([x, z, rotationY, seed * 1000], i * 4));
+  return new THREE.InstancedBufferAttribute(data, 4);
+}
+
+/**
+ * Hours since noon (0..24), so an evening running past midnight is one increasing range
+ * @param {number} hour - Local hours; values past 24 count as the next morning
+ * @returns {number}
+ */
+export function hoursAfterNoon(hour) {
+  return (((hour - 12) % 24) + 24) % 24;
+}
+
+const vertexPars = /* glsl */`
+  uniform mat4 uWorldToBuilding;
+  varying vec3 vBuildingPosition;
+  varying vec3 vBuildingNormal;
+  varying vec2 vWindowUv;
+  varying float vWindowSeed;
+  #ifdef WINDOW_INSTANCED
+    // per instance: building origin x, z, its rotation about y and a seed
+    attribute vec4 aBuilding;
+  #endif
+`;
+
+const vertexMain = /* glsl */`
+  #ifdef WINDOW_INSTANCED
+    // every instance is its own building, standing on y = 0
+    vec4 windowWorld = modelMatrix * instanceMatrix * vec4(transformed, 1.0);
+    vec3 windowNormal = mat3(modelMatrix) * mat3(instanceMatrix) * objectNormal;
+    float windowCos = cos(aBuilding.z);
+    float windowSin = sin(aBuilding.z);
+    vec2 windowOffset = windowWorld.xz - aBuilding.xy;
+    vBuildingPosition = vec3(
+      windowCos * windowOffset.x - windowSin * windowOffset.y,
+      windowWorld.y,
+      windowSin * windowOffset.x + windowCos * windowOffset.y
+    );
+    vBuildingNormal = vec3(
+      windowCos * windowNormal.x - windowSin * windowNormal.z,
+      windowNormal.y,
+      windowSin * windowNormal.x + windowCos * windowNormal.z
+    );
+    vWindowSeed = aBuilding.w;
+  #else
+    vBuildingPosition = (uWorldToBuilding * modelMatrix * vec4(transformed, 1.0)).xyz;
+    vBuildingNormal = mat3(uWorldToBuilding) * mat3(modelMatrix) * objectNormal;
+    vWindowSeed = 0.0;
+  #endif
+  vWindowUv = uv;
+`;
+
+const fragmentPars = /* glsl */`
+  uniform float uTime;
+  uniform float uHour;
+  uniform float uLightIntensity;
+  uniform vec3 uWindowColor;
+  uniform vec2 uWindowSize;
+  uniform vec2 uWindowOffset;
+  uniform vec2 uWindowRepeat;
+  uniform vec2 uWindowFill;
+  uniform vec2 uWindowOn;
+  uniform vec2 uWindowOff;
+  uniform float uOccupancy;
+  uniform float uFlicker;
+  uniform float uTv;
+  uniform float uSeed;
+  varying vec3 vBuildingPosition;
+  varying vec3 vBuildingNormal;
+  varying vec2 vWindowUv;
+  varying float vWindowSeed;
+
+  float windowHash(vec2 st) {
+    return fract(sin(dot(st, vec2(12.9898, 78.233))) * 43758.5453123);
+  }
+
+  float windowShape(vec2 sub) {
+    vec2 margin = 0.5 - 0.5 * uWindowFill;
+    vec2 inside = step(margin, sub) * step(sub, 1.0 - margin);
+    return inside.x * inside.y;
+  }
+`;
+
+const fragmentMain = /* glsl */`
+  if (uLightIntensity > 0.01) {
+    vec2 cell = vec2(0.0);
+    float facade = 0.0;
+    float mask = 0.0;
+
+    #if WINDOW_MASK == 0
+      // walls only (roofs and ledges never get windows), gridded in the building's own axes
+      vec3 n = normalize(vBuildingNormal);
+      if (abs(n.y) < 0.5) {
+        bool sideX = abs(n.x) > abs(n.z);
+        facade = sideX ? sign(n.x) : 2.0 + sign(n.z);
+        vec2 p = ((sideX ? vBuildingPosition.zy : vBuildingPosition.xy) + uWindowOffset) / uWindowSize;
+        cell = floor(p);
+        mask = windowShape(fract(p));
+      }
+    #elif WINDOW_MASK == 1
+      vec2 p = vWindowUv * uWindowRepeat;
+      cell = floor(p);
+      mask = windowShape(fract(p));
+    #else
+      // the model's own emissive texture marks the glass
+      cell = floor(vEmissiveMapUv * uWindowRepeat);
+      vec3 glass = texture2D(emissiveMap, vEmissiveMapUv).rgb;
+      mask = max(glass.r, max(glass.g, glass.b));
+    #endif
+
+    if (mask > 0.0) {
+      float seed = uSeed + vWindowSeed;
+      // a floor switches on and off together, give or take a few windows
+      float floorOn = windowHash(vec2(cell.y, facade) + seed);
+      float floorOff = windowHash(vec2(cell.y, facade + 7.0) + seed);
+      float own = windowHash(cell + vec2(facade * 37.0, seed));
+      float onAt = mix(uWindowOn.x, uWindowOn.y, mix(floorOn, own, 0.3));
+      float offAt = mix(uWindowOff.x, uWindowOff.y, mix(floorOff, own, 0.3));
+      float occupied = step(windowHash(cell.yx + vec2(seed, facade)), uOccupancy);
+      float lit = occupied * step(onAt, uHour) * step(uHour, offAt);
+
+      vec3 color = uWindowColor;
+      float kind = windowHash(cell + vec2(seed + 11.0, facade));
+      if (kind < uTv) {
+        // cold, jumpy light that changes with every cut
+        float cut = floor(uTime * 0.7 + kind * 50.0);
+        color = mix(vec3(0.35, 0.5, 1.0), vec3(0.85, 0.9, 1.0), windowHash(vec2(cut, kind))) *
+          (0.5 + 0.5 * windowHash(vec2(kind, cut)));
+      } else if (kind > 1.0 - uFlicker) {
+        lit *= 0.3 + 0.7 * step(0.3, windowHash(vec2(floor(uTime * 12.0), kind)));
+      }
+
+      totalEmissiveRadiance += color * mask * lit * uLightIntensity * 3.0;
+    }
+  }
+`;
+
+// world space -> metres in the building's own axes, unscaled: origin at the base, y up
+function worldToBuilding(group, target) {
+  group.updateMatrixWorld(true);
+  const position = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  group.matrixWorld.decompose(position, rotation, new THREE.Vector3());
+  return target.compose(position, rotation, new THREE.Vector3(1, 1, 1)).invert();
+}
+
+/**
+ * Create the building lights; buildings are added as they load, update() runs once per frame
+ */
+export function createBuildingLights() {
+  // shared by every building: time, time of day and the preset's brightness / color
+  const uniforms = {
+    uTime: { value: 0 },
+    uHour: { value: 0 },
+    uLightIntensity: { value: 0 },
+    uWindowColor: { value: new THREE.Color(0xffcc88) },
+  };
+  let buildings = 0;
+  // group -> its uWorldToBuilding matrix
+  const frames = new Map();
+
+  function enhance(material, source, own, instanced) {
+    material.defines = { ...material.defines, WINDOW_MASK: SOURCE_DEFINE[source] };
+    if (instanced) material.defines.WINDOW_INSTANCED = '';
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, uniforms, own);
+
+      shader.vertexShader = vertexPars + shader.vertexShader.replace(
+        '#include <worldpos_vertex>',
+        `#include <worldpos_vertex>\n${vertexMain}`
+      );
+      shader.fragmentShader = fragmentPars + shader.fragmentShader.replace(
+        '#include <emissivemap_fragment>',
+        `#include <emissivemap_fragment>\n${fragmentMain}`
+      );
+    };
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Give a building's materials window lights
+   * InstancedMeshes with an `aBuilding` attribute (see buildingAttribute) are a building per
+   * instance, each with its own grid and seed.
+   * @param {THREE.Object3D} group - Placed building (position and rotation.y set; call moveBuilding() when they change)
+   * @param {object} windows - Manifest `windows` block (see WINDOW_DEFAULTS)
+   * @param {number} seed - 0..1, varies which windows are lit
+   */
+  function addBuilding(group, windows, seed) {
+    const config = windowConfig(windows);
+    const { schedule } = config;
+
+    const own = {
+      uWorldToBuilding: { value: worldToBuilding(group, new THREE.Matrix4()) },
+      uWindowSize: { value: new THREE.Vector2().fromArray(config.size) },
+      uWindowOffset: { value: new THREE.Vector2().fromArray(config.offset) },
+      uWindowRepeat: { value: new THREE.Vector2().fromArray(config.repeat) },
+      uWindowFill: { value: new THREE.Vector2().fromArray(config.fill) },
+      uWindowOn: { value: new THREE.Vector2(...schedule.on.map(hoursAfterNoon)) },
+      uWindowOff: { value: new THREE.Vector2(...schedule.off.map(hoursAfterNoon)) },
+      uOccupancy: { value: schedule.occupancy },
+      uFlicker: { value: config.flicker },
+      uTv: { value: config.tv },
+      uSeed: { value: seed * 1000 },
+    };
+
+    // which materials can use the requested mask
+    const supported = new Map();
+    const instanced = new Set();
+    group.traverse((o) => {
+      if (!o.isMesh) return;
+      const materials = Array.isArray(o.material) ? o.material : [o.material];
+      for (const m of materials) {
+        if (!m || !(m.isMeshStandardMaterial || m.isMeshPhysicalMaterial)) continue;
+        if (o.isInstancedMesh && o.geometry.attributes.aBuilding) instanced.add(m);
+        const ok = config.source === 'uv' ? !!o.geometry.attributes.uv
+          : config.source === 'emissive' ? !!m.emissiveMap
+          : true;
+        supported.set(m, (supported.get(m) ?? true) && ok);
+      }
+    });
+
+    // materials without UVs / emissive map fall back to the grid
+    let fellBack = 0;
+    for (const [m, ok] of supported) {
+      enhance(m, ok ? config.source : 'grid', own, instanced.has(m));
+      if (!ok) fellBack++;
+    }
+    frames.set(group, own.uWorldToBuilding.value);
+    buildings++;
+
+    if (fellBack) {
+      const missing = config.source === 'uv' ? 'UVs' : 'an emissive map';
+      console.warn(`[Windows] ${group.userData.id}: ${fellBack} material(s) without ${missing} use the grid`);
+    }
+  }
+
+  /**
+   * Move a building's window grid with it (after its transform was edited)
+   * @param {THREE.Object3D} group - Group passed to addBuilding(); others are ignored
+   */
+  function moveBuilding(group) {
+    const frame = frames.get(group);
+    if (frame) worldToBuilding(group, frame);
+  }
+
+  /**
+   * Advance the shared uniforms
+   * @param {object} frame
+   * @param {number} frame.time - Scene seconds
+   * @param {number} frame.hour - Local hours (0..24)
+   * @param {number} frame.intensity - Window brightness (0 = off)
+   * @param {THREE.Color} frame.color - Ordinary window color
+   */
+  function update({ time, hour, intensity, color }) {
+    uniforms.uTime.value = time;
+    uniforms.uHour.value = hoursAfterNoon(hour);
+    uniforms.uLightIntensity.value = intensity;
+    uniforms.uWindowColor.value.copy(color);
+  }
+
+  return {
+    addBuilding,
+    moveBuilding,
+    update,
+    get buildings() { return buildings; },
+  };
+}
@@ -0,0 +1,299 @@
+// Camera controller: poster / orbit / fly modes, saved viewpoints and animated transitions
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+export const CAMERA_MODES = ['poster', 'orbit', 'fly'];
+
+const FLY_SPEED = 80;          // units per second
+const FLY_BOOST = 4;           // multiplier while Shift is held
+const LOOK_SPEED = 0.003;      // radians per dragged pixel
+const TRANSITION_TIME = 1.5;   // seconds
+
+function smoothstep(t) { return t * t * (3 - 2 * t); }
+
+function isTyping(e) {
+  return !!e.target?.closest?.('input, textarea, select');
+}
+
+/**
+ * Create the camera controller
+ * @param {THREE.PerspectiveCamera} camera - Scene camera
+ * @param {HTMLElement} domElement - Canvas receiving mouse input
+ * @param {object} options
+ * @param {object} options.poster - { position, target, cropBottomPercent, fullWidth, fullHeight }
+ * @param {THREE.Vector3} options.orbitTarget - Point orbit mode circles around (the tower)
+ * @param {number} options.minHeight - Lowest camera Y allowed (keeps it above ground and water)
+ * @param {string} options.storageKey - localStorage key for saved viewpoints
+ */
+export function createCameraController(camera, domElement, options) {
+  const {
+    poster,
+    orbitTarget,
+    minHeight = 2,
+    storageKey = 'tokyo-tower.viewpoints',
+  } = options;
+
+  let mode = 'poster';
+  const target = poster.target.clone();     // where the camera is looking
+  let tween = null;                          // { fromPos, toPos, fromTarget, toTarget, t, mode }
+
+  // ---------- orbit ----------
+  const orbit = new OrbitControls(camera, domElement);
+  orbit.enabled = false;
+  orbit.enableDamping = true;
+  orbit.dampingFactor = 0.08;
+  orbit.minDistance = 30;
+  orbit.maxDistance = 1000;
+  orbit.maxPolarAngle = Math.PI * 0.55;
+
+  // ---------- fly ----------
+  const keys = new Set();
+  const look = { yaw: 0, pitch: 0, dragging: false };
+  const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+  const move = new THREE.Vector3();
+  const forward = new THREE.Vector3();
+
+  window.addEventListener('keydown', (e) => {
+    if (!isTyping(e)) keys.add(e.code);
+  });
+  window.addEventListener('keyup', (e) => keys.delete(e.code));
+  window.addEventListener('blur', () => keys.clear());
+
+  domElement.addEventListener('pointerdown', (e) => {
+    if (mode !== 'fly') return;
+    look.dragging = true;
+    domElement.setPointerCapture(e.pointerId);
+  });
+  domElement.addEventListener('pointerup', (e) => {
+    look.dragging = false;
+    if (domElement.hasPointerCapture(e.pointerId)) domElement.releasePointerCapture(e.pointerId);
+  });
+  domElement.addEventListener('pointermove', (e) => {
+    if (mode !== 'fly' || !look.dragging || tween) return;
+    look.yaw -= e.movementX * LOOK_SPEED;
+    look.pitch = THREE.MathUtils.clamp(look.pitch - e.movementY * LOOK_SPEED, -1.5, 1.5);
+  });
+
+  function syncLookFromCamera() {
+    euler.setFromQuaternion(camera.quaternion, 'YXZ');
+    look.yaw = euler.y;
+    look.pitch = euler.x;
+  }
+
+  function updateFly(delta) {
+    euler.set(look.pitch, look.yaw, 0, 'YXZ');
+    camera.quaternion.setFromEuler(euler);
+
+    move.set(0, 0, 0);
+    if (keys.has('KeyW')) move.z -= 1;
+    if (keys.has('KeyS')) move.z += 1;
+    if (keys.has('KeyA')) move.x -= 1;
+    if (keys.has('KeyD')) move.x += 1;
+    if (keys.has('KeyE')) move.y += 1;
+    if (keys.has('KeyQ')) move.y -= 1;
+
+    if (move.lengthSq() > 0) {
+      const boost = (keys.has('ShiftLeft') || keys.has('ShiftRight')) ? FLY_BOOST : 1;
+      move.normalize().multiplyScalar(FLY_SPEED * boost * delta).applyQuaternion(camera.quaternion);
+      camera.position.add(move);
+    }
+
+    camera.getWorldDirection(forward);
+    target.copy(camera.position).addScaledVector(forward, 100);
+  }
+
+  // ---------- poster crop ----------
+  function applyViewOffset() {
+    if (mode === 'poster') {
+      // Crop bottom by shifting camera viewport (negative shifts view upward)
+      camera.setViewOffset(
+        poster.fullWidth,
+        poster.fullHeight,
+        0,
+        -poster.fullHeight * poster.cropBottomPercent,
+        poster.fullWidth,
+        poster.fullHeight
+      );
+    } else {
+      camera.clearViewOffset();
+    }
+  }
+
+  // ---------- collision ----------
+  function clampToGround() {
+    if (camera.position.y < minHeight) camera.position.y = minHeight;
+    if (orbit.target.y < 0) orbit.target.y = 0;
+  }
+
+  // ---------- transitions ----------
+  function transitionTo(position, lookAt, nextMode = mode) {
+    orbit.enabled = false;
+    tween = {
+      fromPos: camera.position.clone(),
+      toPos: position.clone(),
+      fromTarget: target.clone(),
+      toTarget: lookAt.clone(),
+      t: 0,
+      mode: nextMode,
+    };
+    tween.toPos.y = Math.max(tween.toPos.y, minHeight);
+  }
+
+  function enterMode(next) {
+    mode = next;
+    applyViewOffset();
+    orbit.enabled = mode === 'orbit';
+    if (mode === 'orbit') {
+      orbit.target.copy(target);
+      orbit.update();
+    }
+    if (mode === 'fly') syncLookFromCamera();
+  }
+
+  function updateTween(delta) {
+    tween.t = Math.min(tween.t + delta / TRANSITION_TIME, 1);
+    const k = smoothstep(tween.t);
+
+    camera.position.lerpVectors(tween.fromPos, tween.toPos, k);
+    target.lerpVectors(tween.fromTarget, tween.toTarget, k);
+    camera.lookAt(target);
+
+    if (tween.t === 1) {
+      const next = tween.mode;
+      tween = null;
+      enterMode(next);
+    }
+  }
+
+  /**
+   * Switch camera mode. Poster animates back to the fixed framing;
+   * orbit swings the view onto the tower; fly keeps the current pose.
+   * @param {string} next - 'poster' | 'orbit' | 'fly'
+   */
+  function setMode(next) {
+    if (!CAMERA_MODES.includes(next)) {
+      console.warn(`[Camera] unknown mode "${next}"`);
+      return;
+    }
+    if (next === 'poster') {
+      transitionTo(poster.position, poster.target, 'poster');
+    } else if (next === 'orbit') {
+      // leave the poster crop first so the swing isn't offset
+      if (mode === 'poster') { mode = 'orbit'; applyViewOffset(); }
+      transitionTo(camera.position, orbitTarget, 'orbit');
+    } else {
+      tween = null;
+      enterMode('fly');
+    }
+    console.log(`[Camera] mode: ${next}`);
+  }
+
+  function cycleMode() {
+    const base = tween ? tween.mode : mode;
+    setMode(CAMERA_MODES[(CAMERA_MODES.indexOf(base) + 1) % CAMERA_MODES.length]);
+  }
+
+  // ---------- viewpoints ----------
+  function readViewpoints() {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * The current pose (where a running transition is headed)
+   * @returns {{ mode: string, position: number[], target: number[] }}
+   */
+  function getPose() {
+    if (tween) return { mode: tween.mode, position: tween.toPos.toArray(), target: tween.toTarget.toArray() };
+    return { mode, position: camera.position.toArray(), target: target.toArray() };
+  }
+
+  /**
+   * Move to a pose, animated or at once
+   * @param {object} pose - { mode, position: [x, y, z], target: [x, y, z] }
+   * @param {boolean} animate - Fly there like a viewpoint recall
+   */
+  function setPose(pose, animate = true) {
+    if (!CAMERA_MODES.includes(pose.mode)) {
+      console.warn(`[Camera] unknown mode "${pose.mode}"`);
+      return;
+    }
+    const position = new THREE.Vector3().fromArray(pose.position);
+    const lookAt = new THREE.Vector3().fromArray(pose.target);
+    if (animate) {
+      if (mode === 'poster' && pose.mode !== 'poster') { mode = pose.mode; applyViewOffset(); }
+      transitionTo(position, lookAt, pose.mode);
+      return;
+    }
+    tween = null;
+    camera.position.copy(position);
+    target.copy(lookAt);
+    camera.lookAt(target);
+    enterMode(pose.mode);
+  }
+
+  /**
+   * Save the current pose under a name (hotkey slots use "4" .. "9")
+   * @param {string} name - Viewpoint name
+   */
+  function saveViewpoint(name) {
+    const all = readViewpoints();
+    all[name] = getPose();
+    localStorage.setItem(storageKey, JSON.stringify(all));
+    console.log(`[Camera] saved viewpoint "${name}"`, all[name]);
+  }
+
+  /**
+   * Animate to a saved viewpoint
+   * @param {string} name - Viewpoint name
+   * @returns {boolean} false when nothing is saved under that name
+   */
+  function recallViewpoint(name) {
+    const vp = readViewpoints()[name];
+    if (!vp) {
+      console.warn(`[Camera] no viewpoint saved as "${name}" (Shift+${name} saves one)`);
+      return false;
+    }
+    setPose(vp);
+    return true;
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} delta - Seconds since last frame
+   */
+  function update(delta) {
+    if (tween) {
+      updateTween(delta);
+    } else if (mode === 'orbit') {
+      orbit.update(delta);
+      target.copy(orbit.target);
+    } else if (mode === 'fly') {
+      updateFly(delta);
+    }
+    clampToGround();
+  }
+
+  // start in the poster framing
+  camera.position.copy(poster.position);
+  camera.lookAt(target);
+  applyViewOffset();
+
+  return {
+    get mode() { return mode; },
+    // bottom crop currently applied (only the poster framing crops)
+    get cropBottomPercent() { return mode === 'poster' ? poster.cropBottomPercent : 0; },
+    target,
+    applyViewOffset,
+    setMode,
+    cycleMode,
+    getPose,
+    setPose,
+    saveViewpoint,
+    recallViewpoint,
+    update,
+  };
+}
@@ -0,0 +1,320 @@
+// Procedural city: a street grid of blocks split into lots around the hand-placed models,
+// filled with instanced boxes and copies of the glTF buildings. Heights fall off away from the
+// district's centre, lots stay clear of the water, exclusion zones and every manifest model, and
+// the layout is fixed by its seed. Generated buildings get window lights like any other building.
+import * as THREE from 'three';
+import { buildingAttribute } from './buildingLights.js';
+import { mulberry32 } from './random.js';
+
+// Used for anything a manifest's `city` block leaves out
+export const CITY_DEFAULTS = {
+  center: [0, -250],      // metres (x, z) of the middle of the district
+  size: [2200, 700],      // metres (x, z)
+  angle: 0,               // radians, turns the street grid
+  block: [90, 64],        // metres, a block between streets (along x, along z)
+  street: 14,             // metres, street width
+  lot: [18, 36],          // metres, narrowest and widest lot frontage
+  height: [8, 140],       // metres, lowest building and tallest at the centre
+  falloff: 500,           // metres from the centre at which the tallest allowed is halfway down
+  density: 0.85,          // share of lots with a building
+  models: 0.15,           // share of lots that try a glTF building before a box
+  assets: null,           // glTF buildings, [{ asset, scale }]; null uses the manifest's buildings
+  clearance: 12,          // metres kept free around every manifest model
+  shoreMargin: 20,        // metres kept free from the shoreline
+  exclude: [],            // extra zones: { center: [x, z], radius } or { min: [x, z], max: [x, z] }
+  seed: null,             // integer layout seed; null follows the scene seed
+  windows: {},            // window lights for every generated building (see WINDOW_DEFAULTS)
+};
+
+// facade colors of the boxes, concrete to dark glass
+const FACADES = [0x8a8a86, 0x6f7378, 0x9c968c, 0x5a6068, 0x7d8590, 0x4b5058, 0xa7a39a];
+// metres of pavement between a lot's edge and its building
+const SETBACK = 2;
+// streets are tested every STREET_STEP metres; shorter runs than MIN_STREET are dropped
+const STREET_STEP = 5;
+const MIN_STREET = 60;
+
+/**
+ * Fill in a manifest `city` block with the defaults
+ * @param {object} city - Possibly partial config
+ * @returns {object} Complete config
+ */
+export function cityConfig(city = {}) {
+  return { ...CITY_DEFAULTS, ...city };
+}
+
+/**
+ * Tallest building allowed at a distance from the district's centre
+ * @param {object} config - cityConfig() result
+ * @param {number} distance - Metres
+ * @returns {number} Metres
+ */
+export function heightCap({ height, falloff }, distance) {
+  const [low, high] = height;
+  return low + (high - low) / (1 + (distance / falloff) ** 2);
+}
+
+/**
+ * Whether a footprint overlaps an exclusion zone
+ * @param {object} zone - { center, radius } or { min, max }, [x, z] metres
+ * @param {object} box - { minX, minZ, maxX, maxZ } world-aligned bounds of the footprint
+ * @returns {boolean}
+ */
+export function zoneOverlaps(zone, box) {
+  if (zone.radius !== undefined) {
+    const [cx, cz] = zone.center;
+    const dx = Math.max(box.minX - cx, 0, cx - box.maxX);
+    const dz = Math.max(box.minZ - cz, 0, cz - box.maxZ);
+    return dx * dx + dz * dz < zone.radius * zone.radius;
+  }
+  return box.minX < zone.max[0] && box.maxX > zone.min[0] && box.minZ < zone.max[1] && box.maxZ > zone.min[1];
+}
+
+// the district's blocks: how many fit, their pitch and grid (u, v) to world
+function streetGrid(config) {
+  const [cx, cz] = config.center;
+  const [sizeX, sizeZ] = config.size;
+  const { street, angle } = config;
+  const pitchX = config.block[0] + street;
+  const pitchZ = config.block[1] + street;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    pitchX,
+    pitchZ,
+    countX: Math.max(1, Math.floor((sizeX + street) / pitchX)),
+    countZ: Math.max(1, Math.floor((sizeZ + street) / pitchZ)),
+    // turned by the grid angle the way rotation.y turns an object
+    toWorld: (u, v) => [cx + u * cos + v * sin, cz - u * sin + v * cos],
+  };
+}
+
+/**
+ * Lay out the district: streets, blocks, lots and a building on most lots
+ * @param {object} config - cityConfig() result
+ * @param {object} options
+ * @param {Function} options.random - Returns floats in [0, 1)
+ * @param {Function} options.isLand - (x, z) => boolean, false on the water
+ * @param {object[]} options.obstacles - Zones to keep clear besides config.exclude (same shapes)
+ * @param {object[]} options.models - { width, depth, height } per glTF building, at full size
+ * @returns {object[]} { x, z, rotationY, width, depth, height, model (index or -1), scale, seed, facade } per building
+ */
+export function planCity(config, { random, isLand = () => true, obstacles = [], models = [] }) {
+  const [cx, cz] = config.center;
+  const [blockX, blockZ] = config.block;
+  const { street, angle } = config;
+  const { toWorld, pitchX, pitchZ, countX, countZ } = streetGrid(config);
+  const zones = [...config.exclude, ...obstacles];
+
+  const fits = (u, v, halfU, halfV) => {
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([su, sv]) => toWorld(u + su * halfU, v + sv * halfV));
+    const box = {
+      minX: Math.min(...corners.map((c) => c[0])),
+      maxX: Math.max(...corners.map((c) => c[0])),
+      minZ: Math.min(...corners.map((c) => c[1])),
+      maxZ: Math.max(...corners.map((c) => c[1])),
+    };
+    if (zones.some((zone) => zoneOverlaps(zone, box))) return false;
+    // clear of the shore on every side
+    const margin = config.shoreMargin;
+    const out = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([su, sv]) => toWorld(u + su * (halfU + margin), v + sv * (halfV + margin)));
+    return out.every(([x, z]) => isLand(x, z));
+  };
+
+  const buildings = [];
+
+  for (let bz = 0; bz < countZ; bz++) {
+    for (let bx = 0; bx < countX; bx++) {
+      // block bounds in grid space, the grid centred on the district
+      const u0 = (bx - countX / 2) * pitchX + street / 2;
+      const v0 = (bz - countZ / 2) * pitchZ + street / 2;
+
+      // two rows of lots back to back, each facing its own street
+      for (let row = 0; row < 2; row++) {
+        const depth = blockZ / 2;
+        const v = v0 + depth * (row + 0.5);
+        let u = u0;
+        while (u < u0 + blockX - 1e-6) {
+          let frontage = config.lot[0] + random() * (config.lot[1] - config.lot[0]);
+          // no sliver left at the end of the block
+          if (u0 + blockX - (u + frontage) < config.lot[0]) frontage = u0 + blockX - u;
+          const lotU = u + frontage / 2;
+          u += frontage;
+          if (random() >= config.density) continue;
+
+          const [x, z] = toWorld(lotU, v);
+          const cap = heightCap(config, Math.hypot(x - cx, z - cz));
+          const spaceU = frontage - SETBACK * 2;
+          const spaceV = depth - SETBACK * 2;
+          if (spaceU <= 0 || spaceV <= 0) continue;
+
+          // a glTF building when one fits the lot and the skyline here, a box otherwise
+          // (shrunk to fit, but never below half size)
+          let model = -1;
+          let scale = 1;
+          let width = spaceU * (0.8 + 0.2 * random());
+          let lotDepth = spaceV * (0.75 + 0.25 * random());
+          let height = Math.max(config.height[0], cap * (0.3 + 0.7 * random() ** 1.5));
+          if (models.length && random() < config.models) {
+            const candidates = models
+              .map((m, i) => ({ ...m, i, scale: Math.min(1, spaceU / m.width, spaceV / m.depth) }))
+              .filter((m) => m.scale >= 0.5 && m.height * m.scale <= cap * 1.2);
+            if (candidates.length) {
+              const pick = candidates[Math.floor(random() * candidates.length)];
+              ({ scale, i: model } = pick);
+              width = pick.width * scale;
+              lotDepth = pick.depth * scale;
+              height = pick.height * scale;
+            }
+          }
+          // buildings on the far row face the other street
+          const rotationY = angle + (row === 1 ? Math.PI : 0);
+          if (!fits(lotU, v, width / 2, lotDepth / 2)) continue;
+
+          buildings.push({
+            x, z, rotationY, width, depth: lotDepth, height, model, scale,
+            seed: random(),
+            facade: Math.floor(random() * FACADES.length),
+          });
+        }
+      }
+    }
+  }
+  return buildings;
+}
+
+/**
+ * The district's streets as straight runs, broken wherever they would cross the water,
+ * an exclusion zone or a manifest model
+ * @param {object} config - cityConfig() result
+ * @param {object} options
+ * @param {Function} options.isLand - (x, z) => boolean, false on the water
+ * @param {object[]} options.obstacles - Zones to keep clear besides config.exclude
+ * @returns {number[][][]} [[x, z], [x, z]] per run, from one end to the other
+ */
+export function planStreets(config, { isLand = () => true, obstacles = [] } = {}) {
+  const { toWorld, pitchX, pitchZ, countX, countZ } = streetGrid(config);
+  const zones = [...config.exclude, ...obstacles];
+  const half = config.street / 2;
+  const clear = ([x, z]) => isLand(x, z) &&
+    !zones.some((zone) => zoneOverlaps(zone, { minX: x - half, maxX: x + half, minZ: z - half, maxZ: z + half }));
+
+  const extentU = (countX / 2) * pitchX;
+  const extentV = (countZ / 2) * pitchZ;
+  // every street line, as a point along it at grid distance s
+  const lines = [
+    ...Array.from({ length: countZ + 1 }, (_, i) => (s) => toWorld(s, (i - countZ / 2) * pitchZ)),
+    ...Array.from({ length: countX + 1 }, (_, i) => (s) => toWorld((i - countX / 2) * pitchX, s)),
+  ].map((at, i) => ({ at, extent: i <= countZ ? extentU : extentV }));
+
+  const runs = [];
+  for (const { at, extent } of lines) {
+    let start = null;
+    let last = null;
+    for (let s = -extent; s <= extent + 1e-6; s += STREET_STEP) {
+      const point = at(s);
+      if (clear(point)) {
+        start ??= point;
+        last = point;
+        continue;
+      }
+      if (start && Math.hypot(last[0] - start[0], last[1] - start[1]) >= MIN_STREET) runs.push([start, last]);
+      start = null;
+    }
+    if (start && Math.hypot(last[0] - start[0], last[1] - start[1]) >= MIN_STREET) runs.push([start, last]);
+  }
+  return runs;
+}
+
+// an InstancedMesh that shares its source geometry's attributes (plus the per-building frames)
+function instancedCopy(geometry, material, buildings) {
+  const copy = new THREE.BufferGeometry();
+  copy.index = geometry.index;
+  for (const [name, attribute] of Object.entries(geometry.attributes)) copy.setAttribute(name, attribute);
+  copy.setAttribute('aBuilding', buildingAttribute(buildings));
+  const mesh = new THREE.InstancedMesh(copy, material, buildings.length);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/**
+ * Build the district's meshes
+ * @param {object} city - Manifest `city` block (see CITY_DEFAULTS)
+ * @param {object} options
+ * @param {Function} options.random - Returns floats in [0, 1); used when the block has no seed
+ * @param {Function} options.isLand - (x, z) => boolean
+ * @param {THREE.Box3[]} options.footprints - World bounds of the manifest models, kept clear by `clearance`
+ * @param {THREE.Object3D[]} options.models - glTF buildings at their manifest scale, base centred on the origin
+ * @returns {{ object: THREE.Group, buildings: object[], streets: number[][][], materials: THREE.Material[] }}
+ */
+export function createCity(city, { random, isLand, footprints = [], models = [] }) {
+  const config = cityConfig(city);
+  // a fixed layout per manifest seed, independent of the scene seed
+  const rng = config.seed === null ? random : mulberry32(config.seed);
+  const obstacles = footprints.map((box) => ({
+    min: [box.min.x - config.clearance, box.min.z - config.clearance],
+    max: [box.max.x + config.clearance, box.max.z + config.clearance],
+  }));
+
+  const sizes = models.map((object) => {
+    const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+    return { width: size.x, depth: size.z, height: size.y };
+  });
+  const buildings = planCity(config, { random: rng, isLand, obstacles, models: sizes });
+  const streets = planStreets(config, { isLand, obstacles });
+
+  const group = new THREE.Group();
+  group.name = 'city';
+  const materials = [];
+  const matrix = new THREE.Matrix4();
+  const lot = new THREE.Matrix4();
+  const rotation = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+
+  // boxes: a unit cube standing on the ground, scaled to each building
+  const boxes = buildings.filter((b) => b.model < 0);
+  if (boxes.length) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0);
+    const material = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.75, metalness: 0.15 });
+    const mesh = instancedCopy(geometry, material, boxes);
+    const color = new THREE.Color();
+    boxes.forEach((b, i) => {
+      matrix.compose(
+        new THREE.Vector3(b.x, 0, b.z),
+        rotation.setFromAxisAngle(up, b.rotationY),
+        new THREE.Vector3(b.width, b.height, b.depth)
+      );
+      mesh.setMatrixAt(i, matrix);
+      mesh.setColorAt(i, color.setHex(FACADES[b.facade]));
+    });
+    mesh.computeBoundingSphere();
+    mesh.name = 'city:boxes';
+    group.add(mesh);
+    materials.push(material);
+  }
+
+  // glTF buildings: every mesh of a model becomes one InstancedMesh across its lots
+  models.forEach((object, index) => {
+    const lots = buildings.filter((b) => b.model === index);
+    if (!lots.length) return;
+    object.updateMatrixWorld(true);
+    object.traverse((o) => {
+      if (!o.isMesh) return;
+      const mesh = instancedCopy(o.geometry, o.material, lots);
+      lots.forEach((b, i) => {
+        lot.compose(new THREE.Vector3(b.x, 0, b.z), rotation.setFromAxisAngle(up, b.rotationY), new THREE.Vector3().setScalar(b.scale));
+        mesh.setMatrixAt(i, matrix.multiplyMatrices(lot, o.matrixWorld));
+      });
+      mesh.computeBoundingSphere();
+      mesh.name = `city:${o.name}`;
+      group.add(mesh);
+      for (const m of Array.isArray(o.material) ? o.material : [o.material]) {
+        if (m && !materials.includes(m)) materials.push(m);
+      }
+    });
+  });
+
+  console.log(`[City] ${buildings.length} building(s), ${buildings.length - boxes.length} from glTF models`);
+  return { object: group, buildings, streets, materials };
+}
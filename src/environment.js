@@ -0,0 +1,244 @@
+// Environment maps (image-based lighting): HDR / EXR files per environment, switching between
+// them by name, and a live map that follows the displayed Sky when an environment has no file
+import * as THREE from 'three';
+import { HDRLoader } from 'three/addons/loaders/HDRLoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { Sky } from 'three/addons/objects/Sky.js';
+
+// Each environment lists candidate files (the first one that loads wins); with none, or none
+// that loads, it uses the live sky. Lighting presets pick one through `environment`.
+export const ENVIRONMENTS = {
+  day: { files: ['/hdr/kloofendal_48d_partly_cloudy_puresky_4k.hdr'] },
+  sunset: { files: [] },
+  night: { files: [] },
+  sky: { files: [] },
+};
+
+export const DEFAULT_ENVIRONMENT = 'day';
+
+// resident PMREM maps kept for quick switching; older ones are disposed
+const CACHE_SIZE = 3;
+
+// live sky: cube face size, and how far the displayed sky may drift before it is captured again
+const LIVE_SIZE = 256;
+const SUN_ANGLE_THRESHOLD = THREE.MathUtils.degToRad(0.5);
+const UNIFORM_THRESHOLD = 0.02;     // relative
+const SKY_SCALARS = ['turbidity', 'rayleigh', 'mieCoefficient', 'mieDirectionalG'];
+
+function loaderFor(url) {
+  return /\.exr$/i.test(url) ? EXRLoader : HDRLoader;
+}
+
+/**
+ * Create the environment manager; call update() once per frame after the sky uniforms are set
+ * @param {object} options
+ * @param {THREE.Scene} options.scene - Its `environment` is set to the active map
+ * @param {THREE.WebGLRenderer} options.renderer - Renders the live sky's cube faces
+ * @param {THREE.PMREMGenerator} options.pmrem - Shared generator
+ * @param {object} options.skyUniforms - Uniforms of the displayed Sky, followed by the live map
+ * @param {object} options.assets - Asset loader (load(LoaderClass, url))
+ * @param {object} options.environments - Name -> { files }
+ * @param {Function} options.onWarning - Called with a message when an environment falls back
+ */
+export function createEnvironmentManager({
+  scene, renderer, pmrem, skyUniforms, assets, environments = ENVIRONMENTS, onWarning,
+}) {
+  // name -> { target (null for the live sky), source: 'file' | 'sky', file, lastUsed }
+  const maps = new Map();
+  const loading = new Map();
+  const unknown = new Set();
+  let active = null;
+  let requested = null;
+  let switching = Promise.resolve();
+  let useCount = 0;
+
+  // live sky: a snapshot of the displayed Sky's uniforms in a Sky of our own, captured into a
+  // cube one face per update and filtered by PMREM on the update after the last face
+  const skyScene = new THREE.Scene();
+  const sky = new Sky();
+  sky.scale.setScalar(1000);
+  skyScene.add(sky);
+  const cubeTarget = new THREE.WebGLCubeRenderTarget(LIVE_SIZE, { type: THREE.HalfFloatType });
+  const cubeCamera = new THREE.CubeCamera(0.1, 2000, cubeTarget);
+  let liveTarget = null;    // PMREM of the last finished capture
+  let face = -1;            // next face to capture (6 = filter), -1 when idle
+  let liveActive = false;
+  let captures = 0;
+
+  function skyDrifted() {
+    const u = sky.material.uniforms;
+    if (u.sunPosition.value.angleTo(skyUniforms.sunPosition.value) > SUN_ANGLE_THRESHOLD) return true;
+    return SKY_SCALARS.some((key) => {
+      const target = skyUniforms[key].value;
+      return Math.abs(u[key].value - target) > UNIFORM_THRESHOLD * Math.max(Math.abs(target), 1e-3);
+    });
+  }
+
+  function snapshotSky() {
+    const u = sky.material.uniforms;
+    for (const key of SKY_SCALARS) u[key].value = skyUniforms[key].value;
+    u.sunPosition.value.copy(skyUniforms.sunPosition.value);
+    u.up.value.copy(skyUniforms.up.value);
+  }
+
+  function captureFace(index) {
+    if (cubeCamera.coordinateSystem !== renderer.coordinateSystem) {
+      cubeCamera.coordinateSystem = renderer.coordinateSystem;
+      cubeCamera.updateCoordinateSystem();
+    }
+    const target = renderer.getRenderTarget();
+    const activeFace = renderer.getActiveCubeFace();
+    const activeLevel = renderer.getActiveMipmapLevel();
+    renderer.setRenderTarget(cubeTarget, index);
+    renderer.render(skyScene, cubeCamera.children[index]);
+    renderer.setRenderTarget(target, activeFace, activeLevel);
+  }
+
+  function finishCapture() {
+    // filtered into the same target every time (it is created on the first capture)
+    liveTarget = pmrem.fromCubemap(cubeTarget.texture, liveTarget);
+    if (liveActive) scene.environment = liveTarget.texture;
+    captures++;
+    face = -1;
+  }
+
+  // one step of the capture: a face, or the PMREM filter once all six are in
+  function captureStep() {
+    if (face < 6) captureFace(face++);
+    else finishCapture();
+  }
+
+  // whole capture at once, when there is no usable live map to show meanwhile
+  function captureNow() {
+    if (face < 0) {
+      snapshotSky();
+      face = 0;
+    }
+    while (face >= 0) captureStep();
+  }
+
+  async function loadFile(name, files) {
+    for (const url of files) {
+      try {
+        const tex = await assets.load(loaderFor(url), url);
+        const target = pmrem.fromEquirectangular(tex);
+        tex.dispose();
+        return { target, source: 'file', file: url };
+      } catch (err) {
+        console.warn(`[Environment] ${name}: ${url} unavailable`, err);
+      }
+    }
+    return null;
+  }
+
+  async function build(name) {
+    const def = environments[name];
+    const loaded = await loadFile(name, def.files ?? []);
+    if (loaded) {
+      console.log(`[Environment] ${name}: ${loaded.file}`);
+      return loaded;
+    }
+    if (def.files?.length) onWarning?.(`Environment "${name}": no HDR/EXR loaded, following the sky`);
+    console.log(`[Environment] ${name}: live sky`);
+    return { target: null, source: 'sky', file: null };
+  }
+
+  function evict() {
+    const idle = [...maps].filter(([name]) => name !== active).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    // live-sky entries hold no map of their own, so they don't count
+    const resident = () => [...maps.values()].filter((map) => map.target).length;
+    while (resident() > CACHE_SIZE && idle.length) {
+      const [name, map] = idle.shift();
+      if (!map.target) continue;
+      map.target.dispose();
+      maps.delete(name);
+    }
+  }
+
+  function apply(name) {
+    const map = maps.get(name);
+    map.lastUsed = ++useCount;
+    active = name;
+    liveActive = map.source === 'sky';
+    if (liveActive) {
+      // a stale live map (e.g. after a while on a file) would show for several frames
+      if (!liveTarget || skyDrifted()) captureNow();
+      scene.environment = liveTarget.texture;
+    } else {
+      scene.environment = map.target.texture;
+    }
+    evict();
+  }
+
+  function ensure(name) {
+    if (maps.has(name)) return Promise.resolve(maps.get(name));
+    if (!loading.has(name)) {
+      loading.set(name, build(name).then((map) => {
+        maps.set(name, map);
+        loading.delete(name);
+        return map;
+      }));
+    }
+    return loading.get(name);
+  }
+
+  /**
+   * Switch to an environment; the current one stays until the new one is ready
+   * @param {string} name - Key of the environments table
+   * @returns {Promise<void>}
+   */
+  function use(name = DEFAULT_ENVIRONMENT) {
+    // cheap when nothing changes, so it can be called every frame
+    if (name === requested) return switching;
+    if (!environments[name]) {
+      if (!unknown.has(name)) console.warn(`[Environment] unknown environment "${name}"`);
+      unknown.add(name);
+      return switching;
+    }
+    requested = name;
+    switching = ensure(name).then(() => {
+      // a later use() may have asked for another one meanwhile
+      if (requested === name) apply(name);
+    });
+    return switching;
+  }
+
+  /**
+   * Keep the live map in step with the displayed sky: once it has drifted past the thresholds,
+   * capture it again, one cube face per call, then filter it on the next
+   */
+  function update() {
+    if (!liveActive) return;
+    if (face < 0) {
+      if (!skyDrifted()) return;
+      snapshotSky();
+      face = 0;
+    }
+    captureStep();
+  }
+
+  function dispose() {
+    for (const map of maps.values()) map.target?.dispose();
+    maps.clear();
+    liveTarget?.dispose();
+    liveTarget = null;
+    cubeTarget.dispose();
+    sky.geometry.dispose();
+    sky.material.dispose();
+    if (scene.environment && active) scene.environment = null;
+    active = requested = null;
+    liveActive = false;
+  }
+
+  return {
+    get active() { return active; },
+    get names() { return Object.keys(environments); },
+    /** @returns {string|null} 'file' or 'sky' for the active environment */
+    get source() { return active ? maps.get(active).source : null; },
+    /** @returns {number} Live sky captures finished so far */
+    get captures() { return captures; },
+    use,
+    update,
+    dispose,
+  };
+}
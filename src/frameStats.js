@@ -0,0 +1,52 @@
+// Per-frame timing: smoothed milliseconds per named section, plus frame rate
+
+/**
+ * Create a frame timer
+ * @param {object} options
+ * @param {number} options.smoothing - Weight of the newest sample in the running averages
+ */
+export function createFrameStats({ smoothing = 0.05 } = {}) {
+  const sections = new Map();   // name -> smoothed ms
+  let frameMs = 0;
+  let lastFrame = 0;
+
+  function record(name, ms) {
+    const prev = sections.get(name);
+    sections.set(name, prev === undefined ? ms : prev + (ms - prev) * smoothing);
+  }
+
+  /**
+   * Run `fn` and add its duration to a section
+   * @param {string} name - Section, e.g. 'sky', 'render'
+   * @param {Function} fn
+   * @returns {*} fn's return value
+   */
+  function measure(name, fn) {
+    const t0 = performance.now();
+    try {
+      return fn();
+    } finally {
+      record(name, performance.now() - t0);
+    }
+  }
+
+  // call once per displayed frame
+  function tick() {
+    const now = performance.now();
+    if (lastFrame) {
+      const ms = now - lastFrame;
+      frameMs = frameMs ? frameMs + (ms - frameMs) * smoothing : ms;
+    }
+    lastFrame = now;
+  }
+
+  return {
+    measure,
+    record,
+    tick,
+    get fps() { return frameMs ? 1000 / frameMs : 0; },
+    get frameMs() { return frameMs; },
+    /** @returns {object} Section name -> smoothed ms */
+    get sections() { return Object.fromEntries(sections); },
+  };
+}
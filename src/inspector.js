@@ -0,0 +1,292 @@
+// Inspector: a lil-gui panel over the live lighting state, sky, fog, water, light levels and
+// model transforms, with click-to-pick in the viewport. Editing takes the scene off the clock
+// and presets so the values stay put; the panel's export buttons save what was tweaked.
+import * as THREE from 'three';
+import GUI from 'three/addons/libs/lil-gui.module.min.js';
+
+// slider range and step per lighting state field
+const STATE_RANGES = {
+  exposure: [0, 3, 0.01],
+  amb: [0, 3, 0.01],
+  sunInt: [0, 5, 0.01],
+  sunKelvin: [1500, 12000, 50],
+  hemiInt: [0, 3, 0.01],
+  ibl: [0, 3, 0.01],
+  windowLight: [0, 3, 0.01],
+  stars: [0, 1, 0.01],
+  hour: [0, 24, 0.05],
+  elev: [-20, 90, 0.1],
+  azim: [0, 360, 0.5],
+  turbidity: [0, 20, 0.1],
+  rayleigh: [0, 4, 0.01],
+  mieC: [0, 0.1, 0.0005],
+  mieG: [0, 1, 0.001],
+  fogDensity: [0, 0.01, 0.00005],
+};
+
+// slider range and step per light-rig level (PointLight / SpotLight intensities at full level)
+const TUNING_RANGES = {
+  towerPoint: [0, 120000, 100],
+  bridgePoint: [0, 120000, 100],
+  searchlight: [0, 200000, 100],
+};
+
+// which lighting state fields go in which folder
+const STATE_FOLDERS = {
+  Lighting: ['exposure', 'amb', 'sunInt', 'sunKelvin', 'hemiInt', 'hemiSky', 'hemiGround', 'ibl',
+    'environment', 'windowLight', 'windowColor', 'towerColor', 'stars', 'hour'],
+  Sky: ['elev', 'azim', 'turbidity', 'rayleigh', 'mieC', 'mieG'],
+  Fog: ['fogDensity', 'fogColor'],
+};
+
+// a pointer that moves less than this (pixels) between down and up is a click, not a drag
+const CLICK_SLOP = 4;
+
+/**
+ * Create the inspector (hidden until toggled)
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLCanvasElement} options.canvas - Clicks on it pick models
+ * @param {object} options.state - Live lighting state, edited in place
+ * @param {string[]} options.environments - Names for the environment field
+ * @param {object} options.ocean - createOcean() result
+ * @param {object} options.weather - createWeather() result (owns the water's ripple distortion)
+ * @param {object} options.tuning - Light levels, edited in place
+ * @param {object} options.shadows - createShadows() result (quality tier and softness)
+ * @param {Function} options.onEdit - Called on any edit to the lighting state
+ * @param {Function} options.onTransform - Called with the model's group after a transform edit
+ * @param {object} options.actions - Button label -> function, in an Export folder
+ * @returns {object} { toggle, visible, addModel, select, selected, transforms, ocean, update }
+ */
+export function createInspector({
+  scene,
+  camera,
+  canvas,
+  state,
+  environments = [],
+  ocean,
+  weather,
+  tuning = {},
+  shadows,
+  onEdit = () => {},
+  onTransform = () => {},
+  actions = {},
+}) {
+  const gui = new GUI({ title: 'Inspector' });
+  let shown = false;
+  gui.hide();
+  // typing into the panel must not trigger the scene's hotkeys
+  gui.domElement.addEventListener('keydown', (e) => e.stopPropagation());
+
+  // ---------- lighting state, sky and fog ----------
+  function addStateField(folder, key) {
+    if (!(key in state)) return;
+    if (state[key]?.isColor) {
+      // read through the state each time: presets may swap the color object
+      const proxy = {
+        get [key]() { return `#${state[key].getHexString()}`; },
+        set [key](value) { state[key].set(value); },
+      };
+      folder.addColor(proxy, key).listen().onChange(onEdit);
+    } else if (key === 'environment') {
+      folder.add(state, key, environments).listen().onChange(onEdit);
+    } else {
+      const [min, max, step] = STATE_RANGES[key];
+      folder.add(state, key, min, max, step).listen().onChange(onEdit);
+    }
+  }
+
+  for (const [title, keys] of Object.entries(STATE_FOLDERS)) {
+    const folder = gui.addFolder(title);
+    for (const key of keys) addStateField(folder, key);
+    if (title !== 'Lighting') folder.close();
+  }
+
+  // ---------- water ----------
+  // wave fields the panel changed, written over the manifest's on export
+  const oceanEdits = {};
+  const water = gui.addFolder('Water');
+  addStateField(water, 'waterColor');
+  const sea = {
+    get waveHeight() { return ocean.config.waveHeight; },
+    set waveHeight(value) { tuneOcean({ waveHeight: value }); },
+    get windAngle() {
+      const [x, z] = ocean.config.windDirection;
+      return THREE.MathUtils.euclideanModulo(THREE.MathUtils.radToDeg(Math.atan2(z, x)), 360);
+    },
+    set windAngle(degrees) {
+      const a = THREE.MathUtils.degToRad(degrees);
+      tuneOcean({ windDirection: [Number(Math.cos(a).toFixed(4)), Number(Math.sin(a).toFixed(4))] });
+    },
+    get choppiness() { return ocean.config.choppiness; },
+    set choppiness(value) { tuneOcean({ choppiness: value }); },
+    get foamWidth() { return ocean.config.foamWidth; },
+    set foamWidth(value) { tuneOcean({ foamWidth: value }); },
+    get distortion() { return weather.distortion; },
+    set distortion(value) { weather.distortion = value; },
+    get rippleSize() { return ocean.water.material.uniforms['size'].value; },
+    set rippleSize(value) { ocean.water.material.uniforms['size'].value = value; },
+  };
+  function tuneOcean(fields) {
+    Object.assign(oceanEdits, fields);
+    ocean.tune(fields);
+  }
+  // listen: the manifest configures the ocean after the panel is built
+  water.add(sea, 'waveHeight', 0, 5, 0.05).name('wave height').listen();
+  water.add(sea, 'windAngle', 0, 360, 1).name('wind (°)').listen();
+  water.add(sea, 'choppiness', 0, 1, 0.01).listen();
+  water.add(sea, 'foamWidth', 0.5, 30, 0.5).name('foam width').listen();
+  water.add(sea, 'distortion', 0, 10, 0.1).listen();
+  water.add(sea, 'rippleSize', 0.1, 10, 0.1).name('ripple size').listen();
+  water.close();
+
+  // ---------- light levels and shadows ----------
+  const rig = gui.addFolder('Light rigs');
+  for (const key of Object.keys(tuning)) {
+    if (!TUNING_RANGES[key]) {
+      console.warn(`[Inspector] no slider range for light level "${key}"`);
+      continue;
+    }
+    const [min, max, step] = TUNING_RANGES[key];
+    rig.add(tuning, key, min, max, step);
+  }
+  if (shadows) {
+    const shadowSettings = {
+      get quality() { return shadows.quality; },
+      set quality(name) { shadows.setQuality(name); },
+    };
+    rig.add(shadowSettings, 'quality', shadows.qualities).name('shadow quality');
+    rig.add(shadows, 'softness', 0, 0.1, 0.001).name('shadow softness');
+  }
+  rig.close();
+
+  // ---------- models ----------
+  const models = new Map(); // id -> group
+  const edited = new Set(); // ids moved in the panel
+  const modelFolder = gui.addFolder('Models');
+  const picker = { model: '' };
+  let modelList = modelFolder.add(picker, 'model', []);
+  let transformFolder = null;
+  let selected = null;
+  const highlight = new THREE.BoxHelper(undefined, 0xffaa00);
+  highlight.visible = false;
+  scene.add(highlight);
+
+  function refreshModelList() {
+    modelList.destroy();
+    modelList = modelFolder.add(picker, 'model', [...models.keys()]).onChange((id) => select(models.get(id)));
+    // keep the transform fields below the list
+    if (transformFolder) modelFolder.$children.appendChild(transformFolder.domElement);
+  }
+
+  /**
+   * Make a model pickable and listed
+   * @param {THREE.Object3D} group - Model root with userData.id
+   */
+  function addModel(group) {
+    models.set(group.userData.id, group);
+    refreshModelList();
+  }
+
+  /**
+   * Select a model (null clears the selection)
+   * @param {THREE.Object3D|null} group
+   */
+  function select(group) {
+    transformFolder?.destroy();
+    transformFolder = null;
+    selected = group ?? null;
+    highlight.visible = !!selected && shown;
+    if (!selected) return;
+
+    const id = selected.userData.id;
+    picker.model = id;
+    modelList.updateDisplay();
+    highlight.setFromObject(selected);
+
+    const changed = () => {
+      edited.add(id);
+      onTransform(selected);
+      highlight.setFromObject(selected);
+    };
+    transformFolder = modelFolder.addFolder(`${id} (${selected.userData.type ?? 'model'})`);
+    for (const axis of ['x', 'y', 'z']) {
+      transformFolder.add(selected.position, axis, -3000, 3000, 0.5).name(`position ${axis}`).listen().onChange(changed);
+    }
+    transformFolder.add(selected.rotation, 'y', -2 * Math.PI, 2 * Math.PI, 0.001).name('rotationY').listen().onChange(changed);
+    const scale = {
+      get scale() { return selected.scale.x; },
+      set scale(value) { selected.scale.setScalar(value); },
+    };
+    transformFolder.add(scale, 'scale', 0.01, 10, 0.01).onChange(changed);
+    if (selected.userData.boat) transformFolder.add({ note: 'follows its boat path' }, 'note').disable();
+  }
+
+  // ---------- picking ----------
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let down = null;
+
+  canvas.addEventListener('pointerdown', (e) => { down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener('pointerup', (e) => {
+    if (!shown || !down) return;
+    const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+    down = null;
+    if (moved > CLICK_SLOP) return;
+
+    const rect = canvas.getBoundingClientRect();
+    pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects([...models.values()], true)[0];
+    let group = hit?.object ?? null;
+    while (group && !models.has(group.userData.id)) group = group.parent;
+    select(group);
+  });
+
+  // ---------- export ----------
+  if (Object.keys(actions).length) {
+    const exports = gui.addFolder('Export');
+    for (const [label, action] of Object.entries(actions)) exports.add({ [label]: action }, label);
+  }
+
+  /**
+   * Show or hide the panel (and the selection box)
+   */
+  function toggle() {
+    shown = !shown;
+    gui.show(shown);
+    highlight.visible = !!selected && shown;
+  }
+
+  /**
+   * Per-frame update: the selection box follows moving models
+   */
+  function update() {
+    if (highlight.visible) highlight.setFromObject(selected);
+  }
+
+  return {
+    toggle,
+    get visible() { return shown; },
+    addModel,
+    select,
+    get selected() { return selected; },
+    // id -> { position, rotationY, scale } for every model moved in the panel
+    get transforms() {
+      const out = new Map();
+      for (const id of edited) {
+        const group = models.get(id);
+        out.set(id, {
+          position: group.position.toArray().map((v) => Number(v.toFixed(3))),
+          rotationY: Number(group.rotation.y.toFixed(4)),
+          scale: Number(group.scale.x.toFixed(4)),
+        });
+      }
+      return out;
+    },
+    // ocean fields changed in the panel
+    get ocean() { return { ...oceanEdits }; },
+    update,
+  };
+}
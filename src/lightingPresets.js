@@ -0,0 +1,467 @@
+// Lighting presets: built-in moods, JSON load/save and blending between lighting states
+//
+// A preset may set any of these fields; missing ones keep their current value
+// when transitioned to:
+//   exposure, amb, sunInt, sunKelvin          renderer exposure, ambient, sun
+//   turbidity, rayleigh, mieC, mieG           Sky uniforms
+//   elev, azim                                sun position (degrees)
+//   hemiInt, hemiSky, hemiGround              hemisphere fill
+//   fogDensity, fogColor                      FogExp2
+//   stars, ibl                                star opacity, environment intensity (HDR/EXR maps)
+//   windowLight, windowColor                  building window brightness and color
+//   hour                                      local time the mood stands for (window schedules)
+//   towerColor                                Tokyo Tower color ("preset" levels of tower programs)
+//   waterColor                                color of the ocean's depths
+//   environment                               environment map name (switches halfway through a blend)
+//   duration                                  transition seconds (not blended)
+import * as THREE from 'three';
+import { lerp } from './mathUtils.js';
+
+export const LIGHTING_PRESETS = {
+  day: {
+    exposure: 0.3,
+    amb: 0.18,
+    sunInt: 3.0,
+    sunKelvin: 6500,
+
+    turbidity: 6,
+    rayleigh: 3.0,
+    mieC: 0.0025,
+    mieG: 0.78,
+
+    elev: 55,
+    azim: 0,
+    hour: 12,
+
+    fogDensity: 0.00008,
+    fogColor: new THREE.Color(0xb8d2f0),
+
+    hemiInt: 0.35,
+    hemiSky: new THREE.Color(0xcfe8ff),
+    hemiGround: new THREE.Color(0x2a2a2a),
+
+    stars: 0.0,
+    ibl: 0.55,
+
+    windowLight: 0.0,
+    windowColor: new THREE.Color(0xffddaa),
+    towerColor: new THREE.Color(0xff8800),
+    waterColor: new THREE.Color(0x0b4ea2),
+    environment: 'day',
+    duration: 2.0,
+  },
+
+  sunset: {
+    exposure: 0.25,
+    amb: 0.1,
+    sunInt: 0.60,
+    sunKelvin: 3200,
+
+    turbidity: 10,
+    rayleigh: 2.2,
+    mieC: 0.010,
+    mieG: 0.90,
+
+    elev: 3.0,
+    azim: 170,
+    hour: 18,
+
+    hemiInt: 0.55,
+    hemiSky: new THREE.Color(0xffc3a0),
+    hemiGround: new THREE.Color(0x0b1020),
+
+    fogDensity: 0.00035,
+    fogColor: new THREE.Color(0x142033),
+
+    stars: 0.0,
+    ibl: 0.25,
+
+    windowLight: 0.5,
+    windowColor: new THREE.Color(0xffd8a8),
+    towerColor: new THREE.Color(0xff8800),
+    waterColor: new THREE.Color(0x1b3552),
+    environment: 'sunset',
+    duration: 2.5,
+  },
+
+  night: {
+    exposure: 0.22,
+    amb: 0.05,
+    sunInt: 0.01,
+    sunKelvin: 10000,
+    turbidity: 1.0,
+    rayleigh: 0.0,
+    mieC: 0.0,
+    mieG: 0.7,
+    elev: -20,
+    azim: 180,
+    hour: 22,
+    hemiInt: 0.05,
+    hemiSky: new THREE.Color(0x05081a),
+    hemiGround: new THREE.Color(0x000000),
+    stars: 1.0,
+    fogDensity: 0.0004,
+    fogColor: new THREE.Color(0x0b1020),
+    ibl: 0.01,
+
+    windowLight: 1.5,
+    windowColor: new THREE.Color(0xffddaa),
+    towerColor: new THREE.Color(0xff0000),
+    waterColor: new THREE.Color(0x06121f),
+    environment: 'night',
+    duration: 3.0,
+  },
+
+  dawn: {
+    exposure: 0.28,
+    amb: 0.12,
+    sunInt: 0.8,
+    sunKelvin: 4200,
+
+    turbidity: 4,
+    rayleigh: 2.8,
+    mieC: 0.006,
+    mieG: 0.85,
+
+    elev: 4.0,
+    azim: 90,
+    hour: 5,
+
+    hemiInt: 0.45,
+    hemiSky: new THREE.Color(0xffd6c0),
+    hemiGround: new THREE.Color(0x141a28),
+
+    fogDensity: 0.00025,
+    fogColor: new THREE.Color(0xc8b8c8),
+
+    stars: 0.05,
+    ibl: 0.3,
+
+    windowLight: 0.3,
+    windowColor: new THREE.Color(0xffe0b8),
+    towerColor: new THREE.Color(0xff9a40),
+    waterColor: new THREE.Color(0x1a3a5c),
+    environment: 'sunset',
+    duration: 2.5,
+  },
+
+  blueHour: {
+    exposure: 0.3,
+    amb: 0.08,
+    sunInt: 0.05,
+    sunKelvin: 9000,
+
+    turbidity: 2,
+    rayleigh: 1.2,
+    mieC: 0.002,
+    mieG: 0.75,
+
+    elev: -5,
+    azim: 170,
+    hour: 18.5,
+
+    hemiInt: 0.3,
+    hemiSky: new THREE.Color(0x2a3d6e),
+    hemiGround: new THREE.Color(0x05070d),
+
+    fogDensity: 0.0003,
+    fogColor: new THREE.Color(0x1a2440),
+
+    stars: 0.35,
+    ibl: 0.08,
+
+    windowLight: 1.0,
+    windowColor: new THREE.Color(0xffd8a8),
+    towerColor: new THREE.Color(0xff5a00),
+    waterColor: new THREE.Color(0x0c2644),
+    environment: 'night',
+    duration: 2.5,
+  },
+
+  overcast: {
+    exposure: 0.35,
+    amb: 0.4,
+    sunInt: 0.6,
+    sunKelvin: 7000,
+
+    turbidity: 20,
+    rayleigh: 0.5,
+    mieC: 0.02,
+    mieG: 0.6,
+
+    elev: 40,
+    azim: 20,
+    hour: 14,
+
+    hemiInt: 0.6,
+    hemiSky: new THREE.Color(0xc4c9d0),
+    hemiGround: new THREE.Color(0x303030),
+
+    fogDensity: 0.0006,
+    fogColor: new THREE.Color(0x9aa3ad),
+
+    stars: 0.0,
+    ibl: 0.35,
+
+    windowLight: 0.15,
+    windowColor: new THREE.Color(0xffe6c4),
+    towerColor: new THREE.Color(0xff8800),
+    waterColor: new THREE.Color(0x2b4352),
+    environment: 'day',
+    duration: 2.5,
+  },
+
+  foggyNight: {
+    exposure: 0.26,
+    amb: 0.07,
+    sunInt: 0.01,
+    sunKelvin: 10000,
+
+    turbidity: 1.0,
+    rayleigh: 0.0,
+    mieC: 0.0,
+    mieG: 0.7,
+
+    elev: -20,
+    azim: 180,
+    hour: 23.5,
+
+    hemiInt: 0.08,
+    hemiSky: new THREE.Color(0x101522),
+    hemiGround: new THREE.Color(0x000000),
+
+    fogDensity: 0.0016,
+    fogColor: new THREE.Color(0x1c2230),
+
+    stars: 0.05,
+    ibl: 0.01,
+
+    windowLight: 1.5,
+    windowColor: new THREE.Color(0xffcf99),
+    towerColor: new THREE.Color(0xff2a00),
+    waterColor: new THREE.Color(0x081522),
+    environment: 'night',
+    duration: 3.0,
+  },
+};
+
+// Presets placed on the sun elevation axis (degrees) for the continuous clock,
+// separately for the rising (morning) and setting (evening) sun.
+// Below the first / above the last keyframe the end preset is held.
+export const ELEVATION_KEYFRAMES = {
+  morning: [
+    { elev: -12, preset: 'night' },
+    { elev: -5,  preset: 'blueHour' },
+    { elev: 2,   preset: 'dawn' },
+    { elev: 25,  preset: 'day' },
+  ],
+  evening: [
+    { elev: -12, preset: 'night' },
+    { elev: -5,  preset: 'blueHour' },
+    { elev: 2,   preset: 'sunset' },
+    { elev: 25,  preset: 'day' },
+  ],
+};
+
+const NUMBER_KEYS = [
+  'exposure', 'amb', 'sunInt', 'sunKelvin',
+  'turbidity', 'rayleigh', 'mieC', 'mieG',
+  'elev', 'stars', 'hemiInt', 'fogDensity', 'ibl', 'windowLight',
+];
+const COLOR_KEYS = ['hemiSky', 'hemiGround', 'fogColor', 'windowColor', 'towerColor', 'waterColor'];
+const STRING_KEYS = ['environment'];
+const PRESET_KEYS = [...NUMBER_KEYS, 'azim', 'hour', ...COLOR_KEYS, ...STRING_KEYS, 'duration'];
+
+const STORAGE_KEY = 'tokyo-tower.presets';
+
+// always the short way round: degrees (350 -> 10 passes through 0), hours (22 -> 5 through 0)
+function lerpWrapped(a, b, t, period) {
+  const d = ((b - a) % period + period * 1.5) % period - period / 2;
+  return a + d * t;
+}
+
+/**
+ * Blend two lighting states into `out` (colors are copied, not shared)
+ * @param {object} out - State written to
+ * @param {object} a - State at t = 0
+ * @param {object} b - State at t = 1
+ * @param {number} t - Blend factor 0..1
+ * @returns {object} out
+ */
+export function blendLightingState(out, a, b, t) {
+  for (const k of NUMBER_KEYS) {
+    if (a[k] === undefined && b[k] === undefined) continue;
+    out[k] = lerp(a[k] ?? b[k], b[k] ?? a[k], t);
+  }
+  if (a.azim !== undefined || b.azim !== undefined) {
+    out.azim = lerpWrapped(a.azim ?? b.azim, b.azim ?? a.azim, t, 360);
+  }
+  if (a.hour !== undefined || b.hour !== undefined) {
+    out.hour = (lerpWrapped(a.hour ?? b.hour, b.hour ?? a.hour, t, 24) + 24) % 24;
+  }
+  for (const k of COLOR_KEYS) {
+    if (!a[k] && !b[k]) continue;
+    out[k] ??= new THREE.Color();
+    out[k].copy(a[k] ?? b[k]).lerp(b[k] ?? a[k], t);
+  }
+  for (const k of STRING_KEYS) {
+    if (a[k] === undefined && b[k] === undefined) continue;
+    out[k] = (t < 0.5 ? a[k] : b[k]) ?? a[k] ?? b[k];
+  }
+  return out;
+}
+
+/**
+ * Copy every lighting field `src` sets into `out` (colors are cloned)
+ * @param {object} out - State written to
+ * @param {object} src - State read from
+ * @returns {object} out
+ */
+export function copyLightingState(out, src) {
+  return blendLightingState(out, src, src, 0);
+}
+
+/**
+ * Sample the keyframed presets at a sun elevation
+ * @param {number} elev - Sun elevation in degrees
+ * @param {object} out - State written to
+ * @param {boolean} rising - Morning (true) or evening (false) keyframes
+ * @param {object} presets - Preset table the keyframes refer to
+ * @returns {object} out
+ */
+export function sampleByElevation(elev, out, rising = false, presets = LIGHTING_PRESETS) {
+  const keyframes = rising ? ELEVATION_KEYFRAMES.morning : ELEVATION_KEYFRAMES.evening;
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+
+  if (elev <= first.elev) return blendLightingState(out, presets[first.preset], presets[first.preset], 0);
+  if (elev >= last.elev) return blendLightingState(out, presets[last.preset], presets[last.preset], 0);
+
+  let i = 0;
+  while (elev > keyframes[i + 1].elev) i++;
+  const k0 = keyframes[i];
+  const k1 = keyframes[i + 1];
+  const t = (elev - k0.elev) / (k1.elev - k0.elev);
+
+  return blendLightingState(out, presets[k0.preset], presets[k1.preset], t);
+}
+
+// ---------- JSON ----------
+
+/**
+ * Build a preset from plain JSON (colors as "#rrggbb")
+ * @param {object} json - Preset fields
+ * @param {string} name - Used in error messages
+ * @returns {object} Preset with THREE.Color fields
+ * @throws {Error} Listing every invalid field
+ */
+export function presetFromJSON(json, name = 'preset') {
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    throw new Error(`[LightingPresets] ${name}: must be an object`);
+  }
+
+  const errors = [];
+  const preset = {};
+
+  for (const [k, v] of Object.entries(json)) {
+    if (!PRESET_KEYS.includes(k)) {
+      errors.push(`${name}.${k}: unknown field`);
+    } else if (COLOR_KEYS.includes(k)) {
+      if (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v)) preset[k] = new THREE.Color(v);
+      else errors.push(`${name}.${k}: must be "#rrggbb"`);
+    } else if (STRING_KEYS.includes(k)) {
+      if (typeof v === 'string' && v) preset[k] = v;
+      else errors.push(`${name}.${k}: must be a non-empty string`);
+    } else if (typeof v === 'number' && Number.isFinite(v)) {
+      preset[k] = v;
+    } else {
+      errors.push(`${name}.${k}: must be a number`);
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`[LightingPresets] invalid preset\n  ${errors.join('\n  ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Convert a preset or live lighting state to plain JSON
+ * @param {object} state - Preset or state (extra fields are dropped)
+ * @returns {object} JSON-safe object
+ */
+export function presetToJSON(state) {
+  const json = {};
+  for (const k of PRESET_KEYS) {
+    const v = state[k];
+    if (v === undefined) continue;
+    if (v?.isColor) json[k] = `#${v.getHexString()}`;
+    else if (typeof v === 'string') json[k] = v;
+    else json[k] = Number(v.toPrecision(6));
+  }
+  return json;
+}
+
+/**
+ * Fetch a preset file ({ "presets": { name: {...} } }) and register its presets
+ * Invalid presets are logged and skipped.
+ * @param {string} url - e.g. /presets/custom.json
+ * @returns {Promise<string[]>} Names registered
+ */
+export async function loadPresetFile(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`[LightingPresets] failed to fetch ${url} (${res.status})`);
+  const json = await res.json();
+
+  const names = [];
+  for (const [name, data] of Object.entries(json.presets ?? {})) {
+    try {
+      LIGHTING_PRESETS[name] = presetFromJSON(data, name);
+      names.push(name);
+    } catch (err) {
+      console.error(`${url}:`, err.message);
+    }
+  }
+  return names;
+}
+
+/**
+ * Save a state as a named preset (kept in localStorage and registered)
+ * @param {string} name - Preset name
+ * @param {object} state - Lighting state to capture
+ * @returns {object} The saved JSON
+ */
+export function savePreset(name, state) {
+  const json = presetToJSON(state);
+  LIGHTING_PRESETS[name] = presetFromJSON(json, name);
+
+  const saved = readSavedPresets();
+  saved[name] = json;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return json;
+}
+
+/**
+ * Register presets previously saved with savePreset
+ * @returns {string[]} Names registered
+ */
+export function loadSavedPresets() {
+  const names = [];
+  for (const [name, data] of Object.entries(readSavedPresets())) {
+    try {
+      LIGHTING_PRESETS[name] = presetFromJSON(data, name);
+      names.push(name);
+    } catch (err) {
+      console.error('[LightingPresets] saved preset skipped:', err.message);
+    }
+  }
+  return names;
+}
+
+function readSavedPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
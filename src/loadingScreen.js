@@ -0,0 +1,71 @@
+// Loading screen (progress bar, bytes and file count) and a warning list for assets that failed
+
+function formatMB(bytes) {
+  return (bytes / 1e6).toFixed(1);
+}
+
+/**
+ * Create the loading overlay; it covers the canvas until hide() is called
+ * @param {object} options
+ * @param {string} options.title - Heading shown above the bar
+ */
+export function createLoadingScreen({ title = 'Loading' } = {}) {
+  const root = document.createElement('div');
+  root.id = 'loading-screen';
+  root.innerHTML = `
+    <div class="loading-title"></div>
+    <div class="loading-bar"><div class="loading-fill"></div></div>
+    <div class="loading-detail"></div>
+  `;
+  root.querySelector('.loading-title').textContent = title;
+  const fill = root.querySelector('.loading-fill');
+  const detail = root.querySelector('.loading-detail');
+  document.body.appendChild(root);
+
+  const warnings = document.createElement('ul');
+  warnings.id = 'load-warnings';
+  warnings.title = 'Click to dismiss';
+  warnings.addEventListener('click', () => { warnings.style.display = 'none'; });
+  document.body.appendChild(warnings);
+
+  // the total grows as .gltf files reveal their buffers and textures; never move the bar back
+  let shown = 0;
+
+  /**
+   * Show download progress
+   * @param {object} p - Progress from the asset loader
+   */
+  function update({ bytesLoaded, bytesTotal, filesLoaded, filesTotal, failed }) {
+    if (bytesTotal > 0) shown = Math.max(shown, bytesLoaded / bytesTotal);
+    fill.style.width = `${(shown * 100).toFixed(1)}%`;
+    detail.textContent =
+      `${formatMB(bytesLoaded)} / ${formatMB(bytesTotal)} MB  ·  ${filesLoaded} / ${filesTotal} files` +
+      (failed ? `  ·  ${failed} failed` : '');
+  }
+
+  /**
+   * Replace the detail line, e.g. while models are being built after the downloads
+   * @param {string} text
+   */
+  function setStatus(text) {
+    detail.textContent = text;
+  }
+
+  /**
+   * Add a line to the warning list (stays after the loading screen is gone)
+   * @param {string} message
+   */
+  function warn(message) {
+    const li = document.createElement('li');
+    li.textContent = `⚠ ${message}`;
+    warnings.appendChild(li);
+    warnings.style.display = 'block';
+  }
+
+  function hide() {
+    root.classList.add('done');
+    setTimeout(() => root.remove(), 600);
+  }
+
+  return { update, setStatus, warn, hide };
+}
@@ -0,0 +1,40 @@
+// Small pure helpers shared by the scene and its tests
+import * as THREE from 'three';
+
+export function lerp(a, b, t) { return a + (b - a) * t; }
+
+export function smoothstep(t) { return t * t * (3 - 2 * t); }
+
+// Per-frame lerp factor tuned at 60 fps, rescaled for a frame of `delta` seconds
+// (a zero delta changes nothing, so re-rendering a paused frame is stable)
+export function damp(factorAt60, delta) { return 1 - Math.pow(1 - factorAt60, delta * 60); }
+
+/**
+ * Color of a black body at a temperature
+ * @param {number} k - Kelvin; approximation is good enough for 1000K–40000K (clamped)
+ * @returns {THREE.Color}
+ */
+export function kelvinToRGB(k) {
+  k = THREE.MathUtils.clamp(k, 1000, 40000) / 100;
+
+  let r, g, b;
+
+  // Red
+  if (k <= 66) r = 255;
+  else r = 329.698727446 * Math.pow(k - 60, -0.1332047592);
+
+  // Green
+  if (k <= 66) g = 99.4708025861 * Math.log(k) - 161.1195681661;
+  else g = 288.1221695283 * Math.pow(k - 60, -0.0755148492);
+
+  // Blue
+  if (k >= 66) b = 255;
+  else if (k <= 19) b = 0;
+  else b = 138.5177312231 * Math.log(k - 10) - 305.0447927307;
+
+  r = THREE.MathUtils.clamp(r, 0, 255);
+  g = THREE.MathUtils.clamp(g, 0, 255);
+  b = THREE.MathUtils.clamp(b, 0, 255);
+
+  return new THREE.Color(r / 255, g / 255, b / 255);
+}
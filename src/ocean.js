@@ -0,0 +1,656 @@
+// Ocean: the reflective Water surface displaced by Gerstner waves, a shoreline with the land
+// and a sloping beach, and a shore distance field (from the shoreline plus wherever islands and
+// bridge supports meet the water) that calms the waves in the shallows and draws the foam.
+// Wave height follows the weather and water color the lighting preset.
+import * as THREE from 'three';
+import { Water } from 'three/addons/objects/Water.js';
+
+// Used for anything a manifest's `ocean` block leaves out
+export const OCEAN_DEFAULTS = {
+  center: [0, 1100],       // metres (x, z) of the middle of the water
+  size: [4000, 2000],      // metres (x, z)
+  waveHeight: 0.8,         // metres from trough to crest of the biggest waves, calm weather
+  windDirection: [0.35, -1], // [x, z] the waves travel along
+  choppiness: 0.6,         // 0..1, how sharp the crests are
+  foamWidth: 6,            // metres of foam along shores
+  // [x, z] points; the land lies to the left walking along them
+  shoreline: [[-2000, 110], [-600, 100], [-300, 92], [0, 104], [300, 94], [600, 108], [2000, 100]],
+};
+
+// one set of waves, scaled by waveHeight and turned to the wind: share of the height,
+// wavelength (metres), angle from the wind (radians). Only the first DISPLACED move vertices,
+// the rest only tilt the surface normal.
+const WAVES = [
+  { share: 0.55, length: 90, angle: 0.0 },
+  { share: 0.3, length: 53, angle: 0.45 },
+  { share: 0.1, length: 23, angle: -0.6 },
+  { share: 0.05, length: 11, angle: 0.9 },
+];
+const DISPLACED = 2;
+const GRAVITY = 9.81;
+
+// metres per vertex of the water grid and per texel of the shore field
+const GRID = 10;
+const SHORE_CELL = 4;
+// distances in the shore field are stored up to this many metres
+const SHORE_RANGE = 60;
+// the land stands this high, the beach reaches this far out and this deep
+const LAND_HEIGHT = 0.01;
+const BEACH_WIDTH = 14;
+const BEACH_DEPTH = 3;
+// islands meet the water a little above its flat level (their bases sit on it)
+const WATERLINE_OFFSET = 0.3;
+// ripples drift downwind this many metres per second
+const RIPPLE_DRIFT = 1.5;
+// reflection render target size until setReflectionSize() changes it
+const REFLECTION_SIZE = 1024;
+
+/**
+ * Fill in a manifest `ocean` block with the defaults
+ * @param {object} ocean - Possibly partial config
+ * @returns {object} Complete config
+ */
+export function oceanConfig(ocean = {}) {
+  return { ...OCEAN_DEFAULTS, ...ocean };
+}
+
+/**
+ * The Gerstner waves for a sea state
+ * @param {object} config - oceanConfig() result
+ * @param {number} scale - Weather's wave factor (1 = calm)
+ * @returns {object[]} { dir: [x, z], k, amplitude, steepness, omega } per wave
+ */
+export function gerstnerWaves({ waveHeight, windDirection, choppiness }, scale = 1) {
+  const wind = Math.atan2(windDirection[1], windDirection[0]);
+  return WAVES.map(({ share, length, angle }) => {
+    const k = (2 * Math.PI) / length;
+    const amplitude = (share * waveHeight * scale) / 2;
+    return {
+      dir: [Math.cos(wind + angle), Math.sin(wind + angle)],
+      k,
+      amplitude,
+      // all waves at their crest together stay just short of looping over
+      steepness: amplitude > 0 ? Math.min(1, choppiness / (k * amplitude * WAVES.length)) : 0,
+      omega: Math.sqrt(GRAVITY * k),
+    };
+  });
+}
+
+/**
+ * Displacement of the water surface at a point (only the waves that move vertices)
+ * @param {object[]} waves - gerstnerWaves() result
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {number} time - Scene seconds
+ * @param {THREE.Vector3} out
+ * @returns {THREE.Vector3} out
+ */
+export function gerstnerOffset(waves, x, z, time, out = new THREE.Vector3()) {
+  out.set(0, 0, 0);
+  for (let i = 0; i < DISPLACED; i++) {
+    const { dir, k, amplitude, steepness, omega } = waves[i];
+    const phase = k * (dir[0] * x + dir[1] * z) - omega * time;
+    out.x += steepness * amplitude * dir[0] * Math.cos(phase);
+    out.z += steepness * amplitude * dir[1] * Math.cos(phase);
+    out.y += amplitude * Math.sin(phase);
+  }
+  return out;
+}
+
+/**
+ * Which side of the shoreline a point is on
+ * @param {number[][]} shoreline - [x, z] points, land to the left
+ * @param {number} x
+ * @param {number} z
+ * @returns {boolean} true on land
+ */
+export function onLand(shoreline, x, z) {
+  // the side of the nearest segment (the end segments reach on forever)
+  let best = Infinity;
+  let side = 0;
+  for (let i = 0; i + 1 < shoreline.length; i++) {
+    const [ax, az] = shoreline[i];
+    const [bx, bz] = shoreline[i + 1];
+    const dx = bx - ax;
+    const dz = bz - az;
+    const t = THREE.MathUtils.clamp(((x - ax) * dx + (z - az) * dz) / (dx * dx + dz * dz), 0, 1);
+    const d = (x - ax - t * dx) ** 2 + (z - az - t * dz) ** 2;
+    if (d < best) {
+      best = d;
+      // walking from a to b with y up, left is where this cross product is negative
+      side = dx * (z - az) - dz * (x - ax);
+    }
+  }
+  return side < 0;
+}
+
+/**
+ * Distance (in cells) from every cell to the nearest seed cell, two-pass chamfer
+ * @param {Uint8Array} seeds - 1 where the distance is 0
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function distanceField(seeds, width, height) {
+  const d = new Float32Array(width * height);
+  for (let i = 0; i < d.length; i++) d[i] = seeds[i] ? 0 : Infinity;
+  const D = Math.SQRT2;
+  const relax = (i, j, cost) => { if (d[j] + cost < d[i]) d[i] = d[j] + cost; };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x > 0) relax(i, i - 1, 1);
+      if (y > 0) {
+        relax(i, i - width, 1);
+        if (x > 0) relax(i, i - width - 1, D);
+        if (x < width - 1) relax(i, i - width + 1, D);
+      }
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      if (x < width - 1) relax(i, i + 1, 1);
+      if (y < height - 1) {
+        relax(i, i + width, 1);
+        if (x < width - 1) relax(i, i + width + 1, D);
+        if (x > 0) relax(i, i + width - 1, D);
+      }
+    }
+  }
+  return d;
+}
+
+/**
+ * Where an object's surface crosses a level, as [ax, az, bx, bz] segments (world space)
+ * @param {THREE.Object3D} object
+ * @param {number} level - World y
+ * @returns {number[][]}
+ */
+export function waterlineSegments(object, level) {
+  const segments = [];
+  const v = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  object.updateMatrixWorld(true);
+  object.traverse((o) => {
+    if (!o.isMesh) return;
+    const pos = o.geometry.attributes.position;
+    const index = o.geometry.index;
+    const count = index ? index.count : pos.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      for (let j = 0; j < 3; j++) {
+        v[j].fromBufferAttribute(pos, index ? index.getX(i + j) : i + j).applyMatrix4(o.matrixWorld);
+      }
+      // the two edges that cross the level
+      const points = [];
+      for (let j = 0; j < 3; j++) {
+        const a = v[j];
+        const b = v[(j + 1) % 3];
+        if ((a.y - level) * (b.y - level) < 0) {
+          const t = (level - a.y) / (b.y - a.y);
+          points.push(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t);
+        }
+      }
+      if (points.length === 4) segments.push(points);
+    }
+  });
+  return segments;
+}
+
+// the footprint of an object's lowest triangles (e.g. bridge supports that stop above the water)
+function baseSegments(object) {
+  const box = new THREE.Box3().setFromObject(object);
+  const tolerance = (box.max.y - box.min.y) * 0.01;
+  const segments = [];
+  const v = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  object.traverse((o) => {
+    if (!o.isMesh) return;
+    const pos = o.geometry.attributes.position;
+    const index = o.geometry.index;
+    const count = index ? index.count : pos.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      for (let j = 0; j < 3; j++) {
+        v[j].fromBufferAttribute(pos, index ? index.getX(i + j) : i + j).applyMatrix4(o.matrixWorld);
+      }
+      if (v.some((p) => p.y > box.min.y + tolerance)) continue;
+      for (let j = 0; j < 3; j++) segments.push([v[j].x, v[j].z, v[(j + 1) % 3].x, v[(j + 1) % 3].z]);
+    }
+  });
+  return segments;
+}
+
+const vertexPars = /* glsl */`
+  uniform vec4 uWaves[${WAVES.length}];     // direction x, z, wavenumber, amplitude
+  uniform vec2 uWaveShape[${WAVES.length}]; // steepness, angular frequency
+  uniform float uWaveTime;
+  uniform sampler2D uShoreMap;
+  uniform vec4 uShoreBounds;                // min x, min z, 1 / size x, 1 / size z
+  varying vec2 vWaveXZ;
+
+  // r: distance to the shore (0..1 of the range), g: 1 on land
+  vec2 shoreSample(vec2 xz) {
+    return texture2D(uShoreMap, (xz - uShoreBounds.xy) * uShoreBounds.zw).rg;
+  }
+
+  vec3 oceanDisplacement(vec2 xz) {
+    vec2 shore = shoreSample(xz);
+    // calm in the shallows, still at the shore
+    float damping = smoothstep(0.0, 0.6, shore.r) * (1.0 - shore.g);
+    vec3 d = vec3(0.0);
+    for (int i = 0; i < ${DISPLACED}; i++) {
+      vec4 w = uWaves[i];
+      float phase = w.z * dot(w.xy, xz) - uWaveShape[i].y * uWaveTime;
+      float a = w.w * damping;
+      d.xz += uWaveShape[i].x * a * w.xy * cos(phase);
+      d.y += a * sin(phase);
+    }
+    return d;
+  }
+`;
+
+const fragmentPars = /* glsl */`
+  uniform vec4 uWaves[${WAVES.length}];
+  uniform vec2 uWaveShape[${WAVES.length}];
+  uniform float uWaveTime;
+  uniform sampler2D uShoreMap;
+  uniform vec4 uShoreBounds;
+  uniform float uCrestMax;
+  uniform float uWhitecaps;
+  uniform float uFoamWidth;
+  uniform vec3 uFoamColor;
+  uniform vec2 uRippleDrift;
+  varying vec2 vWaveXZ;
+
+  vec2 shoreSample(vec2 xz) {
+    return texture2D(uShoreMap, (xz - uShoreBounds.xy) * uShoreBounds.zw).rg;
+  }
+
+  // slope (x, z) of every wave together, and how sharp a crest this is
+  vec3 oceanWaves(vec2 xz, float damping) {
+    vec2 slope = vec2(0.0);
+    float crest = 0.0;
+    for (int i = 0; i < ${WAVES.length}; i++) {
+      vec4 w = uWaves[i];
+      float phase = w.z * dot(w.xy, xz) - uWaveShape[i].y * uWaveTime;
+      float ka = w.z * w.w * damping;
+      slope += w.xy * ka * cos(phase);
+      crest += uWaveShape[i].x * ka * sin(phase);
+    }
+    return vec3(slope, crest);
+  }
+
+  float foamHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  float foamNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(mix(foamHash(i), foamHash(i + vec2(1.0, 0.0)), f.x),
+               mix(foamHash(i + vec2(0.0, 1.0)), foamHash(i + vec2(1.0, 1.0)), f.x), f.y);
+  }
+
+  float oceanFoam(vec2 xz, float shoreDistance, float crest) {
+    // a band along the shore that laps in and out
+    float metres = shoreDistance * ${SHORE_RANGE.toFixed(1)};
+    float lap = 0.5 + 0.5 * sin(metres * 0.6 - uWaveTime * 1.4);
+    float band = 1.0 - smoothstep(0.0, uFoamWidth * (0.6 + 0.4 * lap), metres);
+    // whitecaps on the sharpest crests in rough weather
+    float caps = smoothstep(0.55, 0.9, crest / uCrestMax) * uWhitecaps;
+    float n = foamNoise(xz * 0.3 + uWaveTime * 0.05) * 0.6 + foamNoise(xz * 1.1 - uWaveTime * 0.08) * 0.4;
+    return clamp((band + caps) * smoothstep(0.3, 0.7, n), 0.0, 1.0);
+  }
+`;
+
+// Gerstner displacement in the vertex shader; wave normals, foam and clipping at the land in the fragment shader
+function enhanceWater(material, uniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = vertexPars + shader.vertexShader
+      .replace(
+        'mirrorCoord = modelMatrix * vec4( position, 1.0 );',
+        `mirrorCoord = modelMatrix * vec4( position, 1.0 );
+        vWaveXZ = mirrorCoord.xz;
+        mirrorCoord.xyz += oceanDisplacement(mirrorCoord.xz);`
+      )
+      .replace(
+        'vec4 mvPosition =  modelViewMatrix * vec4( position, 1.0 );',
+        'vec4 mvPosition = viewMatrix * worldPosition;'
+      );
+
+    shader.fragmentShader = fragmentPars + shader.fragmentShader
+      .replace(
+        'vec4 noise = getNoise( worldPosition.xz * size );',
+        'vec4 noise = getNoise( ( worldPosition.xz - uRippleDrift ) * size );'
+      )
+      .replace(
+        'vec3 diffuseLight = vec3(0.0);',
+        `vec2 oceanShore = shoreSample(vWaveXZ);
+        if (oceanShore.g > 0.5) discard;
+        vec3 oceanWave = oceanWaves(vWaveXZ, smoothstep(0.0, 0.6, oceanShore.r));
+        surfaceNormal = normalize(surfaceNormal + vec3(-oceanWave.x, 0.0, -oceanWave.y) * 2.0);
+        vec3 diffuseLight = vec3(0.0);`
+      )
+      .replace(
+        'vec3 outgoingLight = albedo;',
+        `vec3 outgoingLight = albedo;
+        float oceanFoamAmount = oceanFoam(vWaveXZ, oceanShore.r, oceanWave.z);
+        outgoingLight = mix(outgoingLight, uFoamColor * (0.6 + 0.4 * getShadowMask()), oceanFoamAmount);`
+      );
+  };
+  material.needsUpdate = true;
+}
+
+// land behind the shoreline (far out to its left) and a beach sloping down under the water
+function createLandGeometry(shoreline, extent) {
+  const left = (i) => {
+    const a = shoreline[Math.max(0, i - 1)];
+    const b = shoreline[Math.min(shoreline.length - 1, i + 1)];
+    const dx = b[0] - a[0];
+    const dz = b[1] - a[1];
+    const length = Math.hypot(dx, dz) || 1;
+    return [dz / length, -dx / length];
+  };
+  const last = shoreline.length - 1;
+  const outline = [
+    ...shoreline,
+    [shoreline[last][0] + left(last)[0] * extent, shoreline[last][1] + left(last)[1] * extent],
+    [shoreline[0][0] + left(0)[0] * extent, shoreline[0][1] + left(0)[1] * extent],
+  ];
+  // the shape is drawn in (x, -z) and laid down flat
+  const land = new THREE.ShapeGeometry(new THREE.Shape(outline.map(([x, z]) => new THREE.Vector2(x, -z))));
+  land.rotateX(-Math.PI / 2);
+  land.translate(0, LAND_HEIGHT, 0);
+
+  const positions = [];
+  const index = [];
+  shoreline.forEach(([x, z], i) => {
+    const [lx, lz] = left(i);
+    positions.push(x, LAND_HEIGHT, z, x - lx * BEACH_WIDTH, LAND_HEIGHT - BEACH_DEPTH, z - lz * BEACH_WIDTH);
+    if (i < last) {
+      const a = i * 2;
+      index.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+    }
+  });
+  const beach = new THREE.BufferGeometry();
+  beach.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  beach.setIndex(index);
+  beach.computeVertexNormals();
+  // the winding above depends on which way the shoreline runs; make the slope face up
+  if (beach.attributes.normal.getY(0) < 0) {
+    beach.setIndex(index.map((_, k) => index[k - (k % 3) + 2 - (k % 3)]));
+    beach.computeVertexNormals();
+  }
+  return { land, beach };
+}
+
+/**
+ * Create the ocean
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Texture} options.waterNormals - Ripple normal map for the Water shader
+ * @param {THREE.Vector3} options.sunDirection
+ * @param {number} options.level - World y of the still water
+ */
+export function createOcean({ scene, waterNormals, sunDirection, level = 0 }) {
+  let config = oceanConfig();
+  let waveScale = 1;
+  let waves = gerstnerWaves(config, waveScale);
+
+  const uniforms = {
+    uWaves: { value: WAVES.map(() => new THREE.Vector4()) },
+    uWaveShape: { value: WAVES.map(() => new THREE.Vector2()) },
+    uWaveTime: { value: 0 },
+    uShoreMap: { value: null },
+    uShoreBounds: { value: new THREE.Vector4() },
+    uCrestMax: { value: 1 },
+    uWhitecaps: { value: 0 },
+    uFoamWidth: { value: config.foamWidth },
+    uFoamColor: { value: new THREE.Color(0xffffff) },
+    uRippleDrift: { value: new THREE.Vector2() },
+  };
+
+  const group = new THREE.Group();
+  group.name = 'ocean';
+  scene.add(group);
+
+  // dark sea floor all round, so nothing past the water's edge is left open
+  const seabed = new THREE.Mesh(
+    new THREE.PlaneGeometry(12000, 12000),
+    new THREE.MeshBasicMaterial({ color: 0x05080c })
+  );
+  seabed.rotation.x = -Math.PI / 2;
+  seabed.position.y = level - BEACH_DEPTH * 2;
+  group.add(seabed);
+
+  const landMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 1.0, metalness: 0.0 });
+  const land = new THREE.Group();
+  land.name = 'land';
+  group.add(land);
+
+  let water = null;
+  let shore = null;
+  const obstacles = [];
+  let shoreDirty = true;
+
+  function applyWaves() {
+    waves = gerstnerWaves(config, waveScale);
+    let crestMax = 0;
+    waves.forEach((w, i) => {
+      uniforms.uWaves.value[i].set(w.dir[0], w.dir[1], w.k, w.amplitude);
+      uniforms.uWaveShape.value[i].set(w.steepness, w.omega);
+      crestMax += w.steepness * w.k * w.amplitude;
+    });
+    uniforms.uCrestMax.value = Math.max(crestMax, 1e-4);
+    // whitecaps once the biggest waves pass about 1.5 m
+    uniforms.uWhitecaps.value = THREE.MathUtils.smoothstep(config.waveHeight * waveScale, 1.0, 2.5);
+  }
+
+  function build() {
+    const [cx, cz] = config.center;
+    const [sx, sz] = config.size;
+
+    if (water) {
+      group.remove(water);
+      water.geometry.dispose();
+    }
+    const geometry = new THREE.PlaneGeometry(sx, sz, Math.ceil(sx / GRID), Math.ceil(sz / GRID));
+    if (!water) {
+      water = new Water(geometry, {
+        textureWidth: REFLECTION_SIZE,
+        textureHeight: REFLECTION_SIZE,
+        waterNormals,
+        sunDirection: sunDirection.clone().normalize(),
+        sunColor: 0xffffff,
+        waterColor: 0x0b4ea2,
+        distortionScale: 3.7,
+        alpha: 1.0,
+        fog: scene.fog !== undefined,
+      });
+      water.rotation.x = -Math.PI / 2;
+      water.userData.bloomHide = true;
+      enhanceWater(water.material, uniforms);
+    } else {
+      water.geometry = geometry;
+    }
+    water.position.set(cx, level, cz);
+    group.add(water);
+
+    for (const mesh of [...land.children]) {
+      mesh.geometry.dispose();
+      land.remove(mesh);
+    }
+    const { land: landGeometry, beach } = createLandGeometry(config.shoreline, Math.max(sx, sz) * 2);
+    for (const g of [landGeometry, beach]) {
+      const mesh = new THREE.Mesh(g, landMaterial);
+      mesh.receiveShadow = true;
+      land.add(mesh);
+    }
+
+    uniforms.uFoamWidth.value = config.foamWidth;
+    applyWaves();
+    shoreDirty = true;
+  }
+
+  // distances to the shoreline, the land and every obstacle's waterline, as a texture
+  function buildShore() {
+    const [cx, cz] = config.center;
+    const [sx, sz] = config.size;
+    const minX = cx - sx / 2;
+    const minZ = cz - sz / 2;
+    const width = Math.ceil(sx / SHORE_CELL);
+    const height = Math.ceil(sz / SHORE_CELL);
+
+    const landMask = new Uint8Array(width * height);
+    const seeds = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        landMask[i] = onLand(config.shoreline, minX + (x + 0.5) * SHORE_CELL, minZ + (y + 0.5) * SHORE_CELL) ? 1 : 0;
+        seeds[i] = landMask[i];
+      }
+    }
+    const stamp = ([ax, az, bx, bz]) => {
+      const steps = Math.max(1, Math.ceil(Math.hypot(bx - ax, bz - az) / (SHORE_CELL * 0.5)));
+      for (let s = 0; s <= steps; s++) {
+        const x = Math.floor((ax + (bx - ax) * (s / steps) - minX) / SHORE_CELL);
+        const y = Math.floor((az + (bz - az) * (s / steps) - minZ) / SHORE_CELL);
+        if (x >= 0 && y >= 0 && x < width && y < height) seeds[y * width + x] = 1;
+      }
+    };
+    for (const segments of obstacles) segments.forEach(stamp);
+
+    const distance = distanceField(seeds, width, height);
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < distance.length; i++) {
+      data[i * 4] = Math.round(Math.min(1, (distance[i] * SHORE_CELL) / SHORE_RANGE) * 255);
+      data[i * 4 + 1] = landMask[i] * 255;
+      data[i * 4 + 3] = 255;
+    }
+
+    shore?.dispose();
+    shore = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+    shore.magFilter = THREE.LinearFilter;
+    shore.minFilter = THREE.LinearFilter;
+    shore.needsUpdate = true;
+    shore.userData = { minX, minZ, width, height, distance, landMask };
+    uniforms.uShoreMap.value = shore;
+    uniforms.uShoreBounds.value.set(minX, minZ, 1 / sx, 1 / sz);
+    shoreDirty = false;
+  }
+
+  /**
+   * Apply a manifest `ocean` block (see OCEAN_DEFAULTS); rebuilds water, land and shore
+   * @param {object} ocean
+   */
+  function configure(ocean) {
+    config = oceanConfig(ocean);
+    build();
+  }
+
+  /**
+   * Change the sea state without rebuilding the water (wave height, wind, choppiness, foam)
+   * @param {object} fields - Any of waveHeight, windDirection, choppiness, foamWidth
+   */
+  function tune(fields) {
+    config = { ...config, ...fields };
+    uniforms.uFoamWidth.value = config.foamWidth;
+    applyWaves();
+  }
+
+  /**
+   * Resize the water's reflection render target
+   * @param {number} size - Width and height in pixels
+   */
+  function setReflectionSize(size) {
+    const target = water.material.uniforms['mirrorSampler'].value.renderTarget;
+    if (target.width !== size) target.setSize(size, size);
+  }
+
+  /**
+   * Foam and calm water where an object meets the water
+   * @param {THREE.Object3D} object - Placed in the scene
+   * @param {object} options
+   * @param {boolean} options.base - Also count its lowest faces (supports that stop above the water)
+   */
+  function addObstacle(object, { base = false } = {}) {
+    const segments = waterlineSegments(object, level + WATERLINE_OFFSET);
+    if (base) segments.push(...baseSegments(object));
+    if (!segments.length) return;
+    obstacles.push(segments);
+    shoreDirty = true;
+  }
+
+  // 0..1 of the waves left at a point (0 at the shore and on land)
+  function damping(x, z) {
+    if (!shore) return 1;
+    const { minX, minZ, width, height, distance, landMask } = shore.userData;
+    const cx = Math.floor((x - minX) / SHORE_CELL);
+    const cy = Math.floor((z - minZ) / SHORE_CELL);
+    if (cx < 0 || cy < 0 || cx >= width || cy >= height) return 1;
+    const i = cy * width + cx;
+    if (landMask[i]) return 0;
+    return THREE.MathUtils.smoothstep(Math.min(1, (distance[i] * SHORE_CELL) / SHORE_RANGE), 0, 0.6);
+  }
+
+  const offset = new THREE.Vector3();
+
+  /**
+   * Height of the water surface at a point, as drawn
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {number} World y
+   */
+  function heightAt(x, z) {
+    return level + gerstnerOffset(waves, x, z, uniforms.uWaveTime.value, offset).y * damping(x, z);
+  }
+
+  /**
+   * Per-frame update
+   * @param {object} frame
+   * @param {number} frame.time - Scene seconds
+   * @param {number} frame.delta - Seconds since the last frame
+   * @param {THREE.Vector3} frame.sunDirection
+   * @param {THREE.Color} frame.sunColor
+   * @param {THREE.Color} frame.waterColor - Color of the depths
+   * @param {number} frame.waveScale - Weather's wave factor (1 = calm)
+   * @param {number} frame.daylight - 0..1, lights the foam
+   */
+  function update({ time, delta, sunDirection: sun, sunColor, waterColor, waveScale: scale = 1, daylight }) {
+    if (shoreDirty) buildShore();
+    if (Math.abs(scale - waveScale) > 0.01) {
+      waveScale = scale;
+      applyWaves();
+    }
+
+    const u = water.material.uniforms;
+    uniforms.uWaveTime.value = time;
+    u['time'].value += delta * 0.10;
+    u['sunDirection'].value.copy(sun).normalize();
+    u['sunColor'].value.copy(sunColor);
+    u['waterColor'].value.copy(waterColor);
+    uniforms.uFoamColor.value.setScalar(0.12 + 0.8 * daylight);
+
+    // ripples drift with the wind (metres, subtracted from the ripple lookup in the shader)
+    const [wx, wz] = config.windDirection;
+    const length = Math.hypot(wx, wz) || 1;
+    uniforms.uRippleDrift.value.x += (wx / length) * RIPPLE_DRIFT * delta;
+    uniforms.uRippleDrift.value.y += (wz / length) * RIPPLE_DRIFT * delta;
+  }
+
+  build();
+
+  return {
+    get water() { return water; },
+    landMaterial,
+    get config() { return config; },
+    get waves() { return waves; },
+    configure,
+    tune,
+    setReflectionSize,
+    addObstacle,
+    heightAt,
+    update,
+  };
+}
@@ -0,0 +1,268 @@
+// Adaptive performance: frame time is measured and the quality tier stepped down when the frame
+// rate falls below the target, and back up after a steady stretch at the target. A tier sets the
+// pixel ratio, water reflection size, shadow map size, star count and how many PointLights stay on.
+// Only the PointLight limit recompiles shaders (the light count changes); the settle time after a
+// step keeps that frame out of the measurements.
+// A tier that could not hold the target is retried only after a wait that doubles each time.
+
+// lowest first; shadowScale scales the shadow quality's map size, stars is the fraction drawn
+export const PERFORMANCE_TIERS = {
+  low: { pixelRatio: 0.75, reflection: 256, shadowScale: 0.25, stars: 0.25, pointLights: 8 },
+  medium: { pixelRatio: 1, reflection: 512, shadowScale: 0.5, stars: 0.5, pointLights: 16 },
+  high: { pixelRatio: 1.5, reflection: 1024, shadowScale: 1, stars: 1, pointLights: Infinity },
+  ultra: { pixelRatio: 2, reflection: 2048, shadowScale: 1, stars: 1, pointLights: Infinity },
+};
+
+export const DEFAULT_PERFORMANCE_TIER = 'high';
+export const DEFAULT_TARGET_FPS = 60;
+
+// frames longer than this are gaps (hidden tab, export, shader compile), not load
+const MAX_FRAME_MS = 250;
+// below this fraction of the target a tier steps down; at or above STEADY it counts as holding it
+const SLOW = 0.9;
+const STEADY = 0.95;
+// overlay refreshes per second
+const OVERLAY_RATE = 4;
+
+/**
+ * Read ?perf=<tier|auto> and ?fps=<target> from the page URL
+ * @param {string} search - location.search string
+ * @returns {{ override: string|undefined, targetFps: number }} override is a tier name, 'auto',
+ *   or undefined when absent or unknown
+ */
+export function performanceFromURL(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  let override = params.get('perf') ?? undefined;
+  if (override !== undefined && override !== 'auto' && !PERFORMANCE_TIERS[override]) {
+    console.warn(`[Performance] ignoring unknown tier "${override}" (auto, ${Object.keys(PERFORMANCE_TIERS).join(', ')})`);
+    override = undefined;
+  }
+  const fps = Number(params.get('fps'));
+  return { override, targetFps: fps > 0 ? fps : DEFAULT_TARGET_FPS };
+}
+
+/**
+ * Indices of `keep` items spread evenly over `count`, in order
+ * @param {number} count
+ * @param {number} keep - Infinity keeps all
+ * @returns {number[]}
+ */
+export function spreadIndices(count, keep) {
+  const n = Math.min(count, Math.max(0, Math.floor(keep)));
+  return Array.from({ length: n }, (_, i) => Math.floor((i * count) / n));
+}
+
+/**
+ * Tier stepping from frame times (no DOM, no renderer)
+ * @param {object} options
+ * @param {string[]} options.tiers - Tier names, lowest first
+ * @param {string} options.tier - Starting tier
+ * @param {number} options.targetFps
+ * @param {number} options.sampleSeconds - Frame time is averaged over windows this long
+ * @param {number} options.probe - Seconds at the target before trying the next tier up
+ * @param {number} options.settle - Seconds ignored after a change (shader compiles, new targets)
+ * @returns {object} { tier, fps, sample, setTier, reset }
+ */
+export function createTierGovernor({ tiers, tier, targetFps = DEFAULT_TARGET_FPS, sampleSeconds = 2, probe = 10, settle = 1.5 }) {
+  let index = tiers.indexOf(tier);
+  let sum = 0;
+  let count = 0;
+  let fps = 0;
+  let clock = 0;              // seconds of measured frames
+  let settleLeft = settle;
+  let steadyFor = 0;          // seconds at the target
+  let raisedAt = -Infinity;   // clock when the tier was last stepped up
+  const blockedUntil = tiers.map(() => 0);
+  const backoff = tiers.map(() => probe * 3);
+
+  function step(to) {
+    index = to;
+    reset();
+    return tiers[index];
+  }
+
+  /**
+   * Add one frame
+   * @param {number} ms - Frame duration
+   * @returns {string|null} New tier, null when it stays
+   */
+  function sample(ms) {
+    if (!(ms > 0) || ms > MAX_FRAME_MS) return null;
+    clock += ms / 1000;
+    if (settleLeft > 0) {
+      settleLeft -= ms / 1000;
+      return null;
+    }
+    sum += ms;
+    count++;
+    if (sum < sampleSeconds * 1000) return null;
+    fps = (1000 * count) / sum;
+    sum = 0;
+    count = 0;
+
+    if (fps < targetFps * SLOW && index > 0) {
+      // stepped up into a tier that can't hold the target: stay away from it for longer each time
+      if (clock - raisedAt < probe + settle) {
+        blockedUntil[index] = clock + backoff[index];
+        backoff[index] *= 2;
+      }
+      return step(index - 1);
+    }
+    steadyFor = fps >= targetFps * STEADY ? steadyFor + sampleSeconds : 0;
+    if (steadyFor >= probe && index < tiers.length - 1 && clock >= blockedUntil[index + 1]) {
+      raisedAt = clock;
+      return step(index + 1);
+    }
+    return null;
+  }
+
+  /**
+   * Move to a tier chosen elsewhere (a manual override); adapting carries on from it
+   * @param {string} name
+   */
+  function setTier(name) {
+    step(tiers.indexOf(name));
+  }
+
+  // drop the current window and settle again (after a pause or a change made elsewhere)
+  function reset() {
+    sum = 0;
+    count = 0;
+    settleLeft = settle;
+    steadyFor = 0;
+  }
+
+  return {
+    get tier() { return tiers[index]; },
+    // frame rate over the last full window
+    get fps() { return fps; },
+    sample,
+    setTier,
+    reset,
+  };
+}
+
+/**
+ * Create the performance manager with its stats overlay (hidden until toggled)
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Draw calls and triangles for the overlay
+ * @param {object} options.stats - createFrameStats() result, its sections go in the overlay
+ * @param {Function} options.apply - Called with (name, tier) to put a tier into effect
+ * @param {Function} options.details - Returns extra overlay lines
+ * @param {string} options.override - Tier name to hold, or 'auto' to adapt
+ * @param {number} options.targetFps
+ * @returns {object} { tier, settings, override, targetFps, setOverride, cycleOverride, toggleOverlay, update }
+ */
+export function createPerformance({
+  renderer,
+  stats,
+  apply,
+  details = () => [],
+  override = 'auto',
+  targetFps = DEFAULT_TARGET_FPS,
+}) {
+  const names = Object.keys(PERFORMANCE_TIERS);
+  const governor = createTierGovernor({
+    tiers: names,
+    tier: override === 'auto' ? DEFAULT_PERFORMANCE_TIER : override,
+    targetFps,
+  });
+  let tier = null;
+  let lastFrame = 0;
+  // count every pass of a frame (post-processing renders several), not just the last one
+  renderer.info.autoReset = false;
+
+  const overlay = document.createElement('pre');
+  overlay.id = 'perf-stats';
+  overlay.style.display = 'none';
+  document.body.appendChild(overlay);
+  let overlayAge = Infinity;
+
+  function use(name) {
+    if (name === tier) return;
+    tier = name;
+    if (governor.tier !== name) governor.setTier(name);
+    apply(name, PERFORMANCE_TIERS[name]);
+    console.log(`[Performance] tier: ${name} (${override === 'auto' ? `auto, target ${targetFps} fps` : 'held'})`);
+  }
+
+  /**
+   * Hold a tier, or adapt again
+   * @param {string} name - Key of PERFORMANCE_TIERS, or 'auto'
+   */
+  function setOverride(name) {
+    if (name !== 'auto' && !PERFORMANCE_TIERS[name]) {
+      console.warn(`[Performance] unknown tier "${name}"`);
+      return;
+    }
+    override = name;
+    governor.reset();
+    // auto carries on from the tier in use
+    if (name === 'auto') console.log(`[Performance] auto, target ${targetFps} fps, from ${tier}`);
+    else use(name);
+  }
+
+  // auto -> low -> ... -> ultra -> auto
+  function cycleOverride() {
+    const order = ['auto', ...names];
+    setOverride(order[(order.indexOf(override) + 1) % order.length]);
+  }
+
+  function toggleOverlay() {
+    overlay.style.display = overlay.style.display === 'none' ? 'block' : 'none';
+    overlayAge = Infinity;
+  }
+
+  function drawOverlay() {
+    const { render } = renderer.info;
+    const sections = Object.entries(stats.sections)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 4)
+      .map(([name, ms]) => `${name} ${ms.toFixed(2)}`);
+    overlay.textContent = [
+      `${stats.fps.toFixed(1)} fps  ${stats.frameMs.toFixed(2)} ms  (target ${targetFps})`,
+      `tier ${tier} (${override === 'auto' ? 'auto' : 'held'})`,
+      ...details(),
+      `${render.calls} draw calls  ${(render.triangles / 1e6).toFixed(2)}M triangles`,
+      `ms: ${sections.join('  ')}`,
+    ].join('\n');
+  }
+
+  /**
+   * Per-frame update: measure, step the tier when adapting, refresh the overlay
+   * @param {object} options
+   * @param {boolean} options.adapt - False while loading or in fixed-time mode (frames aren't representative)
+   */
+  function update({ adapt = true } = {}) {
+    const now = performance.now();
+    const ms = lastFrame ? now - lastFrame : 0;
+    lastFrame = now;
+
+    if (override === 'auto' && adapt) {
+      const next = governor.sample(ms);
+      if (next) use(next);
+    } else {
+      governor.reset();
+    }
+
+    overlayAge += ms / 1000;
+    if (overlay.style.display !== 'none' && overlayAge >= 1 / OVERLAY_RATE) {
+      overlayAge = 0;
+      drawOverlay();
+    }
+    renderer.info.reset();
+  }
+
+  use(governor.tier);
+
+  return {
+    get tier() { return tier; },
+    get settings() { return PERFORMANCE_TIERS[tier]; },
+    get override() { return override; },
+    targetFps,
+    setOverride,
+    cycleOverride,
+    toggleOverlay,
+    update,
+  };
+}
@@ -0,0 +1,308 @@
+// Post-processing: selective bloom, SSAO (GTAO), color grading LUTs, vignette and film grain
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { GTAOPass } from 'three/addons/postprocessing/GTAOPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { LUTPass } from 'three/addons/postprocessing/LUTPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+// Objects on this layer glow; everything else is blacked out in the bloom render. The bloom render
+// is unlit, so only what these objects emit (tower lamps, window lights, bulbs) glows, not sunlit
+// concrete and glass.
+export const BLOOM_LAYER = 1;
+
+export const EFFECTS = ['bloom', 'ssao', 'lut', 'vignette', 'grain'];
+
+const LUT_SIZE = 32;
+
+// Color grading curves, (r, g, b) in 0..1 -> [r, g, b]
+const LUT_GRADES = {
+  neutral: (r, g, b) => [r, g, b],
+  warm: (r, g, b) => [r * 1.06 + 0.02, g * 1.01, b * 0.9],
+  cool: (r, g, b) => [r * 0.92, g * 0.99 + 0.01, b * 1.08 + 0.02],
+  // push shadows to teal and highlights to orange (night-photo look)
+  tealOrange: (r, g, b) => {
+    const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const s = 1 - l;
+    return [
+      r + 0.10 * l - 0.06 * s,
+      g + 0.02 * l + 0.03 * s,
+      b - 0.10 * l + 0.08 * s,
+    ];
+  },
+};
+
+function makeLUT(grade) {
+  const data = new Uint8Array(LUT_SIZE * LUT_SIZE * LUT_SIZE * 4);
+  let i = 0;
+  for (let b = 0; b < LUT_SIZE; b++) {
+    for (let g = 0; g < LUT_SIZE; g++) {
+      for (let r = 0; r < LUT_SIZE; r++) {
+        const out = grade(r / (LUT_SIZE - 1), g / (LUT_SIZE - 1), b / (LUT_SIZE - 1));
+        data[i++] = THREE.MathUtils.clamp(out[0], 0, 1) * 255;
+        data[i++] = THREE.MathUtils.clamp(out[1], 0, 1) * 255;
+        data[i++] = THREE.MathUtils.clamp(out[2], 0, 1) * 255;
+        data[i++] = 255;
+      }
+    }
+  }
+
+  const tex = new THREE.Data3DTexture(data, LUT_SIZE, LUT_SIZE, LUT_SIZE);
+  tex.format = THREE.RGBAFormat;
+  tex.type = THREE.UnsignedByteType;
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.wrapS = tex.wrapT = tex.wrapR = THREE.ClampToEdgeWrapping;
+  tex.unpackAlignment = 1;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+const MIX_SHADER = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = texture2D(baseTexture, vUv) + vec4(1.0) * texture2D(bloomTexture, vUv);
+    }
+  `,
+};
+
+/**
+ * Create the post-processing pipeline
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera
+ * @param {number} options.width - CSS pixel width
+ * @param {number} options.height - CSS pixel height
+ */
+export function createPostProcessing({ renderer, scene, camera, width, height }) {
+  const effects = { bloom: true, ssao: false, lut: true, vignette: true, grain: true };
+  let lutName = 'tealOrange';
+
+  // HDR targets so emissive values above 1.0 survive until the OutputPass tone maps them
+  const makeTarget = () => new THREE.WebGLRenderTarget(width, height, {
+    type: THREE.HalfFloatType,
+    samples: 4,
+  });
+
+  const renderPass = new RenderPass(scene, camera);
+
+  // ---------- bloom (rendered separately with non-glowing objects blacked out) ----------
+  const bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 0.8, 0.5, 0.6);
+  const bloomComposer = new EffectComposer(renderer, makeTarget());
+  bloomComposer.renderToScreen = false;
+  bloomComposer.addPass(renderPass);
+  bloomComposer.addPass(bloomPass);
+
+  const mixPass = new ShaderPass(new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.clone(MIX_SHADER.uniforms),
+    vertexShader: MIX_SHADER.vertexShader,
+    fragmentShader: MIX_SHADER.fragmentShader,
+  }), 'baseTexture');
+  mixPass.material.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+  mixPass.needsSwap = true;
+
+  // ---------- final chain ----------
+  const gtaoPass = new GTAOPass(scene, camera, width, height);
+  gtaoPass.enabled = effects.ssao;
+
+  const outputPass = new OutputPass();
+
+  const luts = Object.fromEntries(Object.entries(LUT_GRADES).map(([k, fn]) => [k, makeLUT(fn)]));
+  const lutPass = new LUTPass({ lut: luts[lutName], intensity: 0.4 });
+
+  const vignettePass = new ShaderPass(VignetteShader);
+  const filmPass = new FilmPass(0.1, false);
+
+  const composer = new EffectComposer(renderer, makeTarget());
+  composer.addPass(renderPass);
+  composer.addPass(gtaoPass);
+  composer.addPass(mixPass);
+  composer.addPass(outputPass);
+  composer.addPass(lutPass);
+  composer.addPass(vignettePass);
+  composer.addPass(filmPass);
+
+  const passes = { bloom: mixPass, ssao: gtaoPass, lut: lutPass, vignette: vignettePass, grain: filmPass };
+
+  // ---------- selective darkening ----------
+  const bloomLayer = new THREE.Layers();
+  bloomLayer.set(BLOOM_LAYER);
+  const black = new THREE.MeshBasicMaterial({ color: 0x000000 });
+  const saved = new Map();
+  const savedLights = new Map();
+  let savedEnvironment = 1;
+
+  // what the bloom render darkens, collected once and again only after the scene graph changes
+  // or markBloom() moves objects onto the layer
+  const dark = { lights: [], hidden: [], meshes: [] };
+  let darkDirty = true;
+  const markDirty = () => { darkDirty = true; };
+
+  function collectDark() {
+    dark.lights.length = 0;
+    dark.hidden.length = 0;
+    dark.meshes.length = 0;
+    scene.traverse((o) => {
+      o.addEventListener('childadded', markDirty);
+      o.addEventListener('childremoved', markDirty);
+      if (o.isLight) dark.lights.push(o);
+      else if (bloomLayer.test(o.layers)) return;
+      else if (o.userData.bloomHide || o.isPoints || o.isSprite || o.isLine) dark.hidden.push(o);
+      else if (o.isMesh) dark.meshes.push(o);
+    });
+    darkDirty = false;
+  }
+
+  function darkenNonBloomed() {
+    if (darkDirty) collectDark();
+    // lights off by intensity, not visibility, so the shaders' light counts (and programs) stay
+    for (const light of dark.lights) {
+      if (!light.intensity) continue;
+      savedLights.set(light, light.intensity);
+      light.intensity = 0;
+    }
+    // hidden rather than blacked out (Water would re-render its mirror otherwise)
+    for (const o of dark.hidden) {
+      if (o.visible) { saved.set(o, null); o.visible = false; }
+    }
+    for (const o of dark.meshes) {
+      saved.set(o, o.material);
+      o.material = black;
+    }
+  }
+
+  function restore() {
+    for (const [o, material] of saved) {
+      if (material) o.material = material;
+      else o.visible = true;
+    }
+    saved.clear();
+    for (const [light, intensity] of savedLights) light.intensity = intensity;
+    savedLights.clear();
+    scene.environmentIntensity = savedEnvironment;
+  }
+
+  /**
+   * Put an object (and its children) on the bloom layer
+   * @param {THREE.Object3D} object
+   */
+  function markBloom(object) {
+    object.traverse((o) => o.layers.enable(BLOOM_LAYER));
+    markDirty();
+  }
+
+  /**
+   * Toggle one effect
+   * @param {string} name - One of EFFECTS
+   * @param {boolean} on
+   */
+  function setEffect(name, on) {
+    if (!EFFECTS.includes(name)) {
+      console.warn(`[PostFX] unknown effect "${name}"`);
+      return;
+    }
+    effects[name] = on;
+    passes[name].enabled = on;
+    console.log(`[PostFX] ${name}: ${on ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Pick a color grading LUT
+   * @param {string} name - Key of LUT_GRADES
+   */
+  function setLUT(name) {
+    if (!luts[name]) {
+      console.warn(`[PostFX] unknown LUT "${name}"`);
+      return;
+    }
+    lutName = name;
+    lutPass.lut = luts[name];
+  }
+
+  /**
+   * Drive effect parameters from the time of day
+   * @param {object} tod
+   * @param {number} tod.night - 0..1
+   * @param {number} tod.sunset - 0..1
+   * @param {number} tod.daylight - 0..1
+   */
+  function update({ night, sunset, daylight }) {
+    bloomPass.strength = THREE.MathUtils.lerp(0.15, 1.1, night) + 0.3 * sunset;
+    bloomPass.threshold = THREE.MathUtils.lerp(0.9, 0.35, night);
+    gtaoPass.blendIntensity = THREE.MathUtils.lerp(0.3, 1.0, daylight);
+    lutPass.intensity = THREE.MathUtils.lerp(0.2, 0.7, Math.max(night, sunset));
+    vignettePass.uniforms['darkness'].value = THREE.MathUtils.lerp(0.6, 1.2, night);
+    filmPass.uniforms['intensity'].value = THREE.MathUtils.lerp(0.05, 0.25, night);
+  }
+
+  /**
+   * Resize all targets (CSS pixels; the renderer's pixel ratio is applied)
+   * @param {number} w
+   * @param {number} h
+   */
+  function setSize(w, h) {
+    const pr = renderer.getPixelRatio();
+    for (const c of [composer, bloomComposer]) {
+      c.setPixelRatio(pr);
+      c.setSize(w, h);
+    }
+  }
+
+  /**
+   * Render one frame through the pipeline
+   * @param {number} delta - Seconds since last frame (film grain animation)
+   */
+  function render(delta) {
+    if (effects.bloom) {
+      darkenNonBloomed();
+      savedEnvironment = scene.environmentIntensity;
+      scene.environmentIntensity = 0;
+      const background = scene.background;
+      scene.background = null;
+      // the bloom render is unlit: leave the shadow maps for the main render
+      const { autoUpdate, needsUpdate } = renderer.shadowMap;
+      renderer.shadowMap.autoUpdate = false;
+      renderer.shadowMap.needsUpdate = false;
+      bloomComposer.render(delta);
+      renderer.shadowMap.autoUpdate = autoUpdate;
+      renderer.shadowMap.needsUpdate = needsUpdate;
+      scene.background = background;
+      restore();
+    }
+    composer.render(delta);
+  }
+
+  setSize(width, height);
+
+  return {
+    effects,
+    get lutName() { return lutName; },
+    lutNames: Object.keys(LUT_GRADES),
+    composer,
+    markBloom,
+    setEffect,
+    setLUT,
+    update,
+    setSize,
+    render,
+  };
+}
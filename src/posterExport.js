@@ -0,0 +1,290 @@
+// Poster export: offscreen high-resolution stills (tiled when needed) and fixed-step frame sequences
+import * as THREE from 'three';
+import { EXRExporter } from 'three/addons/exporters/EXRExporter.js';
+
+/**
+ * Save a blob as a file through the browser's download
+ * @param {Blob} blob
+ * @param {string} name - File name
+ */
+export function download(blob, name) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function canvasToBlob(canvas) {
+  // toBlob snapshots the canvas synchronously, before the drawing buffer is cleared
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('canvas.toBlob failed'))), 'image/png');
+  });
+}
+
+// pixels each PNG tile overlaps its neighbours: the reach of the widest bloom blur
+// (11 texels at 1/32 resolution ≈ 352 px) with some room to spare; GTAO reaches less
+const TILE_OVERLAP = 384;
+
+function pad(n, width) { return String(n).padStart(width, '0'); }
+
+/**
+ * Create the exporter
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {object} options.postFX - Post-processing pipeline (render / setSize / effects)
+ * @param {object} options.cameraController - Supplies the bottom crop and restores the view offset
+ * @param {number} options.width - Base poster width (scale 1)
+ * @param {number} options.height - Base poster height (scale 1)
+ * @param {Function} options.renderFrame - Advances the scene by a delta and renders it
+ * @param {Function} options.pauseLoop - Stops the animation loop
+ * @param {Function} options.resumeLoop - Restarts the animation loop
+ */
+export function createPosterExporter({
+  renderer, scene, camera, postFX, cameraController,
+  width, height, renderFrame, pauseLoop, resumeLoop,
+}) {
+  let busy = false;
+  let cancelled = false;
+
+  function maxTileSize() {
+    const gl = renderer.getContext();
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(
+      renderer.capabilities.maxTextureSize,
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      viewport[0],
+      viewport[1],
+      4096
+    );
+  }
+
+  // tiles of at most the GPU limit; with a margin, tiles leave room for it on every side
+  function tileLayout(fullW, fullH, margin = 0) {
+    let max = maxTileSize();
+    if (fullW > max || fullH > max) max -= 2 * margin;
+    const cols = Math.ceil(fullW / max);
+    const rows = Math.ceil(fullH / max);
+    return { cols, rows, tileW: Math.ceil(fullW / cols), tileH: Math.ceil(fullH / rows) };
+  }
+
+  // render one sub-rectangle of the full image, keeping the poster crop
+  function setTileView(fullW, fullH, x, y, tileW, tileH) {
+    const cropY = -fullH * cameraController.cropBottomPercent;
+    camera.setViewOffset(fullW, fullH, x, y + cropY, tileW, tileH);
+  }
+
+  // temporarily size the canvas / composer for offscreen rendering
+  async function withRenderSize(w, h, fn) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(w, h, false);
+    postFX.setSize(w, h);
+    try {
+      return await fn();
+    } finally {
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      postFX.setSize(size.x, size.y);
+      cameraController.applyViewOffset();
+    }
+  }
+
+  async function run(fn) {
+    if (busy) {
+      console.warn('[Export] already running');
+      return;
+    }
+    busy = true;
+    cancelled = false;
+    pauseLoop();
+    try {
+      return await fn();
+    } finally {
+      busy = false;
+      resumeLoop();
+    }
+  }
+
+  async function exportPNG(fullW, fullH) {
+    const { cols, rows, tileW, tileH } = tileLayout(fullW, fullH, TILE_OVERLAP);
+    const tiled = cols * rows > 1;
+    // each tile renders this much of its neighbours too, so bloom and AO near its edges
+    // see what is across them; the overlap is cropped off
+    const m = tiled ? TILE_OVERLAP : 0;
+
+    const out = document.createElement('canvas');
+    out.width = fullW;
+    out.height = fullH;
+    const ctx = out.getContext('2d');
+
+    // screen-space effects would repeat per tile; vignette is redrawn on the whole image instead
+    const { vignette, grain } = postFX.effects;
+    if (tiled) {
+      postFX.setEffect('vignette', false);
+      postFX.setEffect('grain', false);
+    }
+
+    try {
+      await withRenderSize(tileW + 2 * m, tileH + 2 * m, () => {
+        for (let ty = 0; ty < rows; ty++) {
+          for (let tx = 0; tx < cols; tx++) {
+            setTileView(fullW, fullH, tx * tileW - m, ty * tileH - m, tileW + 2 * m, tileH + 2 * m);
+            postFX.render(0);
+            ctx.drawImage(renderer.domElement, m, m, tileW, tileH, tx * tileW, ty * tileH, tileW, tileH);
+          }
+        }
+      });
+    } finally {
+      if (tiled) {
+        postFX.setEffect('vignette', vignette);
+        postFX.setEffect('grain', grain);
+      }
+    }
+
+    if (tiled && vignette) {
+      const g = ctx.createRadialGradient(fullW / 2, fullH / 2, 0, fullW / 2, fullH / 2, Math.hypot(fullW, fullH) / 2);
+      g.addColorStop(0.45, 'rgba(0,0,0,0)');
+      g.addColorStop(1.0, 'rgba(0,0,0,0.55)');
+      ctx.fillStyle = g;
+      ctx.fillRect(0, 0, fullW, fullH);
+    }
+
+    return canvasToBlob(out);
+  }
+
+  // linear HDR straight from the scene (no tone mapping or post-processing)
+  async function exportEXR(fullW, fullH) {
+    const { cols, rows, tileW, tileH } = tileLayout(fullW, fullH);
+
+    const rt = new THREE.WebGLRenderTarget(tileW, tileH, { type: THREE.FloatType });
+    const tile = new Float32Array(tileW * tileH * 4);
+    const data = new Float32Array(fullW * fullH * 4);
+
+    try {
+      for (let ty = 0; ty < rows; ty++) {
+        for (let tx = 0; tx < cols; tx++) {
+          const x0 = tx * tileW;
+          const y0 = ty * tileH;
+          setTileView(fullW, fullH, x0, y0, tileW, tileH);
+
+          renderer.setRenderTarget(rt);
+          renderer.render(scene, camera);
+          renderer.readRenderTargetPixels(rt, 0, 0, tileW, tileH, tile);
+
+          // pixels are bottom-up; copy the part of the tile inside the image
+          const w = Math.min(tileW, fullW - x0);
+          const h = Math.min(tileH, fullH - y0);
+          for (let r = 0; r < h; r++) {
+            const srcRow = tileH - 1 - r;       // r-th row from the tile top
+            const dstRow = fullH - 1 - (y0 + r);
+            data.set(
+              tile.subarray(srcRow * tileW * 4, (srcRow * tileW + w) * 4),
+              (dstRow * fullW + x0) * 4
+            );
+          }
+        }
+      }
+    } finally {
+      renderer.setRenderTarget(null);
+      rt.dispose();
+      cameraController.applyViewOffset();
+    }
+
+    const tex = new THREE.DataTexture(data, fullW, fullH, THREE.RGBAFormat, THREE.FloatType);
+    const bytes = await new EXRExporter().parse(tex, { type: THREE.HalfFloatType });
+    return new Blob([bytes], { type: 'image/x-exr' });
+  }
+
+  /**
+   * Render the current frame offscreen and download it
+   * @param {object} options
+   * @param {number} options.scale - Multiple of the base poster size (4 = 5760x10240)
+   * @param {string} options.format - 'png' (tone mapped, post-processed) or 'exr' (linear HDR)
+   */
+  function exportImage({ scale = 4, format = 'png' } = {}) {
+    return run(async () => {
+      const fullW = Math.round(width * scale);
+      const fullH = Math.round(height * scale);
+      const { cols, rows } = tileLayout(fullW, fullH);
+      console.log(`[Export] ${format.toUpperCase()} ${fullW}x${fullH} (${cols * rows} tile(s))`);
+
+      const blob = format === 'exr' ? await exportEXR(fullW, fullH) : await exportPNG(fullW, fullH);
+      download(blob, `tokyo-tower-${fullW}x${fullH}.${format}`);
+      console.log(`[Export] done (${(blob.size / 1e6).toFixed(1)} MB)`);
+    }).catch((err) => console.error('[Export] failed', err));
+  }
+
+  async function openSequenceDirectory() {
+    if (!window.showDirectoryPicker) return null;
+    try {
+      return await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch {
+      return null; // user dismissed the picker, fall back to downloads
+    }
+  }
+
+  /**
+   * Capture a PNG sequence, stepping the scene at a fixed timestep.
+   * Frames go to a picked folder when the browser supports it, otherwise they download one by one.
+   * @param {object} options
+   * @param {number} options.seconds - Length of the capture in scene time
+   * @param {number} options.fps - Frames per scene second
+   * @param {number} options.scale - Multiple of the base poster size (must fit in one tile)
+   * @param {Function} options.onStart - Called right before the first frame (e.g. start a transition)
+   */
+  async function captureSequence({ seconds = 10, fps = 30, scale = 0.5, onStart } = {}) {
+    const fullW = Math.round(width * scale);
+    const fullH = Math.round(height * scale);
+    const max = maxTileSize();
+    if (fullW > max || fullH > max) {
+      console.error(`[Export] sequence frames must fit in one ${max}px tile (got ${fullW}x${fullH})`);
+      return;
+    }
+
+    // claim the exporter before the picker opens, so a second press can't open another one;
+    // run() claims it again right after, with no await in between
+    if (busy) {
+      console.warn('[Export] already running');
+      return;
+    }
+    busy = true;
+    const dir = await openSequenceDirectory();
+    busy = false;
+    const frames = Math.round(seconds * fps);
+    const step = 1 / fps;
+
+    return run(() => withRenderSize(fullW, fullH, async () => {
+      console.log(`[Export] sequence: ${frames} frames at ${fps} fps, ${fullW}x${fullH} (Esc cancels)`);
+      onStart?.();
+
+      for (let i = 0; i < frames && !cancelled; i++) {
+        renderFrame(step);
+        const blob = await canvasToBlob(renderer.domElement);
+        const name = `frame_${pad(i, 5)}.png`;
+
+        if (dir) {
+          const file = await dir.getFileHandle(name, { create: true });
+          const writable = await file.createWritable();
+          await writable.write(blob);
+          await writable.close();
+        } else {
+          download(blob, name);
+        }
+        if (i % fps === 0) console.log(`[Export] frame ${i + 1}/${frames}`);
+      }
+      console.log(cancelled ? '[Export] sequence cancelled' : '[Export] sequence done');
+    })).catch((err) => console.error('[Export] sequence failed', err));
+  }
+
+  return {
+    get busy() { return busy; },
+    exportImage,
+    captureSequence,
+    cancel() { cancelled = true; },
+  };
+}
@@ -0,0 +1,65 @@
+// Seeded randomness
+// Every random choice in the scene draws from a named stream derived from the
+// global seed, so results don't depend on the order models finish loading.
+
+let globalSeed = 1;
+
+/**
+ * Read ?seed=<integer> from the page URL
+ * @param {string} search - location.search string
+ * @returns {number} Seed, 1 when absent or invalid
+ */
+export function seedFromURL(search = window.location.search) {
+  const value = new URLSearchParams(search).get('seed');
+  if (value === null) return 1;
+  const seed = Number.parseInt(value, 10);
+  if (Number.isSafeInteger(seed)) return seed;
+  console.warn(`[Random] ignoring invalid seed "${value}"`);
+  return 1;
+}
+
+/**
+ * Set the global seed; streams created afterwards use it
+ * @param {number} seed - Integer seed
+ */
+export function setSeed(seed) {
+  globalSeed = seed >>> 0;
+}
+
+export function getSeed() {
+  return globalSeed;
+}
+
+// FNV-1a, 32 bit
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Small, fast 32-bit PRNG
+ * @param {number} a - 32-bit state
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function mulberry32(a) {
+  return function () {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random stream for one consumer, e.g. randomStream('stars') or randomStream('bridge:bridge_left')
+ * @param {string} name - Stable name of the consumer
+ * @returns {Function} Returns floats in [0, 1), same sequence for the same seed and name
+ */
+export function randomStream(name) {
+  return mulberry32(hashString(name) ^ globalSeed);
+}
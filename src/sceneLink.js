@@ -0,0 +1,111 @@
+// Scene links: the look of the scene (lighting, camera, effects, weather, tower program, seed)
+// packed into the URL hash, e.g.
+//   #seed=7&cam=orbit,120,60,300,0,100,0&fx=bloom,lut&lut=warm&weather=rain&tower=diamondVeil
+//    &light=exposure:0.42,elev:3.5,fogColor:0x8a9099,environment:sunset
+// Lists are comma separated; lighting fields are key:value with colors as 0xrrggbb.
+
+// significant digits kept for numbers; plenty for lighting values and positions
+const PRECISION = 5;
+
+function formatNumber(v) {
+  return String(Number(v.toPrecision(PRECISION)));
+}
+
+function isName(v) {
+  return /^[\w-]+$/.test(v);
+}
+
+/**
+ * Pack a scene state into a URL hash (without the leading #)
+ * @param {object} state - Any of:
+ * @param {number} state.seed - Integer seed
+ * @param {object} state.lighting - presetToJSON() of the lighting state
+ * @param {object} state.camera - { mode, position: [x, y, z], target: [x, y, z] }
+ * @param {string[]} state.effects - Post-processing effects that are on
+ * @param {string} state.lut - Color grading LUT
+ * @param {string} state.weather - Weather preset
+ * @param {string|null} state.tower - Tower program picked by hand (null: the schedule)
+ * @param {boolean} state.trails - Traffic light trails
+ * @returns {string}
+ */
+export function encodeSceneLink({ seed, lighting, camera, effects, lut, weather, tower, trails }) {
+  const parts = [];
+  if (seed !== undefined) parts.push(`seed=${seed}`);
+  if (camera) parts.push(`cam=${[camera.mode, ...[...camera.position, ...camera.target].map(formatNumber)].join(',')}`);
+  if (effects) parts.push(`fx=${effects.join(',')}`);
+  if (lut) parts.push(`lut=${lut}`);
+  if (weather) parts.push(`weather=${weather}`);
+  if (tower) parts.push(`tower=${tower}`);
+  if (trails !== undefined) parts.push(`trails=${trails ? 1 : 0}`);
+  if (lighting) {
+    const fields = Object.entries(lighting).map(([k, v]) => {
+      if (typeof v === 'number') return `${k}:${formatNumber(v)}`;
+      if (/^#[0-9a-f]{6}$/i.test(v)) return `${k}:0x${v.slice(1)}`;
+      return `${k}:${v}`;
+    });
+    parts.push(`light=${fields.join(',')}`);
+  }
+  return parts.join('&');
+}
+
+/**
+ * Unpack a URL hash written by encodeSceneLink
+ * Malformed parts are reported and left out; names (effects, presets, programs) are not checked here.
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {{ state: object, errors: string[] }} state is empty when the hash holds no scene link
+ */
+export function decodeSceneLink(hash) {
+  const state = {};
+  const errors = [];
+  const text = hash.replace(/^#/, '');
+  if (!text) return { state, errors };
+
+  for (const part of text.split('&')) {
+    const eq = part.indexOf('=');
+    const key = eq < 0 ? part : part.slice(0, eq);
+    let value = '';
+    try {
+      value = eq < 0 ? '' : decodeURIComponent(part.slice(eq + 1));
+    } catch {
+      errors.push(`${key}: malformed value`);
+      continue;
+    }
+
+    if (key === 'seed') {
+      const seed = Number(value);
+      if (Number.isSafeInteger(seed)) state.seed = seed;
+      else errors.push(`seed: must be an integer (got "${value}")`);
+    } else if (key === 'cam') {
+      const [mode, ...rest] = value.split(',');
+      const numbers = rest.map(Number);
+      if (isName(mode) && numbers.length === 6 && numbers.every(Number.isFinite)) {
+        state.camera = { mode, position: numbers.slice(0, 3), target: numbers.slice(3) };
+      } else {
+        errors.push(`cam: must be mode,x,y,z,targetX,targetY,targetZ (got "${value}")`);
+      }
+    } else if (key === 'fx') {
+      const effects = value ? value.split(',') : [];
+      if (effects.every(isName)) state.effects = effects;
+      else errors.push(`fx: must be a list of effect names (got "${value}")`);
+    } else if (key === 'lut' || key === 'weather' || key === 'tower') {
+      if (isName(value)) state[key] = value;
+      else errors.push(`${key}: must be a name (got "${value}")`);
+    } else if (key === 'trails') {
+      if (value === '0' || value === '1') state.trails = value === '1';
+      else errors.push(`trails: must be 0 or 1 (got "${value}")`);
+    } else if (key === 'light') {
+      const lighting = {};
+      for (const field of value.split(',')) {
+        const [k, v = ''] = field.split(':');
+        if (/^0x[0-9a-f]{6}$/i.test(v)) lighting[k] = `#${v.slice(2)}`;
+        else if (v !== '' && Number.isFinite(Number(v))) lighting[k] = Number(v);
+        else if (isName(v)) lighting[k] = v;
+        else errors.push(`light.${k}: bad value "${v}"`);
+      }
+      state.lighting = lighting;
+    } else {
+      errors.push(`${key}: unknown field`);
+    }
+  }
+  return { state, errors };
+}
@@ -0,0 +1,508 @@
+// Scene manifest: JSON description of every model instance in the scene
+// Manifests live in public/scenes/<name>.json and are picked with ?scene=<name>
+import { WINDOW_SOURCES } from './buildingLights.js';
+import { MAX_TOWER_LEVELS } from './towerPrograms.js';
+import { BRIDGE_MODES } from './bridgeLights.js';
+
+export const DEFAULT_SCENE = 'default';
+
+// Roles decide which light rig / material treatment a model gets
+export const ROLES = ['tower', 'bridge', 'yacht', 'building', 'terrain'];
+
+// Material fields an instance is allowed to override
+const MATERIAL_OVERRIDE_KEYS = ['envMapIntensity', 'roughness', 'metalness'];
+
+/**
+ * Apply an instance's `materials` overrides to one of its materials
+ * envMapIntensity is a floor (SpecGloss-converted materials often need a boost): it is kept as
+ * userData.envFloor so the per-frame environment intensity never drops below it (see envIntensity)
+ * @param {THREE.Material} material
+ * @param {object} overrides - The instance's `materials` block
+ */
+export function applyMaterialOverrides(material, overrides) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key === 'envMapIntensity') {
+      material.userData.envFloor = value;
+      material.envMapIntensity = Math.max(material.envMapIntensity ?? 1.0, value);
+    } else {
+      material[key] = value;
+    }
+  }
+  material.needsUpdate = true;
+}
+
+/**
+ * Environment intensity for a material: the lighting state's, but not below its manifest floor
+ * @param {THREE.Material} material
+ * @param {number} ibl - Lighting state `ibl`
+ * @returns {number}
+ */
+export function envIntensity(material, ibl) {
+  return Math.max(ibl, material.userData.envFloor ?? 0);
+}
+
+/**
+ * Read the manifest name from the page URL (?scene=night_harbor)
+ * @param {string} search - location.search string
+ * @returns {string} Manifest name, falls back to DEFAULT_SCENE
+ */
+export function sceneNameFromURL(search = window.location.search) {
+  const name = new URLSearchParams(search).get('scene');
+  // only allow plain file names, the value ends up in a fetch path
+  if (name && /^[\w-]+$/.test(name)) return name;
+  if (name) console.warn(`[SceneManifest] ignoring invalid scene name "${name}"`);
+  return DEFAULT_SCENE;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function isVec3(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(isFiniteNumber);
+}
+
+function isColor(v) {
+  return (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v)) ||
+    (Number.isInteger(v) && v >= 0 && v <= 0xffffff);
+}
+
+function validateLights(role, lights, where, errors) {
+  if (lights === undefined) return;
+  if (typeof lights !== 'object' || lights === null || Array.isArray(lights)) {
+    errors.push(`${where}.lights: must be an object`);
+    return;
+  }
+
+  if (role === 'tower' && lights.levels !== undefined) {
+    if (!Array.isArray(lights.levels) || lights.levels.length === 0 || lights.levels.length > MAX_TOWER_LEVELS) {
+      errors.push(`${where}.lights.levels: must be an array of 1..${MAX_TOWER_LEVELS} levels`);
+    } else {
+      lights.levels.forEach((lvl, i) => {
+        for (const k of ['y', 'radius', 'dist']) {
+          if (!isFiniteNumber(lvl?.[k])) errors.push(`${where}.lights.levels[${i}].${k}: must be a number`);
+        }
+      });
+    }
+  }
+
+  for (const k of ['count', 'yOffset', 'range', 'height']) {
+    if (lights[k] !== undefined && !isFiniteNumber(lights[k])) {
+      errors.push(`${where}.lights.${k}: must be a number`);
+    }
+  }
+  if (lights.count !== undefined && (!Number.isInteger(lights.count) || lights.count < 0)) {
+    errors.push(`${where}.lights.count: must be an integer >= 0`);
+  }
+  if (role === 'bridge') {
+    if (lights.mode !== undefined && !BRIDGE_MODES.includes(lights.mode)) {
+      errors.push(`${where}.lights.mode: must be one of ${BRIDGE_MODES.join(', ')}`);
+    }
+    for (const k of ['spacing', 'bulbSize']) {
+      if (lights[k] !== undefined && !(isFiniteNumber(lights[k]) && lights[k] > 0)) {
+        errors.push(`${where}.lights.${k}: must be a positive number`);
+      }
+    }
+    for (const k of ['deck', 'cables', 'reflections']) {
+      if (lights[k] !== undefined && typeof lights[k] !== 'boolean') {
+        errors.push(`${where}.lights.${k}: must be true or false`);
+      }
+    }
+  }
+  if (role === 'yacht' && lights.navigation !== undefined && typeof lights.navigation !== 'boolean') {
+    errors.push(`${where}.lights.navigation: must be true or false`);
+  }
+  if (lights.color !== undefined && !isColor(lights.color)) {
+    errors.push(`${where}.lights.color: must be "#rrggbb"`);
+  }
+}
+
+function isPair(v) {
+  return Array.isArray(v) && v.length === 2 && v.every(isFiniteNumber);
+}
+
+function validateWindows(role, windows, where, errors) {
+  if (windows === undefined) return;
+  if (role !== 'building') {
+    errors.push(`${where}.windows: only buildings have window lights`);
+    return;
+  }
+  if (windows === false) return;
+  if (typeof windows !== 'object' || windows === null || Array.isArray(windows)) {
+    errors.push(`${where}.windows: must be an object or false`);
+    return;
+  }
+
+  if (windows.source !== undefined && !WINDOW_SOURCES.includes(windows.source)) {
+    errors.push(`${where}.windows.source: must be one of ${WINDOW_SOURCES.join(', ')}`);
+  }
+  for (const k of ['size', 'repeat']) {
+    if (windows[k] !== undefined && !(isPair(windows[k]) && windows[k].every((v) => v > 0))) {
+      errors.push(`${where}.windows.${k}: must be [a, b] with positive numbers`);
+    }
+  }
+  if (windows.offset !== undefined && !isPair(windows.offset)) {
+    errors.push(`${where}.windows.offset: must be [a, b]`);
+  }
+  if (windows.fill !== undefined && !(isPair(windows.fill) && windows.fill.every((v) => v > 0 && v <= 1))) {
+    errors.push(`${where}.windows.fill: must be [a, b] between 0 and 1`);
+  }
+  for (const k of ['flicker', 'tv']) {
+    if (windows[k] !== undefined && !(isFiniteNumber(windows[k]) && windows[k] >= 0 && windows[k] <= 1)) {
+      errors.push(`${where}.windows.${k}: must be a number between 0 and 1`);
+    }
+  }
+
+  const { schedule } = windows;
+  if (schedule === undefined) return;
+  if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+    errors.push(`${where}.windows.schedule: must be an object`);
+    return;
+  }
+  for (const k of ['on', 'off']) {
+    if (schedule[k] !== undefined && !isPair(schedule[k])) {
+      errors.push(`${where}.windows.schedule.${k}: must be [from, to] in hours`);
+    }
+  }
+  const { occupancy } = schedule;
+  if (occupancy !== undefined && !(isFiniteNumber(occupancy) && occupancy >= 0 && occupancy <= 1)) {
+    errors.push(`${where}.windows.schedule.occupancy: must be a number between 0 and 1`);
+  }
+}
+
+function validateBoat(role, boat, where, errors) {
+  if (boat === undefined) return;
+  if (role !== 'yacht') {
+    errors.push(`${where}.boat: only yachts move`);
+    return;
+  }
+  if (typeof boat !== 'object' || boat === null || Array.isArray(boat)) {
+    errors.push(`${where}.boat: must be an object`);
+    return;
+  }
+
+  if (boat.path !== undefined && boat.path !== null) {
+    const minPoints = boat.closed === false ? 2 : 3;
+    if (!Array.isArray(boat.path) || boat.path.length < minPoints || !boat.path.every(isPair)) {
+      errors.push(`${where}.boat.path: must be at least ${minPoints} [x, z] points`);
+    }
+  }
+  for (const k of ['speed', 'bob']) {
+    if (boat[k] !== undefined && !(isFiniteNumber(boat[k]) && boat[k] >= 0)) {
+      errors.push(`${where}.boat.${k}: must be a number >= 0`);
+    }
+  }
+  if (boat.start !== undefined && !(isFiniteNumber(boat.start) && boat.start >= 0 && boat.start <= 1)) {
+    errors.push(`${where}.boat.start: must be a number between 0 and 1`);
+  }
+  for (const k of ['closed', 'wake']) {
+    if (boat[k] !== undefined && typeof boat[k] !== 'boolean') {
+      errors.push(`${where}.boat.${k}: must be true or false`);
+    }
+  }
+}
+
+/**
+ * Validate one instance entry
+ * @param {object} entry - Raw entry from the manifest
+ * @param {string} where - Label used in error messages, e.g. "instances[3]"
+ * @returns {string[]} Error messages, empty when the entry is valid
+ */
+export function validateInstance(entry, where) {
+  const errors = [];
+
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return [`${where}: must be an object`];
+  }
+
+  if (typeof entry.asset !== 'string' || !/\.(gltf|glb)$/i.test(entry.asset)) {
+    errors.push(`${where}.asset: must be a path to a .gltf/.glb file`);
+  }
+  if (!ROLES.includes(entry.role)) {
+    errors.push(`${where}.role: must be one of ${ROLES.join(', ')} (got ${JSON.stringify(entry.role)})`);
+  }
+  if (!isVec3(entry.position)) {
+    errors.push(`${where}.position: must be [x, y, z]`);
+  }
+  if (entry.scale !== undefined && !(isFiniteNumber(entry.scale) && entry.scale > 0)) {
+    errors.push(`${where}.scale: must be a positive number`);
+  }
+  if (entry.rotationY !== undefined && !isFiniteNumber(entry.rotationY)) {
+    errors.push(`${where}.rotationY: must be a number (radians)`);
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+
+  if (entry.materials !== undefined) {
+    if (typeof entry.materials !== 'object' || entry.materials === null) {
+      errors.push(`${where}.materials: must be an object`);
+    } else {
+      for (const [k, v] of Object.entries(entry.materials)) {
+        if (!MATERIAL_OVERRIDE_KEYS.includes(k)) {
+          errors.push(`${where}.materials.${k}: unknown override (allowed: ${MATERIAL_OVERRIDE_KEYS.join(', ')})`);
+        } else if (!isFiniteNumber(v)) {
+          errors.push(`${where}.materials.${k}: must be a number`);
+        }
+      }
+    }
+  }
+
+  validateLights(entry.role, entry.lights, where, errors);
+  validateWindows(entry.role, entry.windows, where, errors);
+  validateBoat(entry.role, entry.boat, where, errors);
+
+  return errors;
+}
+
+/**
+ * Validate the top-level ocean block (sea extent, waves and shoreline)
+ * @param {object} ocean - Raw ocean block
+ * @param {string} where - Label used in error messages
+ * @returns {string[]} Error messages, empty when the block is valid
+ */
+export function validateOcean(ocean, where = 'ocean') {
+  if (ocean === undefined) return [];
+  if (typeof ocean !== 'object' || ocean === null || Array.isArray(ocean)) {
+    return [`${where}: must be an object`];
+  }
+
+  const errors = [];
+  if (ocean.center !== undefined && !isPair(ocean.center)) {
+    errors.push(`${where}.center: must be [x, z]`);
+  }
+  if (ocean.size !== undefined && !(isPair(ocean.size) && ocean.size.every((v) => v > 0))) {
+    errors.push(`${where}.size: must be [width, depth] with positive numbers`);
+  }
+  if (ocean.windDirection !== undefined && !(isPair(ocean.windDirection) && ocean.windDirection.some((v) => v !== 0))) {
+    errors.push(`${where}.windDirection: must be a non-zero [x, z]`);
+  }
+  if (ocean.waveHeight !== undefined && !(isFiniteNumber(ocean.waveHeight) && ocean.waveHeight >= 0)) {
+    errors.push(`${where}.waveHeight: must be a number >= 0`);
+  }
+  if (ocean.choppiness !== undefined && !(isFiniteNumber(ocean.choppiness) && ocean.choppiness >= 0 && ocean.choppiness <= 1)) {
+    errors.push(`${where}.choppiness: must be a number between 0 and 1`);
+  }
+  if (ocean.foamWidth !== undefined && !(isFiniteNumber(ocean.foamWidth) && ocean.foamWidth > 0)) {
+    errors.push(`${where}.foamWidth: must be a positive number`);
+  }
+  if (ocean.shoreline !== undefined && ocean.shoreline !== null &&
+      !(Array.isArray(ocean.shoreline) && ocean.shoreline.length >= 2 && ocean.shoreline.every(isPair))) {
+    errors.push(`${where}.shoreline: must be at least 2 [x, z] points`);
+  }
+  return errors;
+}
+
+function isZone(zone) {
+  if (typeof zone !== 'object' || zone === null) return false;
+  if (zone.radius !== undefined) return isPair(zone.center) && isFiniteNumber(zone.radius) && zone.radius > 0;
+  return isPair(zone.min) && isPair(zone.max) && zone.min[0] < zone.max[0] && zone.min[1] < zone.max[1];
+}
+
+/**
+ * Validate the top-level city block (procedural district)
+ * @param {object} city - Raw city block
+ * @param {string} where - Label used in error messages
+ * @returns {string[]} Error messages, empty when the block is valid
+ */
+export function validateCity(city, where = 'city') {
+  if (city === undefined) return [];
+  if (typeof city !== 'object' || city === null || Array.isArray(city)) {
+    return [`${where}: must be an object`];
+  }
+
+  const errors = [];
+  if (city.center !== undefined && !isPair(city.center)) {
+    errors.push(`${where}.center: must be [x, z]`);
+  }
+  for (const k of ['size', 'block', 'lot']) {
+    if (city[k] !== undefined && !(isPair(city[k]) && city[k].every((v) => v > 0))) {
+      errors.push(`${where}.${k}: must be [a, b] with positive numbers`);
+    }
+  }
+  if (city.lot !== undefined && isPair(city.lot) && city.lot[0] > city.lot[1]) {
+    errors.push(`${where}.lot: must be [narrowest, widest]`);
+  }
+  if (city.height !== undefined && !(isPair(city.height) && city.height[0] > 0 && city.height[0] <= city.height[1])) {
+    errors.push(`${where}.height: must be [lowest, tallest] with 0 < lowest <= tallest`);
+  }
+  if (city.angle !== undefined && !isFiniteNumber(city.angle)) {
+    errors.push(`${where}.angle: must be a number (radians)`);
+  }
+  for (const k of ['street', 'falloff']) {
+    if (city[k] !== undefined && !(isFiniteNumber(city[k]) && city[k] > 0)) {
+      errors.push(`${where}.${k}: must be a positive number`);
+    }
+  }
+  for (const k of ['clearance', 'shoreMargin']) {
+    if (city[k] !== undefined && !(isFiniteNumber(city[k]) && city[k] >= 0)) {
+      errors.push(`${where}.${k}: must be a number >= 0`);
+    }
+  }
+  for (const k of ['density', 'models']) {
+    if (city[k] !== undefined && !(isFiniteNumber(city[k]) && city[k] >= 0 && city[k] <= 1)) {
+      errors.push(`${where}.${k}: must be a number between 0 and 1`);
+    }
+  }
+  if (city.seed !== undefined && city.seed !== null && !Number.isSafeInteger(city.seed)) {
+    errors.push(`${where}.seed: must be an integer`);
+  }
+  if (city.assets !== undefined && city.assets !== null) {
+    const ok = Array.isArray(city.assets) && city.assets.every((a) =>
+      typeof a?.asset === 'string' && /\.(gltf|glb)$/i.test(a.asset) &&
+      (a.scale === undefined || (isFiniteNumber(a.scale) && a.scale > 0)));
+    if (!ok) errors.push(`${where}.assets: must be a list of { asset: ".gltf/.glb path", scale }`);
+  }
+  if (city.exclude !== undefined && !(Array.isArray(city.exclude) && city.exclude.every(isZone))) {
+    errors.push(`${where}.exclude: must be a list of { center: [x, z], radius } or { min: [x, z], max: [x, z] }`);
+  }
+  if (city.enabled !== undefined && typeof city.enabled !== 'boolean') {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+  validateWindows('building', city.windows, where, errors);
+  return errors;
+}
+
+/**
+ * Validate the top-level traffic block (cars on the streets, bridges and extra roads)
+ * @param {object} traffic - Raw traffic block
+ * @param {string} where - Label used in error messages
+ * @returns {string[]} Error messages, empty when the block is valid
+ */
+export function validateTraffic(traffic, where = 'traffic') {
+  if (traffic === undefined) return [];
+  if (typeof traffic !== 'object' || traffic === null || Array.isArray(traffic)) {
+    return [`${where}: must be an object`];
+  }
+
+  const errors = [];
+  for (const k of ['enabled', 'streets', 'bridges', 'trails']) {
+    if (traffic[k] !== undefined && typeof traffic[k] !== 'boolean') {
+      errors.push(`${where}.${k}: must be true or false`);
+    }
+  }
+  if (traffic.lanes !== undefined && !(Number.isInteger(traffic.lanes) && traffic.lanes >= 1 && traffic.lanes <= 4)) {
+    errors.push(`${where}.lanes: must be an integer from 1 to 4`);
+  }
+  for (const k of ['laneWidth', 'speed', 'exposure']) {
+    if (traffic[k] !== undefined && !(isFiniteNumber(traffic[k]) && traffic[k] > 0)) {
+      errors.push(`${where}.${k}: must be a positive number`);
+    }
+  }
+  if (traffic.density !== undefined && !(isFiniteNumber(traffic.density) && traffic.density >= 0)) {
+    errors.push(`${where}.density: must be a number >= 0`);
+  }
+  if (traffic.roads !== undefined) {
+    if (!Array.isArray(traffic.roads)) {
+      errors.push(`${where}.roads: must be an array`);
+    } else {
+      traffic.roads.forEach((road, i) => {
+        const point = (p) => isPair(p) || isVec3(p);
+        if (!Array.isArray(road?.path) || road.path.length < 2 || !road.path.every(point)) {
+          errors.push(`${where}.roads[${i}].path: must be at least 2 [x, z] or [x, y, z] points`);
+        }
+        if (road?.closed !== undefined && typeof road.closed !== 'boolean') {
+          errors.push(`${where}.roads[${i}].closed: must be true or false`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a whole manifest. Bad instances are dropped, not fatal.
+ * @param {object} json - Parsed manifest
+ * A bad ocean block falls back to the defaults; a bad, missing or disabled city (traffic) block
+ * means no city (traffic).
+ * @returns {{ instances: object[], ocean: object, city: object|null, traffic: object|null, errors: string[] }}
+ */
+export function validateManifest(json) {
+  if (typeof json !== 'object' || json === null || !Array.isArray(json.instances)) {
+    return { instances: [], ocean: {}, city: null, traffic: null, errors: ['manifest: must be an object with an "instances" array'] };
+  }
+
+  const errors = validateOcean(json.ocean);
+  const ocean = errors.length ? {} : (json.ocean ?? {});
+  const cityErrors = validateCity(json.city);
+  errors.push(...cityErrors);
+  const city = cityErrors.length || json.city?.enabled === false ? null : (json.city ?? null);
+  const trafficErrors = validateTraffic(json.traffic);
+  errors.push(...trafficErrors);
+  const traffic = trafficErrors.length || json.traffic?.enabled === false ? null : (json.traffic ?? null);
+  const instances = [];
+
+  json.instances.forEach((entry, i) => {
+    const label = entry?.id ? `instances[${i}] (${entry.id})` : `instances[${i}]`;
+    const entryErrors = validateInstance(entry, label);
+    if (entryErrors.length) {
+      errors.push(...entryErrors);
+      return;
+    }
+    if (entry.enabled === false) return;
+
+    instances.push({
+      id: entry.id ?? `${entry.role}_${i}`,
+      asset: entry.asset,
+      role: entry.role,
+      position: entry.position,
+      scale: entry.scale ?? 1,
+      rotationY: entry.rotationY ?? 0,
+      materials: entry.materials ?? {},
+      lights: entry.lights ?? {},
+      windows: entry.windows ?? {},
+      boat: entry.boat ?? {},
+    });
+  });
+
+  return { instances, ocean, city, traffic, errors };
+}
+
+/**
+ * Turn a loaded manifest back into manifest JSON, e.g. after moving models in the inspector
+ * @param {object} manifest - loadSceneManifest() result
+ * @param {object} edits
+ * @param {Map<string, object>} edits.transforms - id -> { position, rotationY, scale } to write instead
+ * @param {object} edits.ocean - Ocean fields to write over the manifest's
+ * @returns {object} Manifest JSON (empty per-instance blocks left out)
+ */
+export function manifestToJSON({ instances, ocean, city, traffic }, { transforms = new Map(), ocean: oceanEdits = {} } = {}) {
+  const json = {};
+  const oceanBlock = { ...ocean, ...oceanEdits };
+  if (Object.keys(oceanBlock).length) json.ocean = oceanBlock;
+  if (city) json.city = city;
+  if (traffic) json.traffic = traffic;
+
+  json.instances = instances.map((entry) => {
+    const { materials, lights, windows, boat, ...out } = { ...entry, ...transforms.get(entry.id) };
+    for (const [k, v] of Object.entries({ materials, lights, windows, boat })) {
+      if (typeof v !== 'object' || Object.keys(v).length) out[k] = v;
+    }
+    return out;
+  });
+  return json;
+}
+
+/**
+ * Fetch and validate /scenes/<name>.json
+ * Validation problems are logged and the offending entries skipped.
+ * @param {string} name - Manifest name
+ * @returns {Promise<{ name: string, instances: object[], ocean: object, city: object|null, traffic: object|null }>}
+ */
+export async function loadSceneManifest(name) {
+  const url = `/scenes/${name}.json`;
+
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`[SceneManifest] failed to fetch ${url} (${res.status})`);
+  }
+  const json = await res.json();
+
+  const { instances, ocean, city, traffic, errors } = validateManifest(json);
+  if (errors.length) {
+    console.group(`[SceneManifest] ${url}: ${errors.length} problem(s), bad entries skipped`);
+    try { errors.forEach((e) => console.error(e)); } finally { console.groupEnd(); }
+  }
+
+  return { name, instances, ocean, city, traffic };
+}
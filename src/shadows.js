@@ -0,0 +1,385 @@
+// Sun shadows: cascaded shadow maps fitted to the camera frustum, quality tiers, and
+// contact-hardening soft shadows (PCSS) whose penumbra widens with the distance to the
+// occluder. Shadow ranges follow the bounds of the loaded models, not a fixed size.
+//
+// The cascades go into every lit material through the global shader chunks (three's CSM
+// lighting code with the cascade splits baked in as constants), so no material needs setting
+// up; changing tier or bounds rebuilds the shaders once.
+import * as THREE from 'three';
+import { CSM } from 'three/addons/csm/CSM.js';
+import { CSMShader } from 'three/addons/csm/CSMShader.js';
+
+// cascades: 1 is a single map over the whole scene with hardware PCF (no PCSS)
+// samples: PCSS taps for the blocker search and again for the filter
+export const SHADOW_QUALITIES = {
+  low: { cascades: 1, mapSize: 1024, samples: 0 },
+  medium: { cascades: 2, mapSize: 1024, samples: 12 },
+  high: { cascades: 3, mapSize: 2048, samples: 16 },
+  ultra: { cascades: 4, mapSize: 4096, samples: 24 },
+};
+
+export const DEFAULT_SHADOW_QUALITY = 'high';
+
+// widest penumbra (shadow map texels), also the blocker search radius
+const MAX_PENUMBRA = 14;
+// smallest map setMapScale() goes down to
+const MIN_MAP_SIZE = 256;
+// depth bias in metres along the light; the normal offset is a texel
+const BIAS_METRES = 0.25;
+
+// the chunks as three ships them, before any cascades are injected
+const CHUNKS = {
+  lights_pars_begin: THREE.ShaderChunk.lights_pars_begin,
+  lights_fragment_begin: THREE.ShaderChunk.lights_fragment_begin,
+  shadowmap_pars_fragment: THREE.ShaderChunk.shadowmap_pars_fragment,
+};
+
+/**
+ * Read ?shadows=<quality> from the page URL
+ * @param {string} search - location.search string
+ * @returns {string} Key of SHADOW_QUALITIES, DEFAULT_SHADOW_QUALITY when absent or unknown
+ */
+export function shadowQualityFromURL(search = window.location.search) {
+  const value = new URLSearchParams(search).get('shadows');
+  if (value === null) return DEFAULT_SHADOW_QUALITY;
+  if (SHADOW_QUALITIES[value]) return value;
+  console.warn(`[Shadows] ignoring unknown quality "${value}" (${Object.keys(SHADOW_QUALITIES).join(', ')})`);
+  return DEFAULT_SHADOW_QUALITY;
+}
+
+/**
+ * Light-space extents of a box, for fitting an orthographic shadow camera to it
+ * @param {THREE.Box3} box - World-space bounds
+ * @param {THREE.Matrix4} view - World to light view (the shadow camera's matrixWorldInverse)
+ * @returns {THREE.Box3} Light view space: x/y across the map, -z away from the light
+ */
+export function lightSpaceBounds(box, view) {
+  const out = new THREE.Box3();
+  const corner = new THREE.Vector3();
+  for (let i = 0; i < 8; i++) {
+    corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+    out.expandByPoint(corner.applyMatrix4(view));
+  }
+  return out;
+}
+
+/**
+ * Shadow map chunk with contact-hardening soft shadows in place of the hard (basic) lookup
+ * The light's shadow radius converts shadow depth (0..1) to penumbra texels.
+ * @param {string} source - shadowmap_pars_fragment as three ships it
+ * @param {number} samples - Taps for the blocker search and for the filter
+ * @returns {string|null} Patched chunk, null when the chunk doesn't look as expected
+ */
+export function pcssChunk(source, samples) {
+  // the basic lookup is the getShadow() in the final #else (PCF and VSM have their own #if)
+  const basic = [...source.matchAll(/#else[^\n]*\n\s*float getShadow\( sampler2D /g)];
+  if (basic.length !== 1) return null;
+  const at = basic[0].index + basic[0][0].indexOf('\n');
+
+  const pcss = /* glsl */`
+		#define PCSS_SAMPLES ${samples}
+		#define PCSS_MAX_PENUMBRA ${MAX_PENUMBRA.toFixed(1)}
+
+		float pcssNoise( vec2 position ) {
+			return fract( 52.9829189 * fract( dot( position, vec2( 0.06711056, 0.00583715 ) ) ) );
+		}
+
+		vec2 pcssDisk( int i, float phi ) {
+			float r = sqrt( ( float( i ) + 0.5 ) / float( PCSS_SAMPLES ) );
+			float theta = float( i ) * 2.399963229728653 + phi;
+			return vec2( cos( theta ), sin( theta ) ) * r;
+		}
+
+		bool pcssOccludes( float depth, float z ) {
+			#ifdef USE_REVERSED_DEPTH_BUFFER
+				return depth > z;
+			#else
+				return depth < z;
+			#endif
+		}
+
+		float getShadow( sampler2D shadowMap, vec2 shadowMapSize, float shadowIntensity, float shadowBias, float shadowRadius, vec4 shadowCoord ) {
+			float shadow = 1.0;
+			shadowCoord.xyz /= shadowCoord.w;
+			shadowCoord.z += shadowBias;
+
+			bool inFrustum = shadowCoord.x >= 0.0 && shadowCoord.x <= 1.0 && shadowCoord.y >= 0.0 && shadowCoord.y <= 1.0;
+			if ( inFrustum && shadowCoord.z <= 1.0 ) {
+				vec2 texel = vec2( 1.0 ) / shadowMapSize;
+				float phi = pcssNoise( gl_FragCoord.xy ) * 6.28318530718;
+
+				// blocker search: the mean depth of whatever shades this point
+				float blockerDepth = 0.0;
+				float blockers = 0.0;
+				for ( int i = 0; i < PCSS_SAMPLES; i ++ ) {
+					float depth = texture2D( shadowMap, shadowCoord.xy + pcssDisk( i, phi ) * PCSS_MAX_PENUMBRA * texel ).r;
+					if ( pcssOccludes( depth, shadowCoord.z ) ) {
+						blockerDepth += depth;
+						blockers += 1.0;
+					}
+				}
+
+				if ( blockers > 0.0 ) {
+					// sharp at the contact, softer the further the occluder is from the receiver
+					float penumbra = clamp( abs( shadowCoord.z - blockerDepth / blockers ) * shadowRadius, 1.0, PCSS_MAX_PENUMBRA );
+					float lit = 0.0;
+					for ( int i = 0; i < PCSS_SAMPLES; i ++ ) {
+						float depth = texture2D( shadowMap, shadowCoord.xy + pcssDisk( i, phi + 1.0 ) * penumbra * texel ).r;
+						lit += pcssOccludes( depth, shadowCoord.z ) ? 0.0 : 1.0;
+					}
+					shadow = lit / float( PCSS_SAMPLES );
+				}
+			}
+			return mix( 1.0, shadow, shadowIntensity );
+		}
+`;
+  const head = source.slice(0, at);
+  const tail = source.slice(at).replace('float getShadow(', 'float getShadowHard(');
+  return `${head}\n${pcss}${tail}`;
+}
+
+/**
+ * Lights chunk with the cascade splits baked in (three's CSM code reads them as uniforms)
+ * @param {THREE.Vector2[]} cascades - Start and end of each cascade, as fractions of shadowFar
+ * @param {number} near - Camera near plane
+ * @param {number} far - Shadow distance (the cascades end here)
+ * @returns {string}
+ */
+export function cascadeChunk(cascades, near, far) {
+  const splits = cascades.map((c) => `vec2( ${c.x.toFixed(6)}, ${c.y.toFixed(6)} )`).join(', ');
+  return `
+#define USE_CSM 1
+#define CSM_CASCADES ${cascades.length}
+const vec2 CSM_cascades[ ${cascades.length} ] = vec2[]( ${splits} );
+const float cameraNear = ${near.toFixed(4)};
+const float shadowFar = ${far.toFixed(4)};
+${CHUNKS.lights_pars_begin}`;
+}
+
+/**
+ * Create the shadow system for the sun
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera - The view the cascades follow
+ * @param {THREE.DirectionalLight} options.sun - Direction, color and intensity for every cascade
+ * @param {string} options.quality - Key of SHADOW_QUALITIES
+ * @param {number} options.softness - Penumbra metres per metre between occluder and receiver
+ * @returns {object} { quality, qualities, softness, mapSize, bounds, setQuality, setMapScale, fitTo, update }
+ */
+export function createShadows({ renderer, scene, camera, sun, quality = DEFAULT_SHADOW_QUALITY, softness = 0.02 }) {
+  let tier = null;
+  let csm = null;
+  // map size relative to the tier's (setMapScale); changes it without recompiling
+  let mapScale = 1;
+  // the loaded models; until they are in, a square around the origin
+  const bounds = new THREE.Box3(new THREE.Vector3(-600, 0, -600), new THREE.Vector3(600, 400, 600));
+  const projection = new THREE.Matrix4();
+  const direction = new THREE.Vector3();
+  const fittedDirection = new THREE.Vector3();
+  let sunFitted = false;
+
+  renderer.shadowMap.enabled = true;
+
+  // every material compiles again with the current chunks
+  function rebuildShaders() {
+    const materials = new Set();
+    scene.traverse((o) => {
+      if (!o.material) return;
+      for (const m of Array.isArray(o.material) ? o.material : [o.material]) materials.add(m);
+    });
+    for (const m of materials) m.dispose();
+  }
+
+  function mapSize() {
+    return Math.max(MIN_MAP_SIZE, Math.round(tier.mapSize * mapScale));
+  }
+
+  function resetMap(light) {
+    light.shadow.map?.dispose();
+    light.shadow.map = null;
+  }
+
+  // how far the cascades reach: the camera's far plane, or less when the scene is smaller
+  function shadowFar() {
+    return Math.min(camera.far, bounds.getSize(new THREE.Vector3()).length());
+  }
+
+  function injectCascades() {
+    const breaks = [];
+    csm._getExtendedBreaks(breaks);
+    THREE.ShaderChunk.lights_pars_begin = cascadeChunk(breaks, camera.near, csm.maxFar);
+    THREE.ShaderChunk.lights_fragment_begin = CSMShader.lights_fragment_begin;
+    const pcss = pcssChunk(CHUNKS.shadowmap_pars_fragment, tier.samples);
+    if (!pcss) console.warn('[Shadows] unexpected shadow map chunk, soft shadows are off');
+    THREE.ShaderChunk.shadowmap_pars_fragment = pcss ?? CHUNKS.shadowmap_pars_fragment;
+  }
+
+  function restoreChunks() {
+    Object.assign(THREE.ShaderChunk, CHUNKS);
+  }
+
+  // reach and depth of every cascade's light from the bounds, then its bias and PCSS scale
+  function fitCascades() {
+    const size = bounds.getSize(new THREE.Vector3()).length();
+    csm.maxFar = shadowFar();
+    csm.lightMargin = size;
+    csm.lightFar = size * 2 + camera.far;
+    csm.updateFrustums();
+    for (const light of csm.lights) {
+      const cam = light.shadow.camera;
+      cam.near = csm.lightNear;
+      cam.far = csm.lightFar;
+      cam.updateProjectionMatrix();
+      const depth = cam.far - cam.near;
+      const texel = (cam.right - cam.left) / mapSize();
+      light.shadow.bias = -BIAS_METRES / depth;
+      light.shadow.normalBias = texel;
+      // shadow depth (0..1) to penumbra texels: metres of depth x softness / metres per texel
+      light.shadow.radius = (depth * softness) / texel;
+    }
+    projection.copy(camera.projectionMatrix);
+  }
+
+  // the single map of the low tier covers the bounds as seen from the sun
+  function fitSun() {
+    // placed like the renderer places it: at the sun, looking at its target
+    const cam = sun.shadow.camera;
+    cam.position.copy(sun.position);
+    cam.lookAt(sun.target.position);
+    cam.updateMatrixWorld();
+    const extents = lightSpaceBounds(bounds, cam.matrixWorldInverse);
+    cam.left = extents.min.x;
+    cam.right = extents.max.x;
+    cam.bottom = extents.min.y;
+    cam.top = extents.max.y;
+    cam.near = -extents.max.z - 1;
+    cam.far = -extents.min.z + 1;
+    cam.updateProjectionMatrix();
+    const texel = (cam.right - cam.left) / mapSize();
+    sun.shadow.bias = -BIAS_METRES / (cam.far - cam.near);
+    sun.shadow.normalBias = texel;
+    fittedDirection.copy(direction);
+    sunFitted = true;
+  }
+
+  /**
+   * Switch quality tier (rebuilds the shadow maps and the shaders)
+   * @param {string} name - Key of SHADOW_QUALITIES
+   */
+  function setQuality(name) {
+    if (!SHADOW_QUALITIES[name]) {
+      console.warn(`[Shadows] unknown quality "${name}"`);
+      return;
+    }
+    quality = name;
+    tier = SHADOW_QUALITIES[name];
+    if (csm) {
+      csm.remove();
+      for (const light of csm.lights) light.dispose();
+      csm = null;
+    }
+
+    if (tier.cascades === 1) {
+      renderer.shadowMap.type = THREE.PCFShadowMap;
+      restoreChunks();
+      sun.visible = true;
+      sun.castShadow = true;
+      sun.shadow.mapSize.setScalar(mapSize());
+      resetMap(sun);
+      sunFitted = false;
+    } else {
+      renderer.shadowMap.type = THREE.BasicShadowMap;
+      // the cascades take over the sun's light
+      sun.visible = false;
+      sun.castShadow = false;
+      csm = new CSM({
+        camera,
+        parent: scene,
+        cascades: tier.cascades,
+        shadowMapSize: mapSize(),
+        lightIntensity: sun.intensity,
+      });
+      fitCascades();
+      injectCascades();
+    }
+    rebuildShaders();
+    console.log(`[Shadows] quality: ${name} (${tier.cascades} x ${mapSize()}px)`);
+  }
+
+  /**
+   * Scale the shadow map size of the current and later tiers (new maps, no shader rebuild)
+   * @param {number} scale - 1 is the tier's own size
+   */
+  function setMapScale(scale) {
+    mapScale = scale;
+    const size = mapSize();
+    // CSM snaps each cascade to its texel grid
+    if (csm) csm.shadowMapSize = size;
+    for (const light of csm ? csm.lights : [sun]) {
+      if (light.shadow.mapSize.x === size) continue;
+      light.shadow.mapSize.setScalar(size);
+      resetMap(light);
+    }
+    // biases follow the texel size
+    if (csm) fitCascades();
+    else sunFitted = false;
+  }
+
+  /**
+   * Fit the shadows to the objects that cast them
+   * @param {THREE.Object3D[]} objects - Loaded models (nulls are skipped)
+   */
+  function fitTo(objects) {
+    const box = new THREE.Box3();
+    for (const o of objects) if (o) box.expandByObject(o);
+    if (box.isEmpty()) return;
+    bounds.copy(box);
+    sunFitted = false;
+    if (csm) {
+      fitCascades();
+      injectCascades();
+      rebuildShaders();
+    }
+  }
+
+  /**
+   * Per-frame update: follow the sun and the camera
+   */
+  function update() {
+    direction.subVectors(sun.target.position, sun.position).normalize();
+    if (!csm) {
+      if (!sunFitted || direction.angleTo(fittedDirection) > 0.002) fitSun();
+      return;
+    }
+    // new aspect, poster crop on or off; never a single tile of a tiled export, whose
+    // sub-frustum would give each tile its own cascades (resolution and bias seams)
+    const view = camera.view;
+    const tile = view?.enabled && (view.width !== view.fullWidth || view.height !== view.fullHeight);
+    if (!tile && !projection.equals(camera.projectionMatrix)) fitCascades();
+    csm.lightDirection.copy(direction);
+    for (const light of csm.lights) {
+      light.color.copy(sun.color);
+      light.intensity = sun.intensity;
+    }
+    csm.update();
+  }
+
+  setQuality(quality);
+
+  return {
+    get quality() { return quality; },
+    qualities: Object.keys(SHADOW_QUALITIES),
+    get softness() { return softness; },
+    set softness(value) {
+      softness = value;
+      if (csm) fitCascades();
+    },
+    get mapSize() { return mapSize(); },
+    bounds,
+    setQuality,
+    setMapScale,
+    fitTo,
+    update,
+  };
+}
@@ -0,0 +1,106 @@
+// Simulated clock for the continuous time-of-day mode
+import { solarPosition, compassToSceneAzimuth } from './solarPosition.js';
+
+// Tokyo Tower, JST (UTC+9, no daylight saving)
+export const TOKYO_TOWER = { latitude: 35.6586, longitude: 139.7454, utcOffsetHours: 9 };
+
+// Simulated seconds per real second; 1440 = a full day in 60 seconds
+export const CLOCK_SPEEDS = [1, 60, 360, 1440, 5760];
+
+function pad(n) { return String(n).padStart(2, '0'); }
+function clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
+
+/**
+ * Create a simulated clock
+ * @param {object} options
+ * @param {Date} options.date - Starting instant (defaults to now)
+ * @param {number} options.speed - Simulated seconds per real second
+ * @param {object} options.location - { latitude, longitude, utcOffsetHours }
+ */
+export function createSimClock({ date = new Date(), speed = 1440, location = TOKYO_TOWER } = {}) {
+  const clock = {
+    time: date.getTime(),    // ms since epoch (UTC)
+    speed,
+    paused: false,
+    location,
+
+    /**
+     * Advance by a real-time delta
+     * @param {number} delta - Real seconds since last frame
+     */
+    advance(delta) {
+      if (!clock.paused) clock.time += delta * 1000 * clock.speed;
+    },
+
+    /**
+     * Move the clock by a number of simulated minutes (negative goes back)
+     * @param {number} minutes
+     */
+    scrub(minutes) {
+      clock.time += minutes * 60000;
+    },
+
+    /**
+     * Jump to a local time of day on the current local date
+     * @param {number} hours - Local hours, e.g. 17.5 = 17:30
+     */
+    setLocalHours(hours) {
+      const offset = location.utcOffsetHours * 3600000;
+      const dayStart = Math.floor((clock.time + offset) / 86400000) * 86400000 - offset;
+      clock.time = dayStart + hours * 3600000;
+    },
+
+    togglePause() {
+      clock.paused = !clock.paused;
+    },
+
+    /**
+     * Step through CLOCK_SPEEDS
+     * @param {number} dir - +1 faster, -1 slower
+     */
+    stepSpeed(dir) {
+      const i = CLOCK_SPEEDS.findIndex((s) => s >= clock.speed);
+      const next = clamp((i < 0 ? CLOCK_SPEEDS.length - 1 : i) + dir, 0, CLOCK_SPEEDS.length - 1);
+      clock.speed = CLOCK_SPEEDS[next];
+    },
+
+    /**
+     * Sun position at the current simulated time, in scene conventions
+     * @returns {{ elev: number, azim: number, rising: boolean }} Degrees; rising is true before solar noon
+     */
+    sun() {
+      const { elevation, azimuth } = solarPosition(new Date(clock.time), location.latitude, location.longitude);
+      return { elev: elevation, azim: compassToSceneAzimuth(azimuth), rising: azimuth < 180 };
+    },
+
+    /**
+     * Local time of day
+     * @returns {number} Hours 0..24, e.g. 17.5 = 17:30
+     */
+    localHours() {
+      const d = new Date(clock.time + location.utcOffsetHours * 3600000);
+      return d.getUTCHours() + d.getUTCMinutes() / 60 + d.getUTCSeconds() / 3600;
+    },
+
+    /**
+     * Local calendar position, for schedules
+     * @returns {{ month: number, weekday: number }} Month 1..12, weekday 0 (Sunday)..6
+     */
+    calendar() {
+      const d = new Date(clock.time + location.utcOffsetHours * 3600000);
+      return { month: d.getUTCMonth() + 1, weekday: d.getUTCDay() };
+    },
+
+    /**
+     * Local date/time label, e.g. "2026-10-18 17:32"
+     * @returns {string}
+     */
+    label() {
+      const d = new Date(clock.time + location.utcOffsetHours * 3600000);
+      return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
+        `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+    },
+  };
+
+  return clock;
+}
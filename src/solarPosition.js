@@ -0,0 +1,59 @@
+// Solar position (low-precision NOAA / Astronomical Almanac formulas, ~0.01° accuracy)
+
+const RAD = Math.PI / 180;
+const DEG = 180 / Math.PI;
+
+function mod(a, n) { return ((a % n) + n) % n; }
+
+/**
+ * Compute the sun's position in the sky
+ * @param {Date} date - Instant to evaluate (absolute time, timezone does not matter)
+ * @param {number} latitude - Observer latitude in degrees (north positive)
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {{ elevation: number, azimuth: number }} Degrees; azimuth is compass
+ *   bearing measured clockwise from north (90 = east, 180 = south)
+ */
+export function solarPosition(date, latitude, longitude) {
+  // days since J2000.0
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+
+  // ecliptic coordinates
+  const L = mod(280.460 + 0.9856474 * n, 360);          // mean longitude
+  const g = mod(357.528 + 0.9856003 * n, 360) * RAD;     // mean anomaly
+  const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * RAD;
+  const epsilon = (23.439 - 0.0000004 * n) * RAD;        // obliquity
+
+  // equatorial coordinates
+  const ra = Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda));
+  const dec = Math.asin(Math.sin(epsilon) * Math.sin(lambda));
+
+  // local hour angle
+  const gmst = mod(18.697374558 + 24.06570982441908 * n, 24);
+  const lst = (gmst * 15 + longitude) * RAD;
+  const ha = lst - ra;
+
+  const lat = latitude * RAD;
+  const elevation = Math.asin(
+    Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(ha)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(ha),
+    Math.tan(dec) * Math.cos(lat) - Math.sin(lat) * Math.cos(ha)
+  );
+
+  return {
+    elevation: elevation * DEG,
+    azimuth: mod(azimuth * DEG, 360),
+  };
+}
+
+/**
+ * Convert a compass bearing to the scene's azimuth convention.
+ * The poster camera looks north across Tokyo Bay: north is -Z, east is +X,
+ * and setSunByElevationAzimuth puts azimuth 0 on +Z (south).
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {number} Scene azimuth in degrees
+ */
+export function compassToSceneAzimuth(bearing) {
+  return mod(180 - bearing, 360);
+}
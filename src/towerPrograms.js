@@ -0,0 +1,414 @@
+// Tokyo Tower illumination programs: named light sequences per tower level, a schedule that
+// picks one by simulated date and time of day, and JSON load / validation
+//
+// A program loops through its steps; each step holds its colors for `hold` seconds, then fades
+// to the next step's over `fade` seconds:
+//   label                 name shown in logs
+//   steps                 [{ levels, hold, fade }], levels bottom to top; a shorter list repeats
+//                         its last entry up the tower. A level is "#rrggbb", "preset" (the
+//                         lighting preset's towerColor) or { color, intensity }
+//   stagger               seconds each level lags the one below (a number, or one per level)
+//   pulse                 { amount, period }: intensity breathing, 0..1 and seconds
+//
+// Schedule entries are tried in order, the first match wins:
+//   { program, months: [1..12], weekdays: [0 = Sunday..6], from, to }  (all but program optional;
+//   from / to are local hours and may wrap past midnight, e.g. from 22 to 2)
+import * as THREE from 'three';
+import { lerp } from './mathUtils.js';
+
+// Most levels a tower rig can have (and a program can color)
+export const MAX_TOWER_LEVELS = 8;
+
+const level = (color, intensity = 1) => ({ color, intensity });
+
+export const TOWER_PROGRAMS = {
+  landmark: {
+    label: 'Landmark Light',
+    steps: [{ levels: [level('preset')], hold: 1, fade: 0 }],
+    stagger: 0.6,
+    pulse: { amount: 0.2, period: 4 },
+  },
+  landmarkSummer: {
+    label: 'Landmark Light (summer)',
+    steps: [{ levels: [level(new THREE.Color(0xfff1dc))], hold: 1, fade: 0 }],
+    stagger: 0.6,
+    pulse: { amount: 0.15, period: 4 },
+  },
+  diamondVeil: {
+    label: 'Diamond Veil',
+    // seven colors rolling up the tower
+    steps: [
+      [0xe4007f, 0xf39800, 0xfff100, 0x8fc31f],
+      [0x009944, 0x00a0e9, 0x1d2088, 0xe4007f],
+      [0xf39800, 0xfff100, 0x8fc31f, 0x009944],
+      [0x00a0e9, 0x1d2088, 0xe4007f, 0xf39800],
+      [0xfff100, 0x8fc31f, 0x009944, 0x00a0e9],
+      [0x1d2088, 0xe4007f, 0xf39800, 0xfff100],
+      [0x8fc31f, 0x009944, 0x00a0e9, 0x1d2088],
+    ].map((colors) => ({ levels: colors.map((c) => level(new THREE.Color(c))), hold: 2.5, fade: 1.5 })),
+    stagger: 0.35,
+  },
+  sakura: {
+    label: 'Sakura',
+    steps: [
+      { levels: [level(new THREE.Color(0xff8fb8)), level(new THREE.Color(0xffb7d0))], hold: 5, fade: 3 },
+      { levels: [level(new THREE.Color(0xffb7d0)), level(new THREE.Color(0xffffff), 0.8)], hold: 5, fade: 3 },
+    ],
+    stagger: 0.8,
+  },
+  christmas: {
+    label: 'Christmas',
+    steps: [
+      { levels: [level(new THREE.Color(0x008c3a)), level(new THREE.Color(0xd0021b)), level(new THREE.Color(0xffffff), 0.9)], hold: 3, fade: 0.5 },
+      { levels: [level(new THREE.Color(0xd0021b)), level(new THREE.Color(0xffffff), 0.9), level(new THREE.Color(0x008c3a))], hold: 3, fade: 0.5 },
+      { levels: [level(new THREE.Color(0xffffff), 0.9), level(new THREE.Color(0x008c3a)), level(new THREE.Color(0xd0021b))], hold: 3, fade: 0.5 },
+    ],
+    stagger: 0.2,
+  },
+};
+
+export const TOWER_SCHEDULE = [
+  { program: 'christmas', months: [12], from: 17, to: 24 },
+  { program: 'diamondVeil', weekdays: [6], from: 20, to: 22 },
+  { program: 'sakura', months: [3, 4] },
+  { program: 'landmarkSummer', months: [7, 8, 9] },
+  { program: 'landmark' },
+];
+
+// seconds to crossfade when the program changes
+const PROGRAM_FADE = 2.0;
+
+function inHours(hour, from = 0, to = 24) {
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+/**
+ * First schedule entry matching a moment
+ * @param {object[]} schedule - Entries as in TOWER_SCHEDULE
+ * @param {object} when
+ * @param {number} when.hour - Local hours 0..24
+ * @param {number} when.month - 1..12
+ * @param {number} when.weekday - 0 (Sunday)..6
+ * @returns {string|null} Program name
+ */
+export function scheduledProgram(schedule, { hour, month, weekday }) {
+  for (const entry of schedule) {
+    if (entry.months && !entry.months.includes(month)) continue;
+    if (entry.weekdays && !entry.weekdays.includes(weekday)) continue;
+    if (!inHours(hour, entry.from, entry.to)) continue;
+    return entry.program;
+  }
+  return null;
+}
+
+function stepLevel(step, i) {
+  return step.levels[Math.min(i, step.levels.length - 1)];
+}
+
+function levelDelay(program, i) {
+  const { stagger = 0 } = program;
+  return Array.isArray(stagger) ? (stagger[Math.min(i, stagger.length - 1)] ?? 0) : stagger * i;
+}
+
+/**
+ * Colors and intensities of a program at a moment
+ * @param {object} program - From TOWER_PROGRAMS
+ * @param {number} time - Seconds into the program
+ * @param {THREE.Color} presetColor - Used for "preset" levels
+ * @param {object[]} out - Written to: [{ color, intensity }], MAX_TOWER_LEVELS entries
+ * @returns {object[]} out
+ */
+export function sampleProgram(program, time, presetColor, out = []) {
+  const { steps, pulse } = program;
+  const cycle = steps.reduce((sum, s) => sum + s.hold + s.fade, 0);
+
+  for (let i = 0; i < MAX_TOWER_LEVELS; i++) {
+    const o = (out[i] ??= { color: new THREE.Color(), intensity: 0 });
+    const t = time - levelDelay(program, i);
+    let local = cycle > 0 ? ((t % cycle) + cycle) % cycle : 0;
+
+    let s = 0;
+    while (s < steps.length - 1 && local >= steps[s].hold + steps[s].fade) {
+      local -= steps[s].hold + steps[s].fade;
+      s++;
+    }
+    const step = steps[s];
+    const fadeT = step.fade > 0 ? THREE.MathUtils.clamp((local - step.hold) / step.fade, 0, 1) : 0;
+    const a = stepLevel(step, i);
+    const b = stepLevel(steps[(s + 1) % steps.length], i);
+
+    o.color.copy(a.color === 'preset' ? presetColor : a.color)
+      .lerp(b.color === 'preset' ? presetColor : b.color, fadeT);
+    o.intensity = lerp(a.intensity, b.intensity, fadeT);
+
+    if (pulse) o.intensity *= 1 - pulse.amount * (0.5 + 0.5 * Math.sin((2 * Math.PI * t) / pulse.period));
+  }
+  return out;
+}
+
+// ---------- JSON ----------
+
+function isNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function parseLevel(v, where, errors) {
+  const spec = typeof v === 'object' && v !== null && !Array.isArray(v) ? v : { color: v };
+  const { color, intensity = 1 } = spec;
+
+  let parsed = null;
+  if (color === 'preset') parsed = 'preset';
+  else if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) parsed = new THREE.Color(color);
+  else errors.push(`${where}: color must be "#rrggbb" or "preset"`);
+
+  if (!(isNumber(intensity) && intensity >= 0)) errors.push(`${where}.intensity: must be a number >= 0`);
+  return level(parsed, intensity);
+}
+
+/**
+ * Build a program from plain JSON (colors as "#rrggbb")
+ * @param {object} json - Program fields
+ * @param {string} name - Used in error messages
+ * @returns {object} Program with THREE.Color levels
+ * @throws {Error} Listing every invalid field
+ */
+export function programFromJSON(json, name = 'program') {
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    throw new Error(`[TowerPrograms] ${name}: must be an object`);
+  }
+
+  const errors = [];
+  const program = { label: json.label ?? name, steps: [] };
+
+  if (json.label !== undefined && typeof json.label !== 'string') errors.push(`${name}.label: must be a string`);
+
+  if (!Array.isArray(json.steps) || json.steps.length === 0) {
+    errors.push(`${name}.steps: must be a non-empty array`);
+  } else {
+    json.steps.forEach((step, s) => {
+      const where = `${name}.steps[${s}]`;
+      if (!Array.isArray(step?.levels) || step.levels.length === 0 || step.levels.length > MAX_TOWER_LEVELS) {
+        errors.push(`${where}.levels: must be an array of 1..${MAX_TOWER_LEVELS} levels`);
+        return;
+      }
+      const { hold = 1, fade = 0 } = step;
+      if (!(isNumber(hold) && hold >= 0)) errors.push(`${where}.hold: must be seconds >= 0`);
+      if (!(isNumber(fade) && fade >= 0)) errors.push(`${where}.fade: must be seconds >= 0`);
+      program.steps.push({
+        levels: step.levels.map((v, i) => parseLevel(v, `${where}.levels[${i}]`, errors)),
+        hold,
+        fade,
+      });
+    });
+  }
+
+  const { stagger } = json;
+  if (stagger !== undefined) {
+    if (isNumber(stagger) || (Array.isArray(stagger) && stagger.length && stagger.every(isNumber))) program.stagger = stagger;
+    else errors.push(`${name}.stagger: must be seconds, or an array of seconds per level`);
+  }
+
+  const { pulse } = json;
+  if (pulse !== undefined) {
+    if (isNumber(pulse?.amount) && pulse.amount >= 0 && pulse.amount <= 1 && isNumber(pulse?.period) && pulse.period > 0) {
+      program.pulse = { amount: pulse.amount, period: pulse.period };
+    } else {
+      errors.push(`${name}.pulse: must be { amount: 0..1, period: seconds > 0 }`);
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`[TowerPrograms] invalid program\n  ${errors.join('\n  ')}`);
+  }
+  return program;
+}
+
+/**
+ * Validate schedule entries against the known programs
+ * @param {*} json - Raw schedule
+ * @param {object} programs - Name -> program
+ * @returns {string[]} Error messages, empty when the schedule is valid
+ */
+export function validateSchedule(json, programs = TOWER_PROGRAMS) {
+  if (!Array.isArray(json)) return ['schedule: must be an array'];
+
+  const errors = [];
+  json.forEach((entry, i) => {
+    const where = `schedule[${i}]`;
+    if (!programs[entry?.program]) errors.push(`${where}.program: unknown program ${JSON.stringify(entry?.program)}`);
+    if (entry?.months !== undefined && !(Array.isArray(entry.months) && entry.months.every((m) => Number.isInteger(m) && m >= 1 && m <= 12))) {
+      errors.push(`${where}.months: must be an array of 1..12`);
+    }
+    if (entry?.weekdays !== undefined && !(Array.isArray(entry.weekdays) && entry.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      errors.push(`${where}.weekdays: must be an array of 0 (Sunday)..6`);
+    }
+    for (const k of ['from', 'to']) {
+      if (entry?.[k] !== undefined && !(isNumber(entry[k]) && entry[k] >= 0 && entry[k] <= 24)) {
+        errors.push(`${where}.${k}: must be hours 0..24`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Fetch a program file ({ "programs": { name: {...} }, "schedule": [...] }) and register it
+ * Invalid programs are logged and skipped; a valid schedule replaces the built-in one.
+ * @param {string} url - e.g. /tower/example.json
+ * @returns {Promise<string[]>} Program names registered
+ */
+export async function loadTowerProgramFile(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`[TowerPrograms] failed to fetch ${url} (${res.status})`);
+  const json = await res.json();
+
+  const names = [];
+  for (const [name, data] of Object.entries(json.programs ?? {})) {
+    try {
+      TOWER_PROGRAMS[name] = programFromJSON(data, name);
+      names.push(name);
+    } catch (err) {
+      console.error(`${url}:`, err.message);
+    }
+  }
+
+  if (json.schedule !== undefined) {
+    const errors = validateSchedule(json.schedule);
+    if (errors.length) console.error(`${url}: schedule ignored\n  ${errors.join('\n  ')}`);
+    else TOWER_SCHEDULE.splice(0, TOWER_SCHEDULE.length, ...json.schedule);
+  }
+  return names;
+}
+
+/**
+ * Emissive color per tower level, blended by height over the tower's materials
+ * @param {number[]} heights - World y of each rig level, bottom to top
+ */
+export function createTowerGradient(heights) {
+  const uniforms = {
+    uTowerLevelY: { value: Array.from({ length: MAX_TOWER_LEVELS }, (_, i) => heights[Math.min(i, heights.length - 1)]) },
+    uTowerLevelColor: { value: Array.from({ length: MAX_TOWER_LEVELS }, () => new THREE.Color()) },
+    uTowerLevelCount: { value: Math.min(heights.length, MAX_TOWER_LEVELS) },
+  };
+
+  /**
+   * Multiply a material's emissive by the level colors (set emissive to white)
+   * @param {THREE.Material} material
+   */
+  function enhance(material) {
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, uniforms);
+
+      shader.vertexShader = 'varying float vTowerY;\n' + shader.vertexShader.replace(
+        '#include <worldpos_vertex>',
+        `#include <worldpos_vertex>
+        vTowerY = (modelMatrix * vec4(transformed, 1.0)).y;`
+      );
+      shader.fragmentShader = `
+        uniform float uTowerLevelY[${MAX_TOWER_LEVELS}];
+        uniform vec3 uTowerLevelColor[${MAX_TOWER_LEVELS}];
+        uniform int uTowerLevelCount;
+        varying float vTowerY;
+
+        // each level's color takes over on the way up to its height
+        vec3 towerLevelColor(float y) {
+          vec3 color = uTowerLevelColor[0];
+          for (int i = 1; i < ${MAX_TOWER_LEVELS}; i++) {
+            if (i >= uTowerLevelCount) break;
+            color = mix(color, uTowerLevelColor[i], smoothstep(uTowerLevelY[i - 1], uTowerLevelY[i], y));
+          }
+          return color;
+        }
+      ` + shader.fragmentShader.replace(
+        '#include <emissivemap_fragment>',
+        `#include <emissivemap_fragment>
+        totalEmissiveRadiance *= towerLevelColor(vTowerY);`
+      );
+    };
+    material.needsUpdate = true;
+  }
+
+  /**
+   * @param {object[]} levels - Sequencer output ({ color, intensity } per level)
+   */
+  function update(levels) {
+    uniforms.uTowerLevelColor.value.forEach((c, i) => c.copy(levels[i].color).multiplyScalar(levels[i].intensity));
+  }
+
+  return { enhance, update };
+}
+
+/**
+ * Create the sequencer: follows the schedule unless a program is picked by hand, and
+ * crossfades whenever the program changes
+ * @param {object} options
+ * @param {object} options.programs - Name -> program
+ * @param {object[]} options.schedule - Schedule entries
+ */
+export function createTowerSequencer({ programs = TOWER_PROGRAMS, schedule = TOWER_SCHEDULE } = {}) {
+  let manual = null;       // program picked by hand, null = follow the schedule
+  let active = null;
+  let changedAt = 0;
+  const levels = [];
+  const previous = [];     // levels at the moment of the last change
+  const next = [];
+
+  /**
+   * Pick a program by hand, or go back to the schedule
+   * @param {string|null} name
+   */
+  function use(name) {
+    if (name !== null && !programs[name]) {
+      console.warn(`[Tower] unknown program "${name}"`);
+      return;
+    }
+    manual = name;
+  }
+
+  /**
+   * Advance to `time` and return the level states
+   * @param {object} frame
+   * @param {number} frame.time - Scene seconds
+   * @param {number} frame.hour - Local hours
+   * @param {object} frame.calendar - { month, weekday } (simClock.calendar())
+   * @param {THREE.Color} frame.presetColor - The lighting preset's towerColor
+   * @returns {object[]} [{ color, intensity }] bottom to top, MAX_TOWER_LEVELS entries
+   */
+  function update({ time, hour, calendar, presetColor }) {
+    const name = manual ?? scheduledProgram(schedule, { hour, ...calendar }) ?? 'landmark';
+    if (name !== active) {
+      if (active) {
+        levels.forEach((l, i) => {
+          previous[i] ??= { color: new THREE.Color(), intensity: 0 };
+          previous[i].color.copy(l.color);
+          previous[i].intensity = l.intensity;
+        });
+      }
+      console.log(`[Tower] program: ${programs[name].label}${manual ? '' : ' (scheduled)'}`);
+      active = name;
+      changedAt = time;
+    }
+
+    sampleProgram(programs[active], time - changedAt, presetColor, next);
+    const fadeT = previous.length ? THREE.MathUtils.clamp((time - changedAt) / PROGRAM_FADE, 0, 1) : 1;
+
+    for (let i = 0; i < MAX_TOWER_LEVELS; i++) {
+      const l = (levels[i] ??= { color: new THREE.Color(), intensity: 0 });
+      const from = previous[i] ?? next[i];
+      l.color.copy(from.color).lerp(next[i].color, fadeT);
+      l.intensity = lerp(from.intensity, next[i].intensity, fadeT);
+    }
+    return levels;
+  }
+
+  return {
+    use,
+    update,
+    get active() { return active; },
+    get label() { return active ? programs[active].label : null; },
+    /** @returns {string|null} Program picked by hand, null while following the schedule */
+    get manual() { return manual; },
+    get names() { return Object.keys(programs); },
+    get levels() { return levels; },
+  };
+}
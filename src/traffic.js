@@ -0,0 +1,268 @@
+// Street traffic: instanced cars driving along road splines (the city's streets, the bridge
+// decks and any roads a manifest lists), keeping left as in Tokyo, with head- and taillights
+// that bloom after dark. In trail mode the cars disappear and their lights draw long-exposure
+// streaks over the last few seconds of their way. Everything follows scene time.
+import * as THREE from 'three';
+
+// Used for anything a manifest's `traffic` block leaves out
+export const TRAFFIC_DEFAULTS = {
+  streets: true,          // cars on the city's streets
+  bridges: true,          // ... and across every bridge deck
+  roads: [],              // more roads: { path: [[x, z] or [x, y, z], ...], closed }
+  lanes: 1,               // lanes each way
+  laneWidth: 3.2,         // metres
+  density: 0.8,           // cars per 100 m of lane
+  speed: 12,              // metres per second, about 43 km/h
+  trails: false,          // start with light trails on
+  exposure: 3,            // seconds of driving each trail shows
+};
+
+// car body (metres) and where its lamps sit on it; the front is local -z like the boats
+const CAR = { length: 4.4, width: 1.8, height: 1.45 };
+const LAMPS = [
+  { x: -0.65, y: 0.7, z: -2.2, head: true },
+  { x: 0.65, y: 0.7, z: -2.2, head: true },
+  { x: -0.65, y: 0.8, z: 2.2, head: false },
+  { x: 0.65, y: 0.8, z: 2.2, head: false },
+];
+const BODY_COLORS = [0xf2f2f0, 0x1b1c1e, 0x9ea3a8, 0x5d6166, 0x7d1a1a, 0x1f3552, 0xd8d2c4, 0xe8c547];
+const HEADLIGHT = new THREE.Color(1.0, 0.92, 0.78);
+const TAILLIGHT = new THREE.Color(1.0, 0.08, 0.04);
+// points along each light trail, and its width (metres)
+const TRAIL_SAMPLES = 12;
+const TRAIL_WIDTH = 0.45;
+
+/**
+ * Fill in a manifest `traffic` block with the defaults
+ * @param {object} traffic - Possibly partial config
+ * @returns {object} Complete config
+ */
+export function trafficConfig(traffic = {}) {
+  return { ...TRAFFIC_DEFAULTS, ...traffic };
+}
+
+/**
+ * Metres left of the road's centre line for a lane (cars keep left)
+ * @param {number} lane - 0 is the lane next to the centre line
+ * @param {number} laneWidth - Metres
+ * @returns {number}
+ */
+export function laneOffset(lane, laneWidth) {
+  return (lane + 0.5) * laneWidth;
+}
+
+/**
+ * How far along a road a car has driven, in its own direction of travel
+ * @param {number} time - Scene seconds
+ * @param {object} car - { start (metres), speed }
+ * @param {number} length - Road length (metres)
+ * @returns {number} Metres from where the car's direction of travel starts (0..length)
+ */
+export function carDistance(time, { start, speed }, length) {
+  return (((start + speed * time) % length) + length) % length;
+}
+
+/**
+ * A road as a curve: straight between two points, a centripetal spline through more
+ * @param {number[][]} points - [x, y, z] points
+ * @param {boolean} closed - Loops back to the first point
+ * @returns {THREE.Curve}
+ */
+export function roadCurve(points, closed = false) {
+  const vectors = points.map((p) => new THREE.Vector3(...p));
+  if (vectors.length === 2 && !closed) return new THREE.LineCurve3(...vectors);
+  return new THREE.CatmullRomCurve3(vectors, closed, 'centripetal');
+}
+
+/**
+ * Create the traffic
+ * @param {object} options
+ * @param {object[]} options.roads - { points: [[x, y, z], ...], closed } per road
+ * @param {Function} options.random - Seeded 0..1 source for spacing, speeds and colors
+ * @param {object} options.config - trafficConfig() result
+ * @returns {object} { object (add to the scene), bodies, lamps, trails, cars, update }
+ */
+export function createTraffic({ roads, random = Math.random, config = trafficConfig() }) {
+  const cars = [];
+  const curves = roads.map(({ points, closed = false }) => {
+    const curve = roadCurve(points, closed);
+    return { curve, closed, length: curve.getLength() };
+  });
+
+  // cars on every lane both ways, roughly evenly spaced, one speed per lane
+  curves.forEach((road, r) => {
+    for (const direction of [1, -1]) {
+      for (let lane = 0; lane < config.lanes; lane++) {
+        const count = Math.floor((road.length * config.density) / 100);
+        const speed = config.speed * (0.8 + 0.4 * random());
+        const gap = road.length / Math.max(count, 1);
+        for (let i = 0; i < count; i++) {
+          cars.push({
+            road: r,
+            direction,
+            offset: laneOffset(lane, config.laneWidth),
+            start: (i + 0.7 * random()) * gap,
+            speed,
+            color: BODY_COLORS[Math.floor(random() * BODY_COLORS.length)],
+          });
+        }
+      }
+    }
+  });
+
+  const object = new THREE.Group();
+  object.name = 'traffic';
+
+  const bodies = new THREE.InstancedMesh(
+    new THREE.BoxGeometry(CAR.width, CAR.height, CAR.length).translate(0, CAR.height / 2 + 0.2, 0),
+    new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.35, metalness: 0.6 }),
+    Math.max(cars.length, 1)
+  );
+  bodies.count = cars.length;
+  bodies.castShadow = true;
+  bodies.name = 'traffic:cars';
+  const color = new THREE.Color();
+  cars.forEach((car, i) => bodies.setColorAt(i, color.setHex(car.color)));
+  // cars move every frame; bounds would be stale
+  bodies.frustumCulled = false;
+  object.add(bodies);
+
+  const lampMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, toneMapped: false });
+  const lamps = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(0.18, 8, 6),
+    lampMaterial,
+    Math.max(cars.length * LAMPS.length, 1)
+  );
+  lamps.count = cars.length * LAMPS.length;
+  for (let i = 0; i < lamps.count; i++) lamps.setColorAt(i, LAMPS[i % LAMPS.length].head ? HEADLIGHT : TAILLIGHT);
+  lamps.frustumCulled = false;
+  lamps.name = 'traffic:lamps';
+  object.add(lamps);
+
+  // trails: a ribbon per car for its headlights and one for its taillights
+  const ribbons = cars.length * 2;
+  const positions = new Float32Array(ribbons * TRAIL_SAMPLES * 2 * 3);
+  const colors = new Float32Array(positions.length);
+  const index = [];
+  for (let r = 0; r < ribbons; r++) {
+    const base = r * TRAIL_SAMPLES * 2;
+    for (let s = 0; s + 1 < TRAIL_SAMPLES; s++) {
+      const a = base + s * 2;
+      index.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+    }
+    // bright at the car, fading a little toward the start of the exposure
+    const tint = r % 2 === 0 ? HEADLIGHT : TAILLIGHT;
+    for (let s = 0; s < TRAIL_SAMPLES; s++) {
+      const fade = 1 - 0.4 * (s / (TRAIL_SAMPLES - 1));
+      for (let side = 0; side < 2; side++) {
+        colors.set([tint.r * fade, tint.g * fade, tint.b * fade], (base + s * 2 + side) * 3);
+      }
+    }
+  }
+  const trailGeometry = new THREE.BufferGeometry();
+  trailGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  trailGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  trailGeometry.setIndex(index);
+  const trailMaterial = new THREE.MeshBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    side: THREE.DoubleSide,
+    toneMapped: false,
+  });
+  const trails = new THREE.Mesh(trailGeometry, trailMaterial);
+  trails.frustumCulled = false;
+  trails.visible = false;
+  trails.name = 'traffic:trails';
+  object.add(trails);
+
+  const point = new THREE.Vector3();
+  const tangent = new THREE.Vector3();
+  const left = new THREE.Vector3();
+  const side = new THREE.Vector3();
+  const toViewer = new THREE.Vector3();
+  const carMatrix = new THREE.Matrix4();
+  const lampMatrix = new THREE.Matrix4();
+  const rotation = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+  const one = new THREE.Vector3(1, 1, 1);
+  const lampOffset = new THREE.Vector3();
+
+  // where a car is `distance` metres into its trip, and which way it faces
+  function place(car, distance) {
+    const road = curves[car.road];
+    const u = THREE.MathUtils.clamp(distance / road.length, 0, 1);
+    const t = car.direction > 0 ? u : 1 - u;
+    road.curve.getPointAt(t, point);
+    road.curve.getTangentAt(t, tangent).multiplyScalar(car.direction);
+    tangent.y = 0;
+    tangent.normalize();
+    left.set(tangent.z, 0, -tangent.x);
+    return point.addScaledVector(left, car.offset);
+  }
+
+  function updateCars(time) {
+    cars.forEach((car, i) => {
+      const position = place(car, carDistance(time, car, curves[car.road].length));
+      rotation.setFromAxisAngle(up, Math.atan2(-tangent.x, -tangent.z));
+      carMatrix.compose(position, rotation, one);
+      bodies.setMatrixAt(i, carMatrix);
+      LAMPS.forEach((lamp, j) => {
+        lampOffset.set(lamp.x, lamp.y, lamp.z);
+        lampMatrix.makeTranslation(lampOffset).premultiply(carMatrix);
+        lamps.setMatrixAt(i * LAMPS.length + j, lampMatrix);
+      });
+    });
+    bodies.instanceMatrix.needsUpdate = true;
+    lamps.instanceMatrix.needsUpdate = true;
+  }
+
+  function updateTrails(time, viewer) {
+    cars.forEach((car, i) => {
+      const road = curves[car.road];
+      const now = carDistance(time, car, road.length);
+      for (let end = 0; end < 2; end++) {
+        const lamp = LAMPS[end === 0 ? 0 : 2];
+        const base = (i * 2 + end) * TRAIL_SAMPLES * 2;
+        for (let s = 0; s < TRAIL_SAMPLES; s++) {
+          let distance = now - lamp.z - car.speed * config.exposure * (s / (TRAIL_SAMPLES - 1));
+          // open roads: the trail starts where the car came onto the road
+          if (!road.closed) distance = Math.max(distance, 0);
+          else distance = ((distance % road.length) + road.length) % road.length;
+          const p = place(car, distance);
+          p.y += lamp.y;
+          // a ribbon turned toward the viewer
+          toViewer.subVectors(viewer, p);
+          side.crossVectors(tangent, toViewer).normalize().multiplyScalar(TRAIL_WIDTH / 2);
+          positions.set([p.x - side.x, p.y - side.y, p.z - side.z, p.x + side.x, p.y + side.y, p.z + side.z], (base + s * 2) * 3);
+        }
+      }
+    });
+    trailGeometry.attributes.position.needsUpdate = true;
+  }
+
+  /**
+   * Per-frame update
+   * @param {object} frame
+   * @param {number} frame.time - Scene seconds
+   * @param {number} frame.night - 0..1
+   * @param {number} frame.sunset - 0..1
+   * @param {boolean} frame.trails - Show light trails instead of cars
+   * @param {THREE.Vector3} frame.viewer - Camera position, the trails face it
+   */
+  function update({ time, night, sunset, trails: showTrails, viewer }) {
+    // lights on from dusk, bright enough (HDR) to bloom at night
+    const level = Math.min(1, night + sunset * 0.5);
+    lampMaterial.color.setScalar(0.6 + 5.4 * level);
+    trailMaterial.color.setScalar(3.0 * level);
+
+    bodies.visible = !showTrails;
+    lamps.visible = !showTrails;
+    trails.visible = showTrails && level > 0.01;
+    if (showTrails) updateTrails(time, viewer);
+    else updateCars(time);
+  }
+
+  return { object, bodies, lamps, trails, cars, update };
+}
@@ -0,0 +1,288 @@
+// Weather: GPU rain / snow particles, wet surfaces, cloud cover and rain ripples on the water
+import * as THREE from 'three';
+import { randomStream } from './random.js';
+
+// waves scales the ocean's wave height (and the boats' swell)
+export const WEATHER_PRESETS = {
+  clear:  { clouds: 0.0,  rain: 0.0, snow: 0.0, waves: 1.0 },
+  cloudy: { clouds: 0.75, rain: 0.0, snow: 0.0, waves: 1.4 },
+  rain:   { clouds: 0.85, rain: 0.6, snow: 0.0, waves: 1.9 },
+  storm:  { clouds: 1.0,  rain: 1.0, snow: 0.0, waves: 3.2 },
+  snow:   { clouds: 0.8,  rain: 0.0, snow: 0.8, waves: 1.2 },
+};
+
+const CHANGE_TIME = 4.0;    // seconds for clouds / precipitation to settle
+const WET_TIME = 8.0;       // seconds for surfaces to get wet
+const DRY_TIME = 30.0;      // seconds for surfaces to dry
+
+const BOX = new THREE.Vector3(500, 220, 500);   // particle volume around the camera
+
+const PARTICLE_VERTEX = `
+  precision highp float;
+
+  attribute float aSeed;
+
+  uniform float uTime;
+  uniform float uSpeed;
+  uniform float uSize;
+  uniform float uSway;
+  uniform float uPixelRatio;
+  uniform vec3 uCenter;
+  uniform vec3 uBox;
+  uniform vec2 uWind;
+
+  varying float vSeed;
+
+  void main(){
+    vSeed = aSeed;
+
+    float fall = uTime * uSpeed * (0.8 + 0.4 * aSeed);
+    vec3 p = position;
+
+    // drift with the wind and sway, then wrap into a box centered on the camera
+    p.xz += uWind * fall / uSpeed;
+    p.x += sin(uTime * 1.3 + aSeed * 40.0) * uSway;
+    p.z += cos(uTime * 1.1 + aSeed * 70.0) * uSway;
+    p.xz = mod(p.xz - uCenter.xz + uBox.xz * 0.5, uBox.xz) + uCenter.xz - uBox.xz * 0.5;
+    p.y = mod(p.y - fall, uBox.y) + max(uCenter.y - uBox.y * 0.5, 0.0);
+
+    vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+    gl_PointSize = min(uSize * uPixelRatio * (300.0 / max(-mvPosition.z, 1.0)), 64.0);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const RAIN_FRAGMENT = `
+  precision highp float;
+
+  uniform float uOpacity;
+  uniform vec3 uColor;
+
+  varying float vSeed;
+
+  void main(){
+    // thin vertical streak
+    vec2 pc = gl_PointCoord - 0.5;
+    float streak = 1.0 - smoothstep(0.02, 0.06, abs(pc.x));
+    float along = 1.0 - smoothstep(0.2, 0.5, abs(pc.y));
+    float alpha = streak * along * uOpacity * (0.4 + 0.6 * vSeed);
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+const SNOW_FRAGMENT = `
+  precision highp float;
+
+  uniform float uOpacity;
+  uniform vec3 uColor;
+
+  varying float vSeed;
+
+  void main(){
+    float d = length(gl_PointCoord - 0.5);
+    float alpha = (1.0 - smoothstep(0.15, 0.5, d)) * uOpacity * (0.5 + 0.5 * vSeed);
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+function createParticles(name, count, fragmentShader, { speed, size, sway }, pixelRatio) {
+  const random = randomStream(`weather.${name}`);
+  const pos = new Float32Array(count * 3);
+  const seeds = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    pos[i * 3 + 0] = random() * BOX.x;
+    pos[i * 3 + 1] = random() * BOX.y;
+    pos[i * 3 + 2] = random() * BOX.z;
+    seeds[i] = random();
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+  geo.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+
+  const mat = new THREE.ShaderMaterial({
+    transparent: true,
+    depthWrite: false,
+    uniforms: {
+      uTime: { value: 0.0 },
+      uSpeed: { value: speed },
+      uSize: { value: size },
+      uSway: { value: sway },
+      uPixelRatio: { value: pixelRatio },
+      uCenter: { value: new THREE.Vector3() },
+      uBox: { value: BOX.clone() },
+      uWind: { value: new THREE.Vector2(6, 2) },
+      uOpacity: { value: 0.0 },
+      uColor: { value: new THREE.Color(0xffffff) },
+    },
+    vertexShader: PARTICLE_VERTEX,
+    fragmentShader,
+  });
+
+  const points = new THREE.Points(geo, mat);
+  points.frustumCulled = false;
+  points.visible = false;
+  points.renderOrder = 500;
+  return points;
+}
+
+// ripple rings injected into the Water shader's surface normal
+function addRainRipples(water, uniforms) {
+  const previous = water.material.onBeforeCompile;
+  water.material.onBeforeCompile = (shader, renderer) => {
+    previous.call(water.material, shader, renderer);
+    shader.uniforms.uRain = uniforms.uRain;
+    shader.uniforms.uRainTime = uniforms.uRainTime;
+
+    shader.fragmentShader = `
+      uniform float uRain;
+      uniform float uRainTime;
+
+      // one drop per cell, rings expand and fade over its cycle
+      vec2 rainRipple(vec2 p, float t) {
+        vec2 cell = floor(p);
+        float h = fract(sin(dot(cell, vec2(127.1, 311.7))) * 43758.5453);
+        vec2 center = vec2(fract(h * 17.0), fract(h * 53.0)) * 0.6 + 0.2;
+        vec2 d = fract(p) - center;
+        float r = length(d);
+        float phase = fract(t * 0.9 + h);
+        float radius = phase * 0.35;
+        float ring = sin((r - radius) * 60.0) * (1.0 - smoothstep(0.0, 0.06, abs(r - radius))) * (1.0 - phase);
+        return r > 0.0001 ? d / r * ring : vec2(0.0);
+      }
+    ` + shader.fragmentShader;
+
+    shader.fragmentShader = shader.fragmentShader.replace(
+      'vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );',
+      `
+      vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );
+      if (uRain > 0.01) {
+        vec2 ripple = rainRipple(worldPosition.xz * 0.35, uRainTime)
+                    + rainRipple(worldPosition.xz * 0.35 + 17.3, uRainTime * 1.3 + 0.5);
+        surfaceNormal = normalize(surfaceNormal + vec3(ripple.x, 0.0, ripple.y) * uRain * 0.8);
+      }
+      `
+    );
+  };
+  water.material.needsUpdate = true;
+}
+
+/**
+ * Create the weather layer
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera - Particles follow it
+ * @param {Water} options.water - Gets rain ripples and extra distortion
+ * @param {number} options.pixelRatio - Renderer pixel ratio for particle sizes
+ */
+export function createWeather({ scene, camera, water, pixelRatio = 1 }) {
+  const state = { clouds: 0, rain: 0, snow: 0, waves: 1, wetness: 0 };
+  const target = { ...WEATHER_PRESETS.clear };
+  let name = 'clear';
+
+  const rain = createParticles('rain', 14000, RAIN_FRAGMENT, { speed: 160, size: 3.0, sway: 0.0 }, pixelRatio);
+  const snow = createParticles('snow', 8000, SNOW_FRAGMENT, { speed: 12, size: 1.2, sway: 1.5 }, pixelRatio);
+  scene.add(rain, snow);
+
+  const rippleUniforms = { uRain: { value: 0.0 }, uRainTime: { value: 0.0 } };
+  let baseDistortion = water.material.uniforms['distortionScale'].value;
+  addRainRipples(water, rippleUniforms);
+
+  // materials that darken and get glossy when wet
+  const surfaces = [];
+  let appliedWetness = 0;
+
+  function applyWetness(entry, w) {
+    const { material: m, color, roughness } = entry;
+    m.color.copy(color).multiplyScalar(1.0 - 0.45 * w);
+    m.roughness = THREE.MathUtils.lerp(roughness, roughness * 0.2, w);
+  }
+
+  /**
+   * Track a material for wet-surface darkening and reflections (call once at load time)
+   * @param {THREE.Material} material - MeshStandardMaterial / MeshPhysicalMaterial
+   */
+  function registerSurface(material) {
+    if (!material?.color || material.roughness === undefined) return;
+    if (material.userData.weatherSurface) return;
+    material.userData.weatherSurface = true;
+
+    const entry = { material, color: material.color.clone(), roughness: material.roughness };
+    surfaces.push(entry);
+    if (appliedWetness > 0) applyWetness(entry, appliedWetness);
+  }
+
+  /**
+   * Change the weather; it blends in over a few seconds
+   * @param {string} next - Key of WEATHER_PRESETS
+   */
+  function setWeather(next) {
+    const preset = WEATHER_PRESETS[next];
+    if (!preset) {
+      console.warn(`[Weather] unknown weather "${next}"`);
+      return;
+    }
+    name = next;
+    Object.assign(target, preset);
+    console.log(`[Weather] ${next}`);
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} delta - Seconds since last frame
+   * @param {number} time - Seconds, drives the particle animation
+   * @param {number} daylight - 0 at night .. 1 in full day, tints the particles
+   */
+  function update(delta, time, daylight) {
+    const k = 1.0 - Math.exp(-delta / CHANGE_TIME);
+    state.clouds += (target.clouds - state.clouds) * k;
+    state.rain += (target.rain - state.rain) * k;
+    state.snow += (target.snow - state.snow) * k;
+    state.waves += (target.waves - state.waves) * k;
+
+    const wetTarget = Math.max(state.rain, state.snow * 0.4);
+    const wetK = 1.0 - Math.exp(-delta / (wetTarget > state.wetness ? WET_TIME : DRY_TIME));
+    state.wetness += (wetTarget - state.wetness) * wetK;
+
+    const brightness = 0.25 + 0.6 * daylight;
+    for (const [points, amount, opacity] of [[rain, state.rain, 0.55], [snow, state.snow, 0.9]]) {
+      const u = points.material.uniforms;
+      points.visible = amount > 0.01;
+      u.uOpacity.value = amount * opacity;
+      u.uTime.value = time;
+      u.uCenter.value.copy(camera.position);
+      u.uColor.value.setScalar(brightness);
+    }
+
+    rippleUniforms.uRain.value = state.rain;
+    rippleUniforms.uRainTime.value = time;
+    water.material.uniforms['distortionScale'].value = baseDistortion + state.rain * 3.0;
+
+    if (Math.abs(state.wetness - appliedWetness) > 0.005) {
+      appliedWetness = state.wetness;
+      for (const entry of surfaces) applyWetness(entry, appliedWetness);
+    }
+  }
+
+  return {
+    state,
+    get name() { return name; },
+    // the water's ripple distortion in clear weather; rain adds to it
+    get distortion() { return baseDistortion; },
+    set distortion(value) { baseDistortion = value; },
+    setWeather,
+    registerSurface,
+    /**
+     * Particle sizes follow the renderer's pixel ratio
+     * @param {number} ratio
+     */
+    setPixelRatio(ratio) {
+      rain.material.uniforms.uPixelRatio.value = ratio;
+      snow.material.uniforms.uPixelRatio.value = ratio;
+    },
+    update,
+  };
+}
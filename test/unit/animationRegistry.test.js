@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnimationRegistry } from '../../src/animationRegistry.js';
+
+test('update calls each kind\'s animator for its registered entities only', () => {
+  const animations = createAnimationRegistry();
+  const seen = [];
+  animations.define('a', (entity, frame) => seen.push(['a', entity.id, frame.time]));
+  animations.define('b', (entity, frame) => seen.push(['b', entity.id, frame.time]));
+
+  animations.register('a', { id: 1 });
+  animations.register('b', { id: 2 });
+  animations.update({ time: 5 });
+
+  assert.deepEqual(seen, [['a', 1, 5], ['b', 2, 5]]);
+});
+
+test('unregister stops an entity from being animated', () => {
+  const animations = createAnimationRegistry();
+  let calls = 0;
+  animations.define('light', () => calls++);
+
+  const entity = animations.register('light', {});
+  animations.unregister('light', entity);
+  animations.update({});
+
+  assert.equal(calls, 0);
+  assert.deepEqual(animations.entities('light'), []);
+});
+
+test('stats report entity counts per kind', () => {
+  const animations = createAnimationRegistry();
+  animations.define('tower', () => {});
+  animations.register('tower', {});
+  animations.register('tower', {});
+  animations.update({});
+
+  const [tower] = animations.stats;
+  assert.equal(tower.kind, 'tower');
+  assert.equal(tower.count, 2);
+  assert.ok(tower.ms >= 0);
+});
+
+test('unknown or duplicate kinds throw', () => {
+  const animations = createAnimationRegistry();
+  animations.define('tower', () => {});
+  assert.throws(() => animations.define('tower', () => {}), /already defined/);
+  assert.throws(() => animations.register('boat', {}), /unknown kind "boat"/);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { beaconFlash, createBeaconRig, BEACON_MIN_HEIGHT } from '../../src/beacons.js';
+
+test('beaconFlash is on for the first part of each period, off for the rest', () => {
+  assert.equal(beaconFlash(0.25), 1);
+  assert.equal(beaconFlash(1.0), 0);
+  assert.equal(beaconFlash(1.75), 1);
+  assert.equal(beaconFlash(0), 0);
+  assert.ok(beaconFlash(0.03) > 0 && beaconFlash(0.03) < 1);
+});
+
+test('createBeaconRig skips structures below the minimum height (after scaling)', () => {
+  const group = new THREE.Group();
+  group.scale.setScalar(0.5);
+  const box = new THREE.Box3(new THREE.Vector3(-10, 0, -10), new THREE.Vector3(10, BEACON_MIN_HEIGHT * 1.9, 10));
+  assert.equal(createBeaconRig(group, box), null);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { boatConfig, pathDistance, bobbing, navLightSectors, createBoat, BOAT_DEFAULTS } from '../../src/boats.js';
+import { validateInstance } from '../../src/sceneManifest.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+const yacht = (boat) => ({ asset: '/models/a/scene.gltf', role: 'yacht', position: [0, 0, 0], boat });
+
+test('pathDistance loops closed paths and runs open ones back and forth', () => {
+  const closed = boatConfig({ speed: 10 });
+  close(pathDistance(3, closed, 100).distance, 30);
+  close(pathDistance(13, closed, 100).distance, 30);
+  close(pathDistance(0, { ...closed, start: 0.5 }, 100).distance, 50);
+
+  const open = boatConfig({ speed: 10, closed: false });
+  assert.deepEqual(pathDistance(3, open, 100), { distance: 30, direction: 1 });
+  const back = pathDistance(13, open, 100);
+  close(back.distance, 70);
+  assert.equal(back.direction, -1);
+});
+
+test('bobbing is repeatable, bounded and still at bob = 0', () => {
+  assert.deepEqual(bobbing(4.2, 0.3, 1), bobbing(4.2, 0.3, 1));
+  assert.notDeepEqual(bobbing(4.2, 0.3, 1), bobbing(4.2, 0.7, 1));
+  for (let t = 0; t < 30; t += 0.25) {
+    const { heave, roll } = bobbing(t, 0.5, 1);
+    assert.ok(Math.abs(heave) <= 0.3 + 1e-9);
+    assert.ok(Math.abs(roll) <= THREE.MathUtils.degToRad(3.5) + 1e-9);
+  }
+  const calm = bobbing(4.2, 0.3, 0);
+  assert.equal(Math.abs(calm.heave) + Math.abs(calm.roll) + Math.abs(calm.pitch), 0);
+});
+
+test('navLightSectors shows each light only from its own sector', () => {
+  assert.deepEqual(navLightSectors(60), { masthead: 1, port: 0, starboard: 1, stern: 0 });
+  assert.deepEqual(navLightSectors(-60), { masthead: 1, port: 1, starboard: 0, stern: 0 });
+  assert.deepEqual(navLightSectors(180), { masthead: 0, port: 0, starboard: 0, stern: 1 });
+  assert.deepEqual(navLightSectors(-200), navLightSectors(160));
+  // soft edges at the limits
+  const edge = navLightSectors(112.5);
+  close(edge.masthead + edge.stern, 1);
+  assert.ok(edge.starboard > 0 && edge.starboard < 1);
+});
+
+test('createBoat follows its path, bow first', () => {
+  const group = new THREE.Group();
+  group.scale.setScalar(0.01);
+  const box = new THREE.Box3(new THREE.Vector3(-200, -40, -1200), new THREE.Vector3(200, 400, 1200));
+  const boat = createBoat(group, box, { path: [[0, 0], [400, 0], [400, 400], [0, 400]], speed: 5, bob: 0 }, {
+    navigation: false,
+    random: () => 0.5,
+  });
+
+  assert.ok(boat.wake);
+  boat.update({ time: 20, night: 1, daylight: 0 });
+  // 100 m along the path, pointing along it
+  const u = 100 / boat.length;
+  const onPath = boat.path.getPointAt(u);
+  close(group.position.x, onPath.x, 1e-3);
+  close(group.position.z, onPath.z, 1e-3);
+  const bow = new THREE.Vector3(0, 0, -1).applyQuaternion(group.quaternion);
+  close(bow.dot(boat.path.getTangentAt(u)), 1, 1e-6);
+});
+
+test('validateInstance checks boat blocks', () => {
+  assert.deepEqual(validateInstance(yacht({ path: [[0, 0], [10, 0], [10, 10]], speed: 4, start: 0.5 }), 'y'), []);
+  assert.deepEqual(validateInstance(yacht({ path: [[0, 0], [10, 0]], closed: false }), 'y'), []);
+  assert.deepEqual(validateInstance(yacht(BOAT_DEFAULTS), 'y'), []);
+
+  const errors = validateInstance(yacht({ path: [[0, 0], [1, 1]], speed: -1, start: 2, wake: 'yes' }), 'y');
+  for (const field of ['y.boat.path', 'y.boat.speed', 'y.boat.start', 'y.boat.wake']) {
+    assert.ok(errors.some((e) => e.startsWith(field)), field);
+  }
+  assert.ok(validateInstance({ ...yacht({}), role: 'bridge' }, 'b')[0].startsWith('b.boat'));
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { analyzeBridge, bulbLevel, createBridgeRig } from '../../src/bridgeLights.js';
+import { validateInstance } from '../../src/sceneManifest.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+const bridge = (lights) => ({ asset: '/models/a/scene.gltf', role: 'bridge', position: [0, 0, 0], lights });
+
+function box(size, center) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size));
+  mesh.position.set(...center);
+  return mesh;
+}
+
+test('bulbLevel: steady is constant, chase runs along the span', () => {
+  assert.equal(bulbLevel('steady', 0.3, 12, 5), 1);
+
+  close(bulbLevel('chase', 0, 0, 0), 1);
+  assert.ok(bulbLevel('chase', 1 / 6, 0, 0) < 0.2);
+  // the bright band moves toward higher phases as time passes
+  close(bulbLevel('chase', 0.25 / 3, 0, 1), 1);
+});
+
+test('bulbLevel: flicker drops out now and then', () => {
+  const levels = Array.from({ length: 600 }, (_, i) => bulbLevel('flicker', 0, 7, i / 60));
+  assert.ok(levels.some((v) => v === 0));
+  assert.ok(levels.every((v) => v >= 0 && v <= 1.2));
+});
+
+test('analyzeBridge finds the deck and the cables', () => {
+  // a deck along x (top at y 12, sides at z ±5) with a tower and two cables rising to it
+  const model = new THREE.Group();
+  model.add(box([200, 2, 10], [0, 11, 0]));
+  model.add(box([4, 60, 4], [0, 30, 0]));
+  for (const z of [-4, 4]) {
+    for (let x = -90; x <= 90; x += 10) model.add(box([10, 0.5, 0.5], [x, 20 + 30 * (1 - Math.abs(x) / 100), z]));
+  }
+  const frame = new THREE.Group();
+  frame.add(model);
+
+  const shape = analyzeBridge(model, frame);
+  assert.equal(shape.axis, 'x');
+  close(shape.deckY, 12, 0.01);
+  close(shape.deckEdges[0], -5, 0.01);
+  close(shape.deckEdges[1], 5, 0.01);
+  assert.equal(shape.cables.length, 2);
+
+  // highest in the middle, lowest at the ends
+  const cable = shape.cables[0];
+  const peak = cable.reduce((a, b) => (b.y > a.y ? b : a));
+  assert.ok(Math.abs(peak.x) < 10);
+  assert.ok(cable[0].y < peak.y - 20);
+});
+
+test('createBridgeRig puts the bulbs back over the deck after the bridge moves', () => {
+  const model = new THREE.Group();
+  model.add(box([200, 2, 10], [0, 11, 0]));
+  const group = new THREE.Group();
+  group.add(model);
+  const rig = createBridgeRig(group, model, { cables: false, reflections: true, count: 0 });
+
+  group.position.set(500, 0, -300);
+  group.rotation.y = Math.PI / 2;
+  rig.place();
+
+  // along z now, centred on the new position, still 12 m up
+  const matrix = new THREE.Matrix4();
+  const p = new THREE.Vector3();
+  for (let i = 0; i < rig.bulbs.count; i++) {
+    rig.bulbs.getMatrixAt(i, matrix);
+    p.setFromMatrixPosition(matrix);
+    close(p.y, 12, 1e-3);
+    close(Math.abs(p.x - 500), 5, 1e-3);
+    assert.ok(Math.abs(p.z + 300) <= 100);
+  }
+  close(rig.deck.from.x, 500, 1e-3);
+  close(Math.abs(rig.deck.to.z - rig.deck.from.z), 200, 1e-3);
+  // the streaks hang from the moved bulbs
+  rig.reflections.getMatrixAt(0, matrix);
+  p.setFromMatrixPosition(matrix);
+  close(Math.abs(p.x - 500), 5, 1e-3);
+});
+
+test('validateInstance checks bridge light rigs', () => {
+  assert.deepEqual(validateInstance(bridge({ mode: 'chase', spacing: 6, cables: false, count: 0 }), 'b'), []);
+
+  const errors = validateInstance(bridge({ mode: 'disco', spacing: 0, bulbSize: -1, deck: 'yes' }), 'b');
+  for (const field of ['b.lights.mode', 'b.lights.spacing', 'b.lights.bulbSize', 'b.lights.deck']) {
+    assert.ok(errors.some((e) => e.startsWith(field)), field);
+  }
+});
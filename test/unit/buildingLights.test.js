@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WINDOW_DEFAULTS, windowConfig, hoursAfterNoon } from '../../src/buildingLights.js';
+import { validateInstance } from '../../src/sceneManifest.js';
+
+const building = (windows) => ({ asset: '/models/a/scene.gltf', role: 'building', position: [0, 0, 0], windows });
+
+test('windowConfig fills in defaults, schedule field by field', () => {
+  const config = windowConfig({ source: 'uv', schedule: { occupancy: 0.4 } });
+
+  assert.equal(config.source, 'uv');
+  assert.deepEqual(config.size, WINDOW_DEFAULTS.size);
+  assert.equal(config.schedule.occupancy, 0.4);
+  assert.deepEqual(config.schedule.on, WINDOW_DEFAULTS.schedule.on);
+});
+
+test('hoursAfterNoon keeps an evening past midnight in one range', () => {
+  assert.equal(hoursAfterNoon(12), 0);
+  assert.equal(hoursAfterNoon(18), 6);
+  assert.equal(hoursAfterNoon(2), 14);
+  assert.equal(hoursAfterNoon(26), 14);
+  assert.ok(hoursAfterNoon(23) < hoursAfterNoon(1));
+});
+
+test('validateInstance checks windows blocks', () => {
+  assert.deepEqual(validateInstance(building({ source: 'grid', size: [3, 3.5] }), 'b'), []);
+  assert.deepEqual(validateInstance(building(false), 'b'), []);
+
+  const errors = validateInstance(building({ source: 'neon', fill: [0, 2], schedule: { on: 17, occupancy: 3 } }), 'b');
+  for (const field of ['b.windows.source', 'b.windows.fill', 'b.windows.schedule.on', 'b.windows.schedule.occupancy']) {
+    assert.ok(errors.some((e) => e.startsWith(field)), field);
+  }
+  assert.ok(validateInstance({ ...building({}), role: 'tower' }, 't')[0].startsWith('t.windows'));
+});
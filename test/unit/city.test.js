@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { planCity, cityConfig, heightCap, zoneOverlaps, createCity } from '../../src/city.js';
+import { mulberry32 } from '../../src/random.js';
+import { validateManifest } from '../../src/sceneManifest.js';
+
+const small = (city) => cityConfig({ center: [0, 0], size: [600, 400], ...city });
+
+// world-aligned bounds of a planned building
+function bounds(b) {
+  const c = Math.abs(Math.cos(b.rotationY));
+  const s = Math.abs(Math.sin(b.rotationY));
+  const hx = (b.width * c + b.depth * s) / 2;
+  const hz = (b.width * s + b.depth * c) / 2;
+  return { minX: b.x - hx, maxX: b.x + hx, minZ: b.z - hz, maxZ: b.z + hz };
+}
+
+test('planCity is repeatable for a seed', () => {
+  const a = planCity(small(), { random: mulberry32(7) });
+  const b = planCity(small(), { random: mulberry32(7) });
+  const c = planCity(small(), { random: mulberry32(8) });
+  assert.ok(a.length > 50);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+});
+
+test('planCity keeps to the land, the district and clear of exclusion zones', () => {
+  const zone = { center: [0, 0], radius: 80 };
+  const box = { min: [150, -200], max: [300, 0] };
+  const buildings = planCity(small({ exclude: [zone], shoreMargin: 10 }), {
+    random: mulberry32(3),
+    isLand: (x, z) => z < 120,
+    obstacles: [box],
+  });
+  assert.ok(buildings.length > 0);
+  for (const b of buildings) {
+    const bb = bounds(b);
+    assert.ok(!zoneOverlaps(zone, bb) && !zoneOverlaps(box, bb));
+    assert.ok(bb.maxZ <= 110 + 1e-6);
+    assert.ok(Math.abs(b.x) <= 300 && Math.abs(b.z) <= 200);
+  }
+});
+
+test('heights fall off away from the centre', () => {
+  const config = small({ height: [10, 200], falloff: 100 });
+  assert.equal(heightCap(config, 0), 200);
+  assert.equal(heightCap(config, 100), 105);
+  const buildings = planCity(config, { random: mulberry32(5) });
+  for (const b of buildings) {
+    assert.ok(b.height >= 10 && b.height <= heightCap(config, Math.hypot(b.x, b.z)) + 1e-9);
+  }
+});
+
+test('planCity puts glTF buildings only where they fit', () => {
+  const models = [{ width: 20, depth: 20, height: 30 }, { width: 500, depth: 500, height: 30 }];
+  const buildings = planCity(small({ models: 1 }), { random: mulberry32(2), models });
+  const placed = buildings.filter((b) => b.model >= 0);
+  assert.ok(placed.length > 0);
+  assert.ok(placed.every((b) => b.model === 0 && b.scale >= 0.5 && b.scale <= 1));
+});
+
+test('createCity gives every building its own window frame', () => {
+  const { object, buildings } = createCity(small({ seed: 4 }), { random: Math.random });
+  const boxes = object.getObjectByName('city:boxes');
+  assert.equal(boxes.count, buildings.length);
+  const frames = boxes.geometry.attributes.aBuilding;
+  assert.equal(frames.count, buildings.length);
+  assert.ok(Math.abs(frames.getX(3) - buildings[3].x) < 1e-3);
+
+  // the instance stands on the ground at its lot
+  const matrix = new THREE.Matrix4();
+  boxes.getMatrixAt(3, matrix);
+  const base = new THREE.Vector3(0, 0, 0).applyMatrix4(matrix);
+  assert.ok(Math.abs(base.x - buildings[3].x) < 1e-4 && Math.abs(base.y) < 1e-6);
+});
+
+test('validateManifest checks the city block', () => {
+  const ok = validateManifest({ city: { size: [800, 400], exclude: [{ center: [0, 0], radius: 50 }], seed: 3 }, instances: [] });
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.city.seed, 3);
+  assert.equal(validateManifest({ instances: [] }).city, null);
+  assert.equal(validateManifest({ city: { enabled: false }, instances: [] }).city, null);
+
+  const bad = validateManifest({
+    city: { height: [50, 10], density: 2, seed: 1.5, exclude: [{ center: [0, 0] }], windows: { source: 'laser' } },
+    instances: [],
+  });
+  for (const field of ['city.height', 'city.density', 'city.seed', 'city.exclude', 'city.windows.source']) {
+    assert.ok(bad.errors.some((e) => e.startsWith(field)), field);
+  }
+  assert.equal(bad.city, null);
+});
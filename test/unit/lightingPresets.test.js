@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  LIGHTING_PRESETS,
+  ELEVATION_KEYFRAMES,
+  blendLightingState,
+  copyLightingState,
+  sampleByElevation,
+  presetFromJSON,
+  presetToJSON,
+} from '../../src/lightingPresets.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+const { day, sunset, night } = LIGHTING_PRESETS;
+
+test('blendLightingState returns the end states at t = 0 and t = 1', () => {
+  const a = blendLightingState({}, day, night, 0);
+  const b = blendLightingState({}, day, night, 1);
+
+  assert.equal(a.exposure, day.exposure);
+  assert.equal(b.exposure, night.exposure);
+  assert.equal(a.fogColor.getHex(), day.fogColor.getHex());
+  assert.equal(b.fogColor.getHex(), night.fogColor.getHex());
+});
+
+test('blendLightingState interpolates numbers and colors', () => {
+  const mid = blendLightingState({}, day, sunset, 0.5);
+
+  close(mid.sunInt, (day.sunInt + sunset.sunInt) / 2);
+  close(mid.elev, (day.elev + sunset.elev) / 2);
+  close(mid.hemiSky.r, (day.hemiSky.r + sunset.hemiSky.r) / 2);
+});
+
+test('blendLightingState takes the short way round for the sun azimuth', () => {
+  const out = blendLightingState({}, { azim: 350 }, { azim: 10 }, 0.5);
+  close(((out.azim % 360) + 360) % 360, 0);
+});
+
+test('blendLightingState keeps fields only one side sets', () => {
+  const out = blendLightingState({}, { exposure: 0.5 }, { amb: 0.2 }, 0.5);
+  assert.equal(out.exposure, 0.5);
+  assert.equal(out.amb, 0.2);
+});
+
+test('blendLightingState takes the short way round for the hour', () => {
+  close(blendLightingState({}, { hour: 22 }, { hour: 4 }, 0.5).hour, 1);
+  close(blendLightingState({}, { hour: 23 }, { hour: 1 }, 0.5).hour, 0);
+});
+
+test('blendLightingState switches the environment halfway', () => {
+  assert.equal(blendLightingState({}, day, night, 0.49).environment, day.environment);
+  assert.equal(blendLightingState({}, day, night, 0.5).environment, night.environment);
+  assert.equal(blendLightingState({}, { environment: 'day' }, {}, 1).environment, 'day');
+});
+
+test('copyLightingState clones colors', () => {
+  const copy = copyLightingState({}, day);
+  assert.notEqual(copy.fogColor, day.fogColor);
+  copy.fogColor.setHex(0xff0000);
+  assert.notEqual(day.fogColor.getHex(), 0xff0000);
+});
+
+test('sampleByElevation hits each keyframe preset exactly', () => {
+  for (const [phase, keyframes] of Object.entries(ELEVATION_KEYFRAMES)) {
+    for (const { elev, preset } of keyframes) {
+      const out = sampleByElevation(elev, {}, phase === 'morning');
+      close(out.exposure, LIGHTING_PRESETS[preset].exposure);
+      close(out.sunInt, LIGHTING_PRESETS[preset].sunInt);
+    }
+  }
+});
+
+test('sampleByElevation holds the end presets outside the keyframes', () => {
+  assert.equal(sampleByElevation(-40, {}).exposure, night.exposure);
+  assert.equal(sampleByElevation(80, {}).exposure, day.exposure);
+});
+
+test('presetToJSON / presetFromJSON round-trip', () => {
+  const json = presetToJSON(sunset);
+  const back = presetFromJSON(JSON.parse(JSON.stringify(json)), 'sunset');
+
+  close(back.exposure, sunset.exposure);
+  assert.equal(back.environment, sunset.environment);
+  assert.ok(back.fogColor instanceof THREE.Color);
+  assert.equal(back.fogColor.getHex(), sunset.fogColor.getHex());
+});
+
+test('presetFromJSON lists every invalid field', () => {
+  assert.throws(
+    () => presetFromJSON({ exposure: 'bright', fogColor: 'grey', sparkle: 1, environment: 3 }, 'bad'),
+    (err) => ['bad.exposure', 'bad.fogColor', 'bad.sparkle', 'bad.environment'].every((f) => err.message.includes(f))
+  );
+});
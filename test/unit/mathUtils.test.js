@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lerp, smoothstep, damp, kelvinToRGB } from '../../src/mathUtils.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+test('lerp hits both ends and the midpoint', () => {
+  assert.equal(lerp(2, 10, 0), 2);
+  assert.equal(lerp(2, 10, 1), 10);
+  assert.equal(lerp(2, 10, 0.5), 6);
+  assert.equal(lerp(10, 2, 0.25), 8);
+});
+
+test('smoothstep is flat at both ends and symmetric', () => {
+  assert.equal(smoothstep(0), 0);
+  assert.equal(smoothstep(1), 1);
+  assert.equal(smoothstep(0.5), 0.5);
+  close(smoothstep(0.2) + smoothstep(0.8), 1);
+});
+
+test('damp matches the per-frame factor at 60 fps and is frame-rate independent', () => {
+  assert.equal(damp(0.1, 0), 0);
+  close(damp(0.1, 1 / 60), 0.1);
+
+  // two 1/120 s frames move as far as one 1/60 s frame
+  const half = damp(0.1, 1 / 120);
+  close(1 - (1 - half) * (1 - half), 0.1);
+});
+
+test('kelvinToRGB: daylight is near white', () => {
+  const c = kelvinToRGB(6500);
+  assert.equal(c.r, 1);
+  assert.ok(c.g > 0.95 && c.b > 0.9, `got ${c.getHexString()}`);
+});
+
+test('kelvinToRGB: warm light is red > green > blue, cool light is blue-heavy', () => {
+  const warm = kelvinToRGB(2000);
+  assert.ok(warm.r > warm.g && warm.g > warm.b, `got ${warm.getHexString()}`);
+
+  const cool = kelvinToRGB(15000);
+  assert.equal(cool.b, 1);
+  assert.ok(cool.r < 1, `got ${cool.getHexString()}`);
+});
+
+test('kelvinToRGB clamps to the 1000K–40000K range', () => {
+  assert.equal(kelvinToRGB(100).getHex(), kelvinToRGB(1000).getHex());
+  assert.equal(kelvinToRGB(1e6).getHex(), kelvinToRGB(40000).getHex());
+
+  for (const k of [1000, 1900, 3200, 6600, 12000, 40000]) {
+    const { r, g, b } = kelvinToRGB(k);
+    for (const v of [r, g, b]) assert.ok(v >= 0 && v <= 1, `${k}K out of range`);
+  }
+});
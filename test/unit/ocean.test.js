@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { gerstnerWaves, gerstnerOffset, onLand, distanceField, waterlineSegments, oceanConfig } from '../../src/ocean.js';
+import { validateManifest } from '../../src/sceneManifest.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+test('gerstnerWaves scale with the weather and follow the wind', () => {
+  const config = oceanConfig({ waveHeight: 1, windDirection: [1, 0] });
+  const calm = gerstnerWaves(config, 1);
+  const storm = gerstnerWaves(config, 3);
+  close(storm[0].amplitude, calm[0].amplitude * 3);
+  close(calm[0].dir[0], 1);
+  close(calm[0].dir[1], 0);
+  // never steep enough to loop over
+  for (const waves of [calm, storm]) {
+    assert.ok(waves.reduce((sum, w) => sum + w.steepness * w.k * w.amplitude, 0) <= 1 + 1e-9);
+  }
+
+  const flat = gerstnerWaves({ ...config, waveHeight: 0 });
+  assert.deepEqual(gerstnerOffset(flat, 12, 40, 3).toArray(), [0, 0, 0]);
+});
+
+test('gerstnerOffset stays within the wave height', () => {
+  const waves = gerstnerWaves(oceanConfig({ waveHeight: 2 }));
+  const offset = new THREE.Vector3();
+  for (let t = 0; t < 20; t += 0.5) {
+    gerstnerOffset(waves, t * 7, -t * 3, t, offset);
+    assert.ok(Math.abs(offset.y) <= 1 + 1e-9);
+  }
+});
+
+test('onLand keeps the land to the left of the shoreline', () => {
+  const shoreline = [[-100, 0], [0, 10], [100, 0]];
+  assert.equal(onLand(shoreline, 0, -50), true);
+  assert.equal(onLand(shoreline, 0, 50), false);
+  // past the ends the first and last segments carry on
+  assert.equal(onLand(shoreline, -500, -100), true);
+  assert.equal(onLand(shoreline, 500, 1), false);
+  assert.equal(onLand([...shoreline].reverse(), 0, -50), false);
+});
+
+test('distanceField measures cells to the nearest seed', () => {
+  const seeds = new Uint8Array(25);
+  seeds[12] = 1;
+  const d = distanceField(seeds, 5, 5);
+  assert.equal(d[12], 0);
+  assert.equal(d[13], 1);
+  assert.equal(d[14], 2);
+  close(d[18], Math.SQRT2);
+  close(d[0], 2 * Math.SQRT2);
+});
+
+test('waterlineSegments cuts an object at the water level', () => {
+  const pillar = new THREE.Mesh(new THREE.BoxGeometry(4, 10, 4));
+  pillar.position.set(50, 3, -20);
+  const segments = waterlineSegments(pillar, 0);
+  assert.ok(segments.length >= 4);
+  for (const [ax, az, bx, bz] of segments) {
+    for (const [x, z] of [[ax, az], [bx, bz]]) {
+      assert.ok(Math.abs(x - 50) <= 2 + 1e-6 && Math.abs(z + 20) <= 2 + 1e-6);
+    }
+  }
+  assert.deepEqual(waterlineSegments(pillar, 20), []);
+});
+
+test('validateManifest checks the ocean block and falls back to the defaults', () => {
+  const ok = validateManifest({ ocean: { waveHeight: 1.2, windDirection: [1, 0], shoreline: [[0, 0], [10, 0]] }, instances: [] });
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.ocean.waveHeight, 1.2);
+  assert.deepEqual(validateManifest({ instances: [] }).ocean, {});
+
+  const bad = validateManifest({
+    ocean: { size: [0, 10], waveHeight: -1, windDirection: [0, 0], choppiness: 2, foamWidth: 0, shoreline: [[0, 0]] },
+    instances: [],
+  });
+  for (const field of ['ocean.size', 'ocean.waveHeight', 'ocean.windDirection', 'ocean.choppiness', 'ocean.foamWidth', 'ocean.shoreline']) {
+    assert.ok(bad.errors.some((e) => e.startsWith(field)), field);
+  }
+  assert.deepEqual(bad.ocean, {});
+});
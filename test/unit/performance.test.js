@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTierGovernor, spreadIndices, performanceFromURL, PERFORMANCE_TIERS, DEFAULT_TARGET_FPS } from '../../src/performance.js';
+
+const TIERS = ['low', 'medium', 'high', 'ultra'];
+
+const close = (actual, expected, eps = 0.5) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+// feed `seconds` of frames at a steady frame rate; returns the tiers stepped to
+function run(governor, fps, seconds) {
+  const steps = [];
+  for (let t = 0; t < seconds; t += 1 / fps) {
+    const next = governor.sample(1000 / fps);
+    if (next) steps.push(next);
+  }
+  return steps;
+}
+
+test('the tiers get richer upward', () => {
+  const tiers = Object.values(PERFORMANCE_TIERS);
+  for (let i = 1; i < tiers.length; i++) {
+    assert.ok(tiers[i].shadowScale >= tiers[i - 1].shadowScale);
+    assert.ok(tiers[i].pixelRatio >= tiers[i - 1].pixelRatio);
+    assert.ok(tiers[i].reflection >= tiers[i - 1].reflection);
+    assert.ok(tiers[i].pointLights >= tiers[i - 1].pointLights);
+  }
+});
+
+test('the governor steps down while slow and up after a steady stretch', () => {
+  const governor = createTierGovernor({ tiers: TIERS, tier: 'high', targetFps: 60 });
+  assert.deepEqual(run(governor, 30, 10), ['medium', 'low']);
+  assert.equal(governor.tier, 'low');
+  close(governor.fps, 30);
+
+  // at the target: one step up per probe (10 s) plus settling
+  assert.deepEqual(run(governor, 60, 14), ['medium']);
+  assert.deepEqual(run(governor, 60, 14), ['high']);
+});
+
+test('a tier that failed right after stepping up waits longer each time', () => {
+  // this machine holds 60 fps up to medium and manages 40 at high
+  const governor = createTierGovernor({ tiers: TIERS, tier: 'medium', targetFps: 60 });
+  const fpsAt = { low: 60, medium: 60, high: 40, ultra: 30 };
+  const history = [];
+  for (let t = 0; t < 120; ) {
+    const fps = fpsAt[governor.tier];
+    t += 1 / fps;
+    const next = governor.sample(1000 / fps);
+    if (next) history.push([next, Math.round(t)]);
+  }
+  // up after a 10 s steady stretch, back down, then 30 s and 60 s before trying high again
+  assert.deepEqual(history.map(([tier]) => tier), ['high', 'medium', 'high', 'medium', 'high', 'medium']);
+  const waits = [history[2][1] - history[1][1], history[4][1] - history[3][1]];
+  assert.ok(waits[0] >= 30 && waits[0] < 45, `first wait ${waits[0]} s`);
+  assert.ok(waits[1] >= 60 && waits[1] < 75, `second wait ${waits[1]} s`);
+});
+
+test('the governor ignores gaps and the settle time after a change', () => {
+  const governor = createTierGovernor({ tiers: TIERS, tier: 'high', targetFps: 60 });
+  for (let i = 0; i < 100; i++) assert.equal(governor.sample(1000), null);
+  assert.equal(governor.tier, 'high');
+
+  governor.setTier('ultra');
+  assert.equal(governor.tier, 'ultra');
+  // 1.5 s settle + one 2 s window before a slow tier can step down
+  assert.deepEqual(run(governor, 30, 3), []);
+  assert.deepEqual(run(governor, 30, 1), ['high']);
+});
+
+test('spreadIndices keeps an even, ordered subset', () => {
+  assert.deepEqual(spreadIndices(10, 5), [0, 2, 4, 6, 8]);
+  assert.deepEqual(spreadIndices(4, Infinity), [0, 1, 2, 3]);
+  assert.deepEqual(spreadIndices(4, 0), []);
+  assert.deepEqual(spreadIndices(0, 8), []);
+});
+
+test('performanceFromURL reads the override and target', () => {
+  assert.deepEqual(performanceFromURL('?perf=low&fps=30'), { override: 'low', targetFps: 30 });
+  assert.deepEqual(performanceFromURL('?perf=auto'), { override: 'auto', targetFps: DEFAULT_TARGET_FPS });
+  assert.deepEqual(performanceFromURL(''), { override: undefined, targetFps: DEFAULT_TARGET_FPS });
+  assert.deepEqual(performanceFromURL('?perf=potato&fps=-5'), { override: undefined, targetFps: DEFAULT_TARGET_FPS });
+});
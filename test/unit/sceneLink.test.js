@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSceneLink, decodeSceneLink } from '../../src/sceneLink.js';
+import { LIGHTING_PRESETS, presetToJSON, presetFromJSON } from '../../src/lightingPresets.js';
+
+test('a scene link round-trips through the URL hash', () => {
+  const state = {
+    seed: 7,
+    lighting: presetToJSON(LIGHTING_PRESETS.foggyNight),
+    camera: { mode: 'orbit', position: [120.123456, 60, -300], target: [0, 100, 0] },
+    effects: ['bloom', 'lut'],
+    lut: 'warm',
+    weather: 'rain',
+    tower: 'diamondVeil',
+    trails: true,
+  };
+  const hash = encodeSceneLink(state);
+  assert.doesNotMatch(hash, /[#%\s]/);
+
+  const { state: back, errors } = decodeSceneLink(`#${hash}`);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(back.camera, { mode: 'orbit', position: [120.12, 60, -300], target: [0, 100, 0] });
+  assert.deepEqual(back.effects, ['bloom', 'lut']);
+  for (const k of ['seed', 'lut', 'weather', 'tower', 'trails']) assert.equal(back[k], state[k], k);
+
+  // the lighting comes back as a valid preset with the same colors
+  const preset = presetFromJSON(back.lighting);
+  assert.equal(preset.fogColor.getHexString(), LIGHTING_PRESETS.foggyNight.fogColor.getHexString());
+  assert.ok(Math.abs(preset.fogDensity - LIGHTING_PRESETS.foggyNight.fogDensity) < 1e-6);
+  assert.equal(back.lighting.environment, state.lighting.environment);
+});
+
+test('decodeSceneLink reports bad parts and keeps the rest', () => {
+  assert.deepEqual(decodeSceneLink(''), { state: {}, errors: [] });
+  const { state, errors } = decodeSceneLink('#seed=1.5&cam=orbit,1,2&fx=&weather=rain&trails=yes&zoom=2&lut=%zz&light=exposure:0.5,amb:1/2');
+  assert.deepEqual(state, { effects: [], weather: 'rain', lighting: { exposure: 0.5 } });
+  for (const field of ['seed', 'cam', 'trails', 'zoom', 'lut', 'light.amb']) {
+    assert.ok(errors.some((e) => e.startsWith(field)), field);
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { validateManifest, manifestToJSON, applyMaterialOverrides, envIntensity } from '../../src/sceneManifest.js';
+import { createAnimationRegistry } from '../../src/animationRegistry.js';
+
+test('manifestToJSON round-trips a manifest with edited transforms and ocean', () => {
+  const source = {
+    ocean: { waveHeight: 1 },
+    traffic: { lanes: 2 },
+    instances: [
+      { id: 'tower', asset: '/models/tower.glb', role: 'tower', position: [0, 0, 0], lights: { levels: [{ y: 1, radius: 2, dist: 3 }] } },
+      { id: 'boat', asset: '/models/boat.glb', role: 'yacht', position: [10, 0, 200], scale: 2 },
+    ],
+  };
+  const manifest = { name: 'test', ...validateManifest(source) };
+  const json = manifestToJSON(manifest, {
+    transforms: new Map([['boat', { position: [12, 0, 210], rotationY: 1.5, scale: 3 }]]),
+    ocean: { choppiness: 0.4 },
+  });
+
+  assert.deepEqual(json.ocean, { waveHeight: 1, choppiness: 0.4 });
+  assert.deepEqual(json.traffic, { lanes: 2 });
+  assert.equal(json.city, undefined);
+  assert.deepEqual(json.instances[0].lights, source.instances[0].lights);
+  assert.equal(json.instances[0].boat, undefined);
+  assert.deepEqual(json.instances[1], {
+    id: 'boat', asset: '/models/boat.glb', role: 'yacht', position: [12, 0, 210], scale: 3, rotationY: 1.5,
+  });
+
+  // and it loads again as the same scene
+  const again = validateManifest(json);
+  assert.deepEqual(again.errors, []);
+  assert.deepEqual(again.instances[0], manifest.instances[0]);
+});
+
+test('a manifest envMapIntensity override stays a floor under the per-frame environment intensity', () => {
+  // the same animator main.js registers PBR materials with
+  const animations = createAnimationRegistry();
+  animations.define('ibl', (material, frame) => {
+    material.envMapIntensity = envIntensity(material, frame.ibl);
+  });
+
+  const boosted = new THREE.MeshStandardMaterial();
+  applyMaterialOverrides(boosted, { envMapIntensity: 1.6, roughness: 0.4 });
+  const plain = new THREE.MeshStandardMaterial();
+  animations.register('ibl', boosted);
+  animations.register('ibl', plain);
+
+  animations.update({ ibl: 0.5 });
+  assert.equal(boosted.envMapIntensity, 1.6);
+  assert.equal(boosted.roughness, 0.4);
+  assert.equal(plain.envMapIntensity, 0.5);
+
+  // a brighter preset still raises it
+  animations.update({ ibl: 2 });
+  assert.equal(boosted.envMapIntensity, 2);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  SHADOW_QUALITIES,
+  DEFAULT_SHADOW_QUALITY,
+  shadowQualityFromURL,
+  lightSpaceBounds,
+  pcssChunk,
+  cascadeChunk,
+} from '../../src/shadows.js';
+
+test('shadowQualityFromURL reads known tiers and falls back to the default', () => {
+  assert.equal(shadowQualityFromURL('?shadows=ultra'), 'ultra');
+  assert.equal(shadowQualityFromURL(''), DEFAULT_SHADOW_QUALITY);
+  assert.equal(shadowQualityFromURL('?shadows=insane'), DEFAULT_SHADOW_QUALITY);
+  assert.ok(SHADOW_QUALITIES[DEFAULT_SHADOW_QUALITY]);
+});
+
+test('lightSpaceBounds holds every transformed corner of the box', () => {
+  const box = new THREE.Box3(new THREE.Vector3(-10, 0, -5), new THREE.Vector3(20, 40, 15));
+  // a shadow camera looking down from the sun
+  const light = new THREE.OrthographicCamera();
+  light.position.set(100, 200, 50);
+  light.lookAt(0, 0, 0);
+  light.updateMatrixWorld();
+  const view = light.matrixWorldInverse;
+
+  const bounds = lightSpaceBounds(box, view);
+  const slack = bounds.clone().expandByScalar(1e-6);
+  for (const x of [box.min.x, box.max.x]) {
+    for (const y of [box.min.y, box.max.y]) {
+      for (const z of [box.min.z, box.max.z]) {
+        assert.ok(slack.containsPoint(new THREE.Vector3(x, y, z).applyMatrix4(view)));
+      }
+    }
+  }
+  // everything sits in front of the light
+  assert.ok(bounds.max.z < 0);
+});
+
+test('pcssChunk patches the shipped shadow chunk and rejects anything else', () => {
+  const chunk = pcssChunk(THREE.ShaderChunk.shadowmap_pars_fragment, 16);
+  assert.ok(chunk);
+  assert.match(chunk, /getShadowHard/);
+  assert.match(chunk, /PCSS_SAMPLES 16/);
+  assert.equal(pcssChunk('float getShadow() { return 1.0; }', 16), null);
+});
+
+test('cascadeChunk bakes the cascade splits in as constants', () => {
+  const chunk = cascadeChunk([new THREE.Vector2(0, 0.25), new THREE.Vector2(0.25, 1)], 0.5, 1200);
+  assert.match(chunk, /#define CSM_CASCADES 2/);
+  assert.match(chunk, /vec2\( 0\.250000, 1\.000000 \)/);
+  assert.match(chunk, /shadowFar = 1200\.0000/);
+  assert.ok(chunk.endsWith(THREE.ShaderChunk.lights_pars_begin));
+});
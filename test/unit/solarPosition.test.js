@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solarPosition, compassToSceneAzimuth } from '../../src/solarPosition.js';
+import { createSimClock, CLOCK_SPEEDS, TOKYO_TOWER } from '../../src/simClock.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+const { latitude, longitude } = TOKYO_TOWER;
+
+test('solarPosition peaks at 90 - latitude + declination at solar noon in Tokyo', () => {
+  // June solstice: 90 - 35.66 + 23.44 ≈ 77.8°, due south
+  const summer = solarPosition(new Date('2026-06-21T11:43:00+09:00'), latitude, longitude);
+  close(summer.elevation, 77.78, 0.2);
+  close(summer.azimuth, 180, 1);
+  // December solstice: 90 - 35.66 - 23.44 ≈ 30.9°
+  const winter = solarPosition(new Date('2026-12-21T11:39:00+09:00'), latitude, longitude);
+  close(winter.elevation, 30.9, 0.2);
+  close(winter.azimuth, 180, 1);
+});
+
+test('solarPosition puts the June sunrise in Tokyo north of east', () => {
+  // sunrise about 04:25 JST, bearing about 60°
+  const sunrise = solarPosition(new Date('2026-06-21T04:25:00+09:00'), latitude, longitude);
+  close(sunrise.elevation, -0.8, 0.5);
+  close(sunrise.azimuth, 60, 1);
+  // midnight: well below the horizon, to the north
+  const midnight = solarPosition(new Date('2026-06-21T00:00:00+09:00'), latitude, longitude);
+  assert.ok(midnight.elevation < -25);
+  assert.ok(midnight.azimuth < 20 || midnight.azimuth > 340);
+});
+
+test('compassToSceneAzimuth puts south on 0 and wraps', () => {
+  close(compassToSceneAzimuth(180), 0);
+  close(compassToSceneAzimuth(90), 90);
+  close(compassToSceneAzimuth(270), 270);
+  close(compassToSceneAzimuth(0), 180);
+});
+
+test('the clock advances by speed, holds when paused and scrubs across midnight', () => {
+  const clock = createSimClock({ date: new Date('2026-06-21T23:30:00+09:00'), speed: 60 });
+  close(clock.localHours(), 23.5);
+  clock.advance(10); // 10 real seconds at 60x = 10 minutes
+  close(clock.localHours(), 23 + 40 / 60);
+  clock.togglePause();
+  clock.advance(10);
+  close(clock.localHours(), 23 + 40 / 60);
+
+  clock.scrub(30);
+  close(clock.localHours(), 10 / 60, 1e-9);
+  assert.equal(clock.label(), '2026-06-22 00:10');
+  clock.scrub(-60);
+  assert.equal(clock.label(), '2026-06-21 23:10');
+});
+
+test('setLocalHours stays on the local date and calendar follows local time', () => {
+  // 01:00 JST on the 22nd is still the 21st in UTC
+  const clock = createSimClock({ date: new Date('2026-06-22T01:00:00+09:00') });
+  clock.setLocalHours(17.5);
+  assert.equal(clock.label(), '2026-06-22 17:30');
+  assert.deepEqual(clock.calendar(), { month: 6, weekday: 1 });
+  assert.equal(clock.sun().rising, false);
+  clock.setLocalHours(6);
+  assert.equal(clock.sun().rising, true);
+});
+
+test('stepSpeed walks CLOCK_SPEEDS and stops at the ends', () => {
+  const clock = createSimClock({ speed: CLOCK_SPEEDS[0] });
+  clock.stepSpeed(-1);
+  assert.equal(clock.speed, CLOCK_SPEEDS[0]);
+  for (let i = 0; i < CLOCK_SPEEDS.length + 2; i++) clock.stepSpeed(1);
+  assert.equal(clock.speed, CLOCK_SPEEDS[CLOCK_SPEEDS.length - 1]);
+  // a speed between steps counts as the next one up
+  clock.speed = 100;
+  clock.stepSpeed(1);
+  assert.equal(clock.speed, 1440);
+});
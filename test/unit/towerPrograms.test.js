@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  TOWER_PROGRAMS,
+  TOWER_SCHEDULE,
+  MAX_TOWER_LEVELS,
+  scheduledProgram,
+  sampleProgram,
+  programFromJSON,
+  validateSchedule,
+} from '../../src/towerPrograms.js';
+
+const red = new THREE.Color(0xff0000);
+const blue = new THREE.Color(0x0000ff);
+const twoStep = {
+  steps: [
+    { levels: [{ color: red, intensity: 1 }], hold: 2, fade: 2 },
+    { levels: [{ color: blue, intensity: 0 }], hold: 2, fade: 0 },
+  ],
+};
+
+test('scheduledProgram takes the first matching entry', () => {
+  assert.equal(scheduledProgram(TOWER_SCHEDULE, { hour: 21, month: 6, weekday: 6 }), 'diamondVeil');
+  assert.equal(scheduledProgram(TOWER_SCHEDULE, { hour: 23, month: 6, weekday: 6 }), 'landmark');
+  assert.equal(scheduledProgram(TOWER_SCHEDULE, { hour: 18, month: 12, weekday: 6 }), 'christmas');
+  assert.equal(scheduledProgram(TOWER_SCHEDULE, { hour: 21, month: 8, weekday: 1 }), 'landmarkSummer');
+});
+
+test('scheduledProgram hour ranges wrap past midnight', () => {
+  const schedule = [{ program: 'late', from: 22, to: 2 }];
+  assert.equal(scheduledProgram(schedule, { hour: 23, month: 1, weekday: 0 }), 'late');
+  assert.equal(scheduledProgram(schedule, { hour: 1, month: 1, weekday: 0 }), 'late');
+  assert.equal(scheduledProgram(schedule, { hour: 12, month: 1, weekday: 0 }), null);
+});
+
+test('sampleProgram holds, fades and loops', () => {
+  const at = (t) => sampleProgram(twoStep, t, red)[0];
+
+  assert.equal(at(1).color.getHex(), 0xff0000);
+  assert.equal(at(3).intensity, 0.5);
+  assert.equal(at(5).color.getHex(), 0x0000ff);
+  assert.equal(at(7).color.getHex(), 0xff0000);
+  assert.equal(sampleProgram(twoStep, 0, red).length, MAX_TOWER_LEVELS);
+});
+
+test('sampleProgram staggers levels and resolves "preset"', () => {
+  const out = sampleProgram({ ...twoStep, stagger: 4 }, 5, red);
+  assert.equal(out[0].color.getHex(), 0x0000ff);
+  assert.equal(out[1].color.getHex(), 0xff0000);
+
+  const preset = new THREE.Color(0x00ff00);
+  assert.equal(sampleProgram(TOWER_PROGRAMS.landmark, 0, preset)[3].color.getHex(), 0x00ff00);
+});
+
+test('programFromJSON parses levels and lists every invalid field', () => {
+  const program = programFromJSON({ steps: [{ levels: ['#ff0000', { color: 'preset', intensity: 0.5 }] }] }, 'p');
+  assert.ok(program.steps[0].levels[0].color instanceof THREE.Color);
+  assert.equal(program.steps[0].levels[1].color, 'preset');
+  assert.equal(program.steps[0].hold, 1);
+
+  assert.throws(
+    () => programFromJSON({ steps: [{ levels: ['red'], fade: -1 }], pulse: { amount: 2 } }, 'bad'),
+    (err) => ['bad.steps[0].levels[0]', 'bad.steps[0].fade', 'bad.pulse'].every((f) => err.message.includes(f))
+  );
+});
+
+test('validateSchedule checks programs, months, weekdays and hours', () => {
+  assert.deepEqual(validateSchedule(TOWER_SCHEDULE), []);
+  const errors = validateSchedule([{ program: 'nope', months: [13], weekdays: [7], from: 25 }]);
+  assert.equal(errors.length, 4);
+});
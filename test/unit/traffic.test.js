@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTraffic, carDistance, laneOffset, trafficConfig } from '../../src/traffic.js';
+import { planStreets, cityConfig } from '../../src/city.js';
+import { validateManifest } from '../../src/sceneManifest.js';
+import { mulberry32 } from '../../src/random.js';
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+test('carDistance wraps around the road', () => {
+  close(carDistance(2, { start: 10, speed: 15 }, 100), 40);
+  close(carDistance(8, { start: 10, speed: 15 }, 100), 30);
+  close(laneOffset(1, 3), 4.5);
+});
+
+test('cars keep left and face the way they drive', () => {
+  const traffic = createTraffic({
+    roads: [{ points: [[0, 0, 0], [1000, 0, 0]] }],
+    random: mulberry32(1),
+    config: trafficConfig({ density: 1, speed: 10 }),
+  });
+  assert.equal(traffic.cars.length, 20);
+  traffic.update({ time: 3, night: 1, sunset: 0, trails: false, viewer: new THREE.Vector3(0, 50, 500) });
+
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  traffic.cars.forEach((car, i) => {
+    traffic.bodies.getMatrixAt(i, matrix);
+    matrix.decompose(position, rotation, scale);
+    const front = new THREE.Vector3(0, 0, -1).applyQuaternion(rotation);
+    close(front.x, car.direction, 1e-6);
+    // driving along +x, left is -z
+    close(position.z, -car.direction * 1.6, 1e-6);
+  });
+});
+
+test('light trails replace the cars', () => {
+  const traffic = createTraffic({
+    roads: [{ points: [[0, 0, 0], [400, 0, 0], [400, 0, 400]] }],
+    random: mulberry32(2),
+  });
+  traffic.update({ time: 5, night: 1, sunset: 0, trails: true, viewer: new THREE.Vector3(200, 100, 800) });
+  assert.equal(traffic.bodies.visible, false);
+  assert.equal(traffic.trails.visible, true);
+  const positions = traffic.trails.geometry.attributes.position.array;
+  assert.ok(positions.every(Number.isFinite));
+  assert.ok(positions.some((v) => v !== 0));
+
+  // no trails by day
+  traffic.update({ time: 5, night: 0, sunset: 0, trails: true, viewer: new THREE.Vector3() });
+  assert.equal(traffic.trails.visible, false);
+});
+
+test('planStreets breaks streets at the water and exclusion zones', () => {
+  const config = cityConfig({ center: [0, 0], size: [600, 400], exclude: [{ center: [0, 0], radius: 60 }] });
+  const streets = planStreets(config, { isLand: (x, z) => z < 150 });
+  assert.ok(streets.length > 5);
+  for (const [[ax, az], [bx, bz]] of streets) {
+    assert.ok(az < 150 && bz < 150);
+    assert.ok(Math.hypot(bx - ax, bz - az) >= 60);
+    // none runs straight through the zone
+    for (let t = 0; t <= 1; t += 0.05) {
+      assert.ok(Math.hypot(ax + (bx - ax) * t, az + (bz - az) * t) >= 60 - 1e-6);
+    }
+  }
+});
+
+test('validateManifest checks the traffic block', () => {
+  const ok = validateManifest({ traffic: { lanes: 2, roads: [{ path: [[0, 0], [10, 5, 10]] }] }, instances: [] });
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.traffic.lanes, 2);
+
+  const bad = validateManifest({ traffic: { lanes: 0, speed: -1, trails: 'yes', roads: [{ path: [[0, 0]] }] }, instances: [] });
+  for (const field of ['traffic.lanes', 'traffic.speed', 'traffic.trails', 'traffic.roads[0].path']) {
+    assert.ok(bad.errors.some((e) => e.startsWith(field)), field);
+  }
+  assert.equal(bad.traffic, null);
+});
@@ -0,0 +1,58 @@
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { test, expect } from '@playwright/test';
+
+// Canonical views: preset hotkey, scene seconds stepped after pressing it
+const VIEWS = [
+  { name: 'day', key: '1' },
+  { name: 'sunset', key: '2' },
+  { name: 'night', key: '3' },
+];
+
+// warnings that may show without failing: an environment whose HDR/EXR is not in public/
+// falls back to the live sky (and stops warning once the file is added)
+const ALLOWED_WARNINGS = [/^⚠ Environment "[^"]+": no HDR\/EXR loaded, following the sky$/];
+
+// let the transition and the light ramps settle
+const SETTLE_SECONDS = 6;
+
+function nextFrames(page) {
+  return page.evaluate(() => new Promise((resolve) => {
+    requestAnimationFrame(() => requestAnimationFrame(resolve));
+  }));
+}
+
+// the reference for a view (see snapshotPathTemplate in playwright.config.js)
+function referencePath(name) {
+  return fileURLToPath(new URL(`./__screenshots__/${name}.png`, import.meta.url));
+}
+
+for (const { name, key } of VIEWS) {
+  test(`${name} poster view`, async ({ page }) => {
+    // without a reference there is nothing to compare against: say so before booting the scene
+    if (test.info().config.updateSnapshots === 'none' && !existsSync(referencePath(name))) {
+      throw new Error(`No reference image for "${name}" at ${referencePath(name)}. ` +
+        'Record the references with `npm run test:visual -- --update-snapshots` and commit them.');
+    }
+
+    const errors = [];
+    page.on('pageerror', (err) => errors.push(err.message));
+
+    // fixed-time mode: same seed and step count give the same frame every run
+    await page.goto('/?seed=1&fixed=0');
+    await page.waitForFunction(() => window.sceneDebug);
+    await page.evaluate(() => window.sceneDebug.sceneClock.ready);
+    await page.locator('#loading-screen').waitFor({ state: 'detached' });
+    // failed-asset warnings sit on top of the canvas; they are checked separately below
+    await page.addStyleTag({ content: '#load-warnings { display: none !important; }' });
+
+    await page.keyboard.press(key);
+    await page.evaluate((s) => window.sceneDebug.sceneClock.step(s), SETTLE_SECONDS);
+    await nextFrames(page);
+
+    expect(errors).toEqual([]);
+    const warnings = await page.locator('#load-warnings li').allTextContents();
+    expect(warnings.filter((w) => !ALLOWED_WARNINGS.some((allowed) => allowed.test(w)))).toEqual([]);
+    await expect(page.locator('canvas')).toHaveScreenshot(`${name}.png`);
+  });
+}